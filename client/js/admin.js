@@ -0,0 +1,203 @@
+/**
+ * Admin console - usage stats, account search, disable/enable accounts,
+ * force password resets and sign accounts out
+ */
+
+let currentQuery = '';
+let currentPage = 1;
+
+/**
+ * Send a JSON request and return the parsed response
+ */
+async function sendJson(url, method, body) {
+  try {
+    const res = await authFetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return await res.json();
+  } catch (err) {
+    return { success: false, message: 'Network error. Please try again.' };
+  }
+}
+
+/**
+ * Fill the totals and the signups-per-day chart from /api/admin/stats
+ */
+async function loadStats() {
+  const errorEl = document.getElementById('statsError');
+  try {
+    const res = await authFetch('/api/admin/stats?days=30');
+    const data = await res.json();
+    if (!data.success) {
+      errorEl.textContent = data.message || 'Could not load stats';
+      return;
+    }
+
+    const stats = [
+      ['Accounts', data.users.total],
+      ['Admins', data.users.admins],
+      ['Disabled', data.users.disabled],
+      ['Unconfirmed email', data.users.unverified],
+      ['Active sessions', data.sessions.active],
+      ['Signed-in accounts', data.sessions.users],
+    ].map(([label, value]) => {
+      const item = document.createElement('div');
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      item.append(dt, dd);
+      return item;
+    });
+    document.getElementById('adminStats').replaceChildren(...stats);
+
+    const max = Math.max(1, ...data.signups.map(day => day.count));
+    const bars = data.signups.map(day => {
+      const bar = document.createElement('div');
+      bar.className = 'signup-bar';
+      bar.style.height = `${(day.count / max) * 100}%`;
+      bar.title = `${day.date}: ${day.count} signup(s)`;
+      return bar;
+    });
+    document.getElementById('signupChart').replaceChildren(...bars);
+    const total = data.signups.reduce((sum, day) => sum + day.count, 0);
+    document.getElementById('signupTotal').textContent = `${total} signup(s) in the last ${data.signups.length} days`;
+  } catch (err) {
+    errorEl.textContent = 'Network error. Please try again.';
+  }
+}
+
+/**
+ * Run an account action and refresh the list and stats
+ */
+async function runUserAction(btn, url, method, confirmText) {
+  if (confirmText && !confirm(confirmText)) return;
+  const errorEl = document.getElementById('usersError');
+  const successEl = document.getElementById('usersSuccess');
+  btn.disabled = true;
+  errorEl.textContent = '';
+  successEl.textContent = '';
+
+  const data = await sendJson(url, method, {});
+  if (data.success) {
+    successEl.textContent = data.message;
+  } else {
+    errorEl.textContent = data.message || 'Action failed';
+  }
+  loadUsers();
+  loadStats();
+}
+
+function createActionButton(label, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn-list';
+  btn.textContent = label;
+  btn.addEventListener('click', () => onClick(btn));
+  return btn;
+}
+
+/**
+ * Render one account row with its status and actions
+ */
+function createUserItem(user) {
+  const li = document.createElement('li');
+  li.className = 'session-item admin-user';
+  const base = `/api/admin/users/${encodeURIComponent(user.userId)}`;
+
+  const info = document.createElement('div');
+  const name = document.createElement('strong');
+  name.textContent = `${user.name || user.userId} (${user.userId})`;
+  if (user.role === 'admin') {
+    const badge = document.createElement('span');
+    badge.className = 'admin-badge';
+    badge.textContent = 'Admin';
+    name.appendChild(badge);
+  }
+  const meta = document.createElement('span');
+  meta.className = 'session-meta';
+  meta.textContent = [
+    user.email || 'No email',
+    user.emailVerified ? null : 'email not confirmed',
+    user.createdAt ? `joined ${new Date(user.createdAt).toLocaleDateString()}` : null,
+    `${user.activeSessions} active session(s)`,
+  ].filter(Boolean).join(' · ');
+  const status = document.createElement('span');
+  status.className = 'session-meta';
+  status.textContent = [
+    user.disabled ? `Disabled ${new Date(user.disabledAt).toLocaleString()}` : null,
+    user.passwordResetRequired ? 'Must reset password' : null,
+  ].filter(Boolean).join(' · ');
+  info.append(name, meta, status);
+
+  const actions = document.createElement('div');
+  actions.className = 'admin-actions';
+  actions.append(
+    user.disabled
+      ? createActionButton('Enable', btn => runUserAction(btn, `${base}/enable`, 'POST'))
+      : createActionButton('Disable', btn => runUserAction(btn, `${base}/disable`, 'POST',
+        `Disable ${user.userId}? They will be signed out and cannot sign in until enabled.`)),
+    createActionButton('Force password reset', btn => runUserAction(btn, `${base}/password-reset`, 'POST',
+      `Make ${user.userId} choose a new password? They will be signed out and emailed a reset link.`)),
+    createActionButton('Sign out everywhere', btn => runUserAction(btn, `${base}/sessions`, 'DELETE')),
+  );
+
+  li.append(info, actions);
+  return li;
+}
+
+/**
+ * Fill the accounts list for the current search and page
+ */
+async function loadUsers() {
+  const errorEl = document.getElementById('usersError');
+  try {
+    const params = new URLSearchParams({ page: String(currentPage) });
+    if (currentQuery) params.set('q', currentQuery);
+    const res = await authFetch(`/api/admin/users?${params}`);
+    const data = await res.json();
+    if (!data.success) {
+      errorEl.textContent = data.message || 'Could not load accounts';
+      return;
+    }
+
+    currentPage = data.page;
+    const list = document.getElementById('userList');
+    if (data.users.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'session-meta';
+      empty.textContent = currentQuery ? 'No accounts match your search.' : 'No accounts yet.';
+      list.replaceChildren(empty);
+    } else {
+      list.replaceChildren(...data.users.map(createUserItem));
+    }
+    document.getElementById('usersPageInfo').textContent =
+      `Page ${data.page} of ${data.totalPages} · ${data.total} account(s)`;
+    document.getElementById('usersPrevBtn').disabled = data.page <= 1;
+    document.getElementById('usersNextBtn').disabled = data.page >= data.totalPages;
+  } catch (err) {
+    errorEl.textContent = 'Network error. Please try again.';
+  }
+}
+
+document.getElementById('userSearchForm').addEventListener('submit', (e) => {
+  e.preventDefault();
+  currentQuery = document.getElementById('userSearch').value.trim();
+  currentPage = 1;
+  loadUsers();
+});
+
+document.getElementById('usersPrevBtn').addEventListener('click', () => {
+  currentPage -= 1;
+  loadUsers();
+});
+
+document.getElementById('usersNextBtn').addEventListener('click', () => {
+  currentPage += 1;
+  loadUsers();
+});
+
+loadStats();
+loadUsers();
@@ -3,10 +3,76 @@
  * Handles session checks and common auth logic
  */
 
-// Add credentials to fetch for session cookies
-const authFetch = (url, options = {}) => {
-  return fetch(url, {
-    ...options,
-    credentials: 'include',
-  });
+// CSRF token issued by /api/session; required on every non-GET API request
+let csrfToken = null;
+
+/**
+ * Fetch the session state and remember its CSRF token
+ */
+const getSession = async () => {
+  const res = await fetch('/api/session', { credentials: 'include' });
+  const session = await res.json();
+  csrfToken = session.csrfToken || null;
+  return session;
+};
+
+// Movie APIs need a viewing profile: when there is none (e.g. it was deleted), go pick one
+const checkProfileRequired = async (res) => {
+  if (res.status === 403) {
+    const data = await res.clone().json().catch(() => ({}));
+    if (data.code === 'PROFILE_REQUIRED') {
+      window.location.href = data.redirect || '/profiles.html';
+    }
+  }
+  return res;
+};
+
+// Add credentials to fetch for session cookies, plus the CSRF token on state-changing requests
+const authFetch = async (url, options = {}) => {
+  const method = (options.method || 'GET').toUpperCase();
+  if (['GET', 'HEAD', 'OPTIONS'].includes(method)) {
+    return checkProfileRequired(await fetch(url, { ...options, credentials: 'include' }));
+  }
+
+  const send = async () => {
+    if (!csrfToken) await getSession();
+    return fetch(url, {
+      ...options,
+      credentials: 'include',
+      headers: { ...options.headers, 'X-CSRF-Token': csrfToken },
+    });
+  };
+
+  let res = await send();
+  // The token belongs to the session: if that expired, get a new token and retry once
+  if (res.status === 403) {
+    const data = await res.clone().json().catch(() => ({}));
+    if (data.code === 'CSRF_INVALID') {
+      csrfToken = null;
+      res = await send();
+    }
+  }
+  return checkProfileRequired(res);
+};
+
+/**
+ * Show a "Continue with <provider>" link per configured OpenID Connect provider
+ * The container stays hidden when none are configured
+ */
+const renderProviderButtons = async (container) => {
+  try {
+    const res = await fetch('/api/auth/providers', { credentials: 'include' });
+    const { providers = [] } = await res.json();
+    const links = providers.map(provider => {
+      const link = document.createElement('a');
+      link.className = 'btn btn-link btn-outline btn-full';
+      link.href = `/api/auth/oidc/${encodeURIComponent(provider.id)}/start`;
+      link.textContent = `Continue with ${provider.name}`;
+      return link;
+    });
+    container.append(...links);
+    container.classList.toggle('is-hidden', links.length === 0);
+  } catch (err) {
+    // Password sign-in still works without the buttons
+  }
 };
@@ -0,0 +1,35 @@
+/**
+ * Forgot password page - request a reset link by email
+ */
+
+// Forgot password form handler
+document.getElementById('forgotForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const btn = document.getElementById('forgotBtn');
+  const errorEl = document.getElementById('forgotError');
+  const successEl = document.getElementById('forgotSuccess');
+
+  btn.classList.add('loading');
+  errorEl.textContent = '';
+  successEl.textContent = '';
+
+  try {
+    const res = await authFetch('/api/password/forgot', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: document.getElementById('email').value.trim() }),
+    });
+
+    const data = await res.json();
+
+    if (data.success) {
+      successEl.textContent = data.message;
+    } else {
+      errorEl.textContent = data.message || 'Could not send reset link';
+    }
+  } catch (err) {
+    errorEl.textContent = 'Network error. Please try again.';
+  }
+  btn.classList.remove('loading');
+});
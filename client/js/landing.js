@@ -0,0 +1,12 @@
+/**
+ * Landing page - sends logged-in users straight to the movies
+ */
+
+// Redirect if already logged in
+fetch('/api/session', { credentials: 'include' })
+  .then(res => res.json())
+  .then(data => {
+    if (data.loggedIn) {
+      window.location.href = '/home.html';
+    }
+  });
@@ -0,0 +1,151 @@
+/**
+ * Login page - sign in with userId or email, with a countdown while throttled,
+ * then the authentication code step for accounts with two-factor authentication
+ */
+
+// Swap the password form for the code form
+function showTwoFactorStep() {
+  document.getElementById('passwordStep').classList.add('is-hidden');
+  document.getElementById('twoFactorForm').classList.remove('is-hidden');
+  document.getElementById('twoFactorCode').focus();
+}
+
+// Redirect if already logged in; resume the code step after a provider sign-in or reload
+getSession()
+  .then(data => {
+    if (data.loggedIn) {
+      window.location.href = '/home.html';
+    } else if (data.twoFactorPending) {
+      showTwoFactorStep();
+    }
+  });
+
+// "Continue with..." buttons, and errors sent back from a provider sign-in
+renderProviderButtons(document.getElementById('providerButtons'));
+const redirectError = new URLSearchParams(window.location.search).get('error');
+if (redirectError) {
+  document.getElementById('loginError').textContent = redirectError;
+}
+
+// Countdown shown while login is throttled (429 + Retry-After)
+let retryTimer = null;
+function showRetryCountdown(seconds, btn, errorEl) {
+  let remaining = seconds;
+
+  clearInterval(retryTimer);
+  btn.disabled = true;
+  const tick = () => {
+    if (remaining <= 0) {
+      clearInterval(retryTimer);
+      btn.disabled = false;
+      errorEl.textContent = 'You can try signing in again.';
+      return;
+    }
+    const minutes = Math.floor(remaining / 60);
+    const secs = remaining % 60;
+    const wait = minutes > 0 ? `${minutes}m ${String(secs).padStart(2, '0')}s` : `${secs}s`;
+    errorEl.textContent = `Too many failed attempts. Try again in ${wait}.`;
+    remaining--;
+  };
+  tick();
+  retryTimer = setInterval(tick, 1000);
+}
+
+// Login form handler
+document.getElementById('loginForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const btn = document.getElementById('loginBtn');
+  const errorEl = document.getElementById('loginError');
+
+  btn.classList.add('loading');
+  errorEl.textContent = '';
+
+  const formData = {
+    identifier: document.getElementById('identifier').value.trim(),
+    password: document.getElementById('password').value,
+    remember: document.getElementById('remember').checked,
+  };
+
+  try {
+    const res = await authFetch('/api/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(formData),
+    });
+
+    const data = await res.json();
+
+    if (res.status === 429) {
+      btn.classList.remove('loading');
+      showRetryCountdown(parseInt(res.headers.get('Retry-After'), 10) || data.retryAfter || 60, btn, errorEl);
+      return;
+    }
+
+    if (data.success && data.twoFactorRequired) {
+      btn.classList.remove('loading');
+      showTwoFactorStep();
+      return;
+    }
+
+    if (data.success) {
+      // Small delay to ensure session cookie is set (important for Vercel/serverless)
+      setTimeout(() => {
+        window.location.href = data.redirect || '/home.html';
+      }, 100);
+    } else {
+      errorEl.textContent = data.message || 'Login failed';
+      btn.classList.remove('loading');
+    }
+  } catch (err) {
+    errorEl.textContent = 'Network error. Please try again.';
+    btn.classList.remove('loading');
+  }
+});
+
+// Authentication code form handler (app code or recovery code)
+document.getElementById('twoFactorForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const btn = document.getElementById('twoFactorBtn');
+  const errorEl = document.getElementById('twoFactorError');
+
+  btn.classList.add('loading');
+  errorEl.textContent = '';
+
+  try {
+    const res = await authFetch('/api/login/2fa', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code: document.getElementById('twoFactorCode').value.trim() }),
+    });
+
+    const data = await res.json();
+
+    if (res.status === 429) {
+      btn.classList.remove('loading');
+      showRetryCountdown(parseInt(res.headers.get('Retry-After'), 10) || data.retryAfter || 60, btn, errorEl);
+      return;
+    }
+
+    if (data.success) {
+      setTimeout(() => {
+        window.location.href = data.redirect || '/home.html';
+      }, 100);
+      return;
+    }
+
+    // The password step expired: start over
+    if (data.redirect) {
+      window.location.href = `${data.redirect}?error=${encodeURIComponent(data.message)}`;
+      return;
+    }
+
+    errorEl.textContent = data.message || 'Verification failed';
+    document.getElementById('twoFactorCode').select();
+    btn.classList.remove('loading');
+  } catch (err) {
+    errorEl.textContent = 'Network error. Please try again.';
+    btn.classList.remove('loading');
+  }
+});
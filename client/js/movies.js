@@ -1,53 +1,107 @@
 /**
  * Movies - OMDb API integration and home page logic
  * Search movies, display results, show modal with details
+ * OMDb is reached through the server proxy (/api/movies/*), never directly
+ * An open modal is reflected in the URL as /movie/:imdbID, so links can be shared
+ * and back/forward close and reopen it
  */
 
-const OMDB_API_KEY = '90e4ede5';
-const OMDB_BASE = 'https://www.omdbapi.com/';
-
 // DOM elements
 const searchInput = document.getElementById('searchInput');
 const searchSection = document.getElementById('searchSection');
 const searchResults = document.getElementById('searchResults');
+const searchCount = document.getElementById('searchCount');
+const searchType = document.getElementById('searchType');
+const searchYearFrom = document.getElementById('searchYearFrom');
+const searchYearTo = document.getElementById('searchYearTo');
 const loadingSection = document.getElementById('loadingSection');
-const popularSection = document.getElementById('popularSection');
-const popularMovies = document.getElementById('popularMovies');
+const categoryRows = document.getElementById('categoryRows');
+const historySection = document.getElementById('historySection');
+const historyMovies = document.getElementById('historyMovies');
+const recommendationsSection = document.getElementById('recommendationsSection');
+const recommendationsMovies = document.getElementById('recommendationsMovies');
+const myListSection = document.getElementById('myListSection');
+const myListMovies = document.getElementById('myListMovies');
+const modalListBtn = document.getElementById('modalListBtn');
+const reviewForm = document.getElementById('reviewForm');
+const reviewRating = document.getElementById('reviewRating');
+const reviewText = document.getElementById('reviewText');
+const reviewSubmit = document.getElementById('reviewSubmit');
+const reviewDelete = document.getElementById('reviewDelete');
+const reviewError = document.getElementById('reviewError');
+const reviewList = document.getElementById('reviewList');
+const reviewMore = document.getElementById('reviewMore');
 const movieModal = document.getElementById('movieModal');
 const modalClose = document.getElementById('modalClose');
+const pageTitle = document.title;
 
 // Debounce for search
 let searchTimeout = null;
 
+// Year filters can empty whole pages; filling the row stops after this many in a row,
+// so a narrow range cannot walk through every page OMDb has
+const MAX_EMPTY_SEARCH_PAGES = 3;
+
+// Current search: query, filters and paging (mirrored in the URL query string)
+const searchState = {
+  query: '',
+  type: '',
+  yearFrom: '',
+  yearTo: '',
+  page: 0,
+  totalPages: 0,
+  emptyPages: 0, // consecutive pages that added no results
+  loading: false,
+  generation: 0, // bumped on every new search so stale pages are dropped
+};
+
+// Saved movies ("My List"), recently opened titles and the movie currently shown in the modal
+let myList = [];
+let recentlyViewed = [];
+let recommendations = { title: '', results: [] };
+let currentMovie = null;
+
+// Features held back until the account's email is confirmed (from /api/verify-email/status)
+let emailRestrictions = [];
+
+// Reviews state for the open modal
+let reviewsPage = 1;
+let myReview = null;
+
 /**
- * Fetch movies from OMDb API (search)
+ * Search movies through the server proxy
+ * options: { page, type, yearFrom, yearTo }
+ * Returns { results, totalResults, page, totalPages }
  */
-async function searchMovies(query) {
-  if (!query || query.length < 2) return null;
+async function searchMovies(query, options = {}) {
+  const empty = { results: [], totalResults: 0, page: 1, totalPages: 0 };
+  if (!query || query.length < 2) return empty;
   try {
-    const url = `${OMDB_BASE}?s=${encodeURIComponent(query)}&apikey=${OMDB_API_KEY}`;
-    const res = await fetch(url);
+    const params = new URLSearchParams({ s: query });
+    Object.entries(options).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    const res = await authFetch(`/api/movies/search?${params}`);
     const data = await res.json();
-    if (data.Response === 'True' && data.Search) {
-      return data.Search;
+    if (data.success) {
+      return data;
     }
-    return [];
+    return empty;
   } catch (err) {
     console.error('Search error:', err);
-    return [];
+    return empty;
   }
 }
 
 /**
- * Fetch single movie details from OMDb API
+ * Fetch single movie details by IMDb id through the server proxy
  */
-async function getMovieDetails(title) {
+async function getMovieDetails(imdbID) {
   try {
-    const url = `${OMDB_BASE}?t=${encodeURIComponent(title)}&apikey=${OMDB_API_KEY}`;
-    const res = await fetch(url);
+    const res = await authFetch(`/api/movies/${encodeURIComponent(imdbID)}`);
     const data = await res.json();
-    if (data.Response === 'True') {
-      return data;
+    if (data.success) {
+      return data.movie;
     }
     return null;
   } catch (err) {
@@ -57,28 +111,196 @@ async function getMovieDetails(title) {
 }
 
 /**
- * Create poster card HTML
+ * Load the user's saved movies
+ */
+async function getWatchlist() {
+  try {
+    const res = await authFetch('/api/watchlist');
+    const data = await res.json();
+    return data.success ? data.items : [];
+  } catch (err) {
+    console.error('Watchlist error:', err);
+    return [];
+  }
+}
+
+/**
+ * Add or remove a movie from My List
+ */
+async function setInWatchlist(imdbID, add) {
+  try {
+    const res = await authFetch(add ? '/api/watchlist' : `/api/watchlist/${encodeURIComponent(imdbID)}`, {
+      method: add ? 'POST' : 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: add ? JSON.stringify({ imdbID }) : undefined,
+    });
+    const data = await res.json();
+    return data.success;
+  } catch (err) {
+    console.error('Watchlist update error:', err);
+    return false;
+  }
+}
+
+/**
+ * Load the profile's recently viewed titles, newest first
+ */
+async function getViewHistory() {
+  try {
+    const res = await authFetch('/api/history');
+    const data = await res.json();
+    return data.success ? data.items : [];
+  } catch (err) {
+    console.error('History error:', err);
+    return [];
+  }
+}
+
+/**
+ * Record an opened title, remove one title (imdbID) or clear the history (no imdbID)
+ */
+async function updateViewHistory(method, imdbID) {
+  try {
+    const url = imdbID && method === 'DELETE' ? `/api/history/${encodeURIComponent(imdbID)}` : '/api/history';
+    const res = await authFetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: method === 'POST' ? JSON.stringify({ imdbID }) : undefined,
+    });
+    const data = await res.json();
+    return data.success;
+  } catch (err) {
+    console.error('History update error:', err);
+    return false;
+  }
+}
+
+/**
+ * Fetch community rating and a page of reviews for a movie
+ */
+async function getReviews(imdbID, page = 1) {
+  try {
+    const res = await authFetch(`/api/movies/${encodeURIComponent(imdbID)}/reviews?page=${page}`);
+    const data = await res.json();
+    return data.success ? data : null;
+  } catch (err) {
+    console.error('Reviews error:', err);
+    return null;
+  }
+}
+
+/**
+ * Create, update or delete the user's review
+ * Returns the API response ({ success, message })
+ */
+async function saveReview(imdbID, method, body) {
+  const base = `/api/movies/${encodeURIComponent(imdbID)}/reviews`;
+  try {
+    const res = await authFetch(method === 'POST' ? base : `${base}/${myReview.id}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return await res.json();
+  } catch (err) {
+    console.error('Review save error:', err);
+    return { success: false, message: 'Network error. Please try again.' };
+  }
+}
+
+/**
+ * Fetch the curated home page row definitions
  */
-function createPosterCard(movie) {
+async function getHomeRows() {
+  try {
+    const res = await authFetch('/api/rows');
+    const data = await res.json();
+    return data.success ? data.rows : [];
+  } catch (err) {
+    console.error('Rows error:', err);
+    return [];
+  }
+}
+
+/**
+ * Fetch the profile's "Because you liked X" row
+ * Returns { title, results }
+ */
+async function getRecommendations() {
+  try {
+    const res = await authFetch('/api/recommendations');
+    const data = await res.json();
+    return data.success ? data : { title: '', results: [] };
+  } catch (err) {
+    console.error('Recommendations error:', err);
+    return { title: '', results: [] };
+  }
+}
+
+/**
+ * Fetch the movies for one home page row
+ */
+async function getRowMovies(rowId) {
+  try {
+    const res = await authFetch(`/api/rows/${encodeURIComponent(rowId)}`);
+    const data = await res.json();
+    return data.success ? data.results : [];
+  } catch (err) {
+    console.error('Row error:', err);
+    return [];
+  }
+}
+
+/**
+ * Create an element with a class and optional text
+ * textContent keeps OMDb strings from being parsed as HTML
+ */
+function createElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Create poster card element
+ * onRemove adds a remove button to the card
+ */
+function createPosterCard(movie, onRemove) {
   const poster = movie.Poster && movie.Poster !== 'N/A' 
     ? movie.Poster 
     : null;
   const title = movie.Title || 'Unknown';
   const year = movie.Year || 'N/A';
 
-  const div = document.createElement('div');
-  div.className = 'movie-poster';
-  div.dataset.title = title;
-  div.innerHTML = `
-    ${poster 
-      ? `<img src="${poster}" alt="${title}" loading="lazy">` 
-      : `<div class="poster-placeholder">No Poster</div>`}
-    <div class="movie-info">
-      <div class="movie-title">${title}</div>
-      <div class="movie-year">${year}</div>
-    </div>
-  `;
-  div.addEventListener('click', () => openMovieModal(title));
+  const div = createElement('div', 'movie-poster');
+  div.dataset.imdbId = movie.imdbID;
+  if (poster) {
+    const img = createElement('img');
+    img.src = poster;
+    img.alt = title;
+    img.loading = 'lazy';
+    div.appendChild(img);
+  } else {
+    div.appendChild(createElement('div', 'poster-placeholder', 'No Poster'));
+  }
+  const info = createElement('div', 'movie-info');
+  info.appendChild(createElement('div', 'movie-title', title));
+  info.appendChild(createElement('div', 'movie-year', year));
+  div.appendChild(info);
+  div.addEventListener('click', () => openMovieModal(movie.imdbID));
+
+  if (onRemove) {
+    const remove = createElement('button', 'poster-remove');
+    remove.type = 'button';
+    remove.setAttribute('aria-label', `Remove ${title}`);
+    remove.appendChild(createElement('i', 'fas fa-times'));
+    remove.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onRemove(movie);
+    });
+    div.appendChild(remove);
+  }
   return div;
 }
 
@@ -88,14 +310,207 @@ function createPosterCard(movie) {
 function renderMovies(container, movies) {
   container.innerHTML = '';
   if (!movies || movies.length === 0) {
-    container.innerHTML = '<p style="color: var(--netflix-gray); padding: 1rem;">No movies found.</p>';
+    container.appendChild(createElement('p', 'empty-message', 'No movies found.'));
     return;
   }
+  appendMovies(container, movies);
+}
+
+/**
+ * Append more movies to a rendered row
+ */
+function appendMovies(container, movies) {
   movies.forEach(movie => {
     container.appendChild(createPosterCard(movie));
   });
 }
 
+// Loads each category row the first time it comes near the viewport
+const rowObserver = 'IntersectionObserver' in window
+  ? new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      if (!entry.isIntersecting) return;
+      rowObserver.unobserve(entry.target);
+      loadCategoryRow(entry.target);
+    });
+  }, { rootMargin: '200px 0px' })
+  : null;
+
+/**
+ * Fill one category row section with its movies
+ */
+async function loadCategoryRow(section) {
+  const row = section.querySelector('.movie-row');
+  const movies = await getRowMovies(section.dataset.rowId);
+  renderMovies(row, movies);
+}
+
+/**
+ * Create empty sections for the curated rows; each loads lazily
+ */
+function renderCategoryRows(rows) {
+  categoryRows.innerHTML = '';
+  rows.forEach(rowDef => {
+    const section = document.createElement('section');
+    section.className = 'movie-section';
+    section.dataset.rowId = rowDef.id;
+
+    const title = document.createElement('h2');
+    title.className = 'section-title';
+    title.textContent = rowDef.title;
+
+    const row = document.createElement('div');
+    row.className = 'movie-row';
+    row.innerHTML = '<div class="row-loading"><div class="loading-spinner"></div></div>';
+
+    section.append(title, row);
+    categoryRows.appendChild(section);
+
+    if (rowObserver) {
+      rowObserver.observe(section);
+    } else {
+      loadCategoryRow(section);
+    }
+  });
+}
+
+/**
+ * Render the My List row (hidden while empty)
+ */
+function renderMyList() {
+  if (myList.length === 0) {
+    myListSection.style.display = 'none';
+    return;
+  }
+  myListSection.style.display = categoryRows.style.display === 'none' ? 'none' : 'block';
+  renderMovies(myListMovies, myList);
+}
+
+/**
+ * Render the Recently Viewed row (hidden while empty)
+ */
+function renderViewHistory() {
+  if (recentlyViewed.length === 0) {
+    historySection.style.display = 'none';
+    return;
+  }
+  historySection.style.display = categoryRows.style.display === 'none' ? 'none' : 'block';
+  historyMovies.innerHTML = '';
+  recentlyViewed.forEach(movie => {
+    historyMovies.appendChild(createPosterCard(movie, removeFromViewHistory));
+  });
+}
+
+/**
+ * Render the recommendations row (hidden while empty)
+ */
+function renderRecommendations() {
+  if (recommendations.results.length === 0) {
+    recommendationsSection.style.display = 'none';
+    return;
+  }
+  recommendationsSection.style.display = categoryRows.style.display === 'none' ? 'none' : 'block';
+  document.getElementById('recommendationsTitle').textContent = recommendations.title;
+  renderMovies(recommendationsMovies, recommendations.results);
+}
+
+/**
+ * Record the opened movie and move it to the front of Recently Viewed
+ */
+async function recordView(movie) {
+  if (!(await updateViewHistory('POST', movie.imdbID))) return;
+  recentlyViewed = await getViewHistory();
+  renderViewHistory();
+}
+
+/**
+ * Remove one movie from Recently Viewed
+ */
+async function removeFromViewHistory(movie) {
+  if (!(await updateViewHistory('DELETE', movie.imdbID))) {
+    alert('Could not update Recently Viewed.');
+    return;
+  }
+  recentlyViewed = recentlyViewed.filter(item => item.imdbID !== movie.imdbID);
+  renderViewHistory();
+}
+
+/**
+ * Update the modal's My List button for the current movie
+ */
+function updateListButton() {
+  const inList = !!currentMovie && myList.some(item => item.imdbID === currentMovie.imdbID);
+  const locked = !inList && emailRestrictions.includes('watchlist');
+  modalListBtn.classList.toggle('in-list', inList);
+  modalListBtn.disabled = locked;
+  modalListBtn.querySelector('i').className = inList ? 'fas fa-check' : 'fas fa-plus';
+  modalListBtn.querySelector('span').textContent = inList
+    ? 'In My List'
+    : locked ? 'Confirm your email to save' : 'Add to My List';
+}
+
+/**
+ * Create a review list item (user text goes through textContent)
+ */
+function createReviewItem(review) {
+  const li = document.createElement('li');
+  li.className = 'review-item';
+
+  const meta = document.createElement('div');
+  meta.className = 'review-meta';
+  const author = document.createElement('strong');
+  author.textContent = review.mine ? 'You' : review.userName;
+  meta.append(author, ` rated ${review.rating}/10 • ${new Date(review.createdAt).toLocaleDateString()}`);
+  li.appendChild(meta);
+
+  if (review.review) {
+    const body = document.createElement('p');
+    body.className = 'review-body';
+    body.textContent = review.review;
+    li.appendChild(body);
+  }
+  return li;
+}
+
+/**
+ * Load reviews for the current movie into the modal
+ * page 1 replaces the list, later pages append to it
+ */
+async function loadReviews(page = 1) {
+  if (!currentMovie) return;
+  const imdbID = currentMovie.imdbID;
+  const data = await getReviews(imdbID, page);
+  if (!data || !currentMovie || currentMovie.imdbID !== imdbID) return;
+
+  reviewsPage = page;
+  document.getElementById('modalCommunityRating').textContent = data.count > 0
+    ? `• Community ${data.average}/10 (${data.count} rating${data.count === 1 ? '' : 's'})`
+    : '• No community ratings yet';
+
+  if (page === 1) {
+    reviewList.innerHTML = '';
+    myReview = data.myReview;
+    reviewRating.value = myReview ? String(myReview.rating) : '10';
+    reviewText.value = myReview && myReview.review ? myReview.review : '';
+    reviewSubmit.textContent = myReview ? 'Update Review' : 'Post Review';
+    reviewDelete.style.display = myReview ? 'inline-block' : 'none';
+  }
+  data.reviews.forEach(review => reviewList.appendChild(createReviewItem(review)));
+  reviewMore.style.display = data.page < data.totalPages ? 'inline-block' : 'none';
+}
+
+/**
+ * Reset the reviews area while a new movie loads
+ */
+function resetReviews() {
+  myReview = null;
+  reviewsPage = 1;
+  reviewList.innerHTML = '';
+  reviewError.textContent = '';
+  reviewMore.style.display = 'none';
+  document.getElementById('modalCommunityRating').textContent = '';
+}
+
 /**
  * Show loading state
  */
@@ -103,16 +518,29 @@ function setLoading(show) {
   loadingSection.style.display = show ? 'block' : 'none';
 }
 
+/**
+ * The imdbID in a /movie/:imdbID URL, or null on the home page
+ */
+function getLinkedMovieId() {
+  const match = /^\/movie\/(tt\d+)$/.exec(location.pathname);
+  return match ? match[1] : null;
+}
+
 /**
  * Open modal with movie details
+ * updateUrl: false when the URL already points at the movie (page load, back/forward)
  */
-async function openMovieModal(title) {
+async function openMovieModal(imdbID, { updateUrl = true } = {}) {
   setLoading(true);
-  const movie = await getMovieDetails(title);
+  const movie = await getMovieDetails(imdbID);
   setLoading(false);
 
   if (!movie) {
     alert('Could not load movie details.');
+    // A broken or restricted link falls back to the home page
+    if (!updateUrl && getLinkedMovieId() === imdbID) {
+      history.replaceState(null, '', `/home.html${location.search}`);
+    }
     return;
   }
 
@@ -125,42 +553,276 @@ async function openMovieModal(title) {
   document.getElementById('modalGenre').textContent = movie.Genre || 'N/A';
   document.getElementById('modalRating').textContent = movie.imdbRating || 'N/A';
 
+  currentMovie = movie;
+  updateListButton();
+  resetReviews();
+  loadReviews(1);
+  recordView(movie);
+
   movieModal.classList.add('active');
   document.body.style.overflow = 'hidden';
+  document.title = `${movie.Title} - Movie App`;
+  if (updateUrl && getLinkedMovieId() !== movie.imdbID) {
+    history.pushState({ imdbID: movie.imdbID }, '', `/movie/${encodeURIComponent(movie.imdbID)}${location.search}`);
+  }
 }
 
 /**
  * Close modal
+ * updateUrl: false when the URL has already left /movie/:imdbID (back/forward)
  */
-function closeModal() {
+function closeModal({ updateUrl = true } = {}) {
+  if (!movieModal.classList.contains('active')) return;
   movieModal.classList.remove('active');
   document.body.style.overflow = '';
+  document.title = pageTitle;
+  currentMovie = null;
+
+  if (!updateUrl || !getLinkedMovieId()) return;
+  if (history.state && history.state.imdbID) {
+    // Opened from this page: going back restores the previous URL
+    history.back();
+  } else {
+    // Opened from a shared link: there is no home page entry to go back to
+    history.replaceState(null, '', `/home.html${location.search}`);
+  }
 }
 
-// Event: Search input (debounced)
-searchInput.addEventListener('input', () => {
-  clearTimeout(searchTimeout);
-  const query = searchInput.value.trim();
-  
-  if (query.length < 2) {
-    searchSection.style.display = 'none';
-    popularSection.style.display = 'block';
+/**
+ * Toggle the current movie in My List
+ */
+async function toggleMyList() {
+  if (!currentMovie) return;
+  const movie = currentMovie;
+  const inList = myList.some(item => item.imdbID === movie.imdbID);
+
+  modalListBtn.disabled = true;
+  const ok = await setInWatchlist(movie.imdbID, !inList);
+  modalListBtn.disabled = false;
+  if (!ok) {
+    alert('Could not update My List.');
     return;
   }
 
-  searchTimeout = setTimeout(async () => {
-    setLoading(true);
-    searchSection.style.display = 'block';
-    popularSection.style.display = 'none';
-    
-    const movies = await searchMovies(query);
-    renderMovies(searchResults, movies);
+  myList = await getWatchlist();
+  renderMyList();
+  updateListButton();
+}
+
+/**
+ * Copy the search state into the URL so searches are shareable and survive reload
+ */
+function updateSearchUrl() {
+  const params = new URLSearchParams();
+  if (searchState.query) params.set('q', searchState.query);
+  if (searchState.type) params.set('type', searchState.type);
+  if (searchState.yearFrom) params.set('from', searchState.yearFrom);
+  if (searchState.yearTo) params.set('to', searchState.yearTo);
+  const query = params.toString();
+  history.replaceState(history.state, '', query ? `${location.pathname}?${query}` : location.pathname);
+}
+
+/**
+ * Restore search input and filters from the URL
+ */
+function readSearchUrl() {
+  const params = new URLSearchParams(location.search);
+  searchInput.value = params.get('q') || '';
+  searchType.value = params.get('type') || '';
+  searchYearFrom.value = params.get('from') || '';
+  searchYearTo.value = params.get('to') || '';
+}
+
+/**
+ * Show the default rows again when there is no active search
+ */
+function showDefaultRows() {
+  searchSection.style.display = 'none';
+  categoryRows.style.display = 'block';
+  renderViewHistory();
+  renderRecommendations();
+  renderMyList();
+}
+
+/**
+ * Show the total result count for the current search
+ */
+function updateSearchCount(totalResults) {
+  const ranged = (searchState.yearFrom || searchState.yearTo) && searchState.yearFrom !== searchState.yearTo;
+  if (totalResults === 0) {
+    searchCount.textContent = '';
+  } else if (ranged) {
+    // Year ranges are filtered page by page, so OMDb's total is an upper bound
+    searchCount.textContent = `(up to ${totalResults.toLocaleString()} results)`;
+  } else {
+    searchCount.textContent = `(${totalResults.toLocaleString()} result${totalResults === 1 ? '' : 's'})`;
+  }
+}
+
+/**
+ * Load the next page of the current search into the results row
+ */
+async function loadNextSearchPage() {
+  if (searchState.loading) return;
+  if (searchState.page > 0 && searchState.page >= searchState.totalPages) return;
+
+  const generation = searchState.generation;
+  const page = searchState.page + 1;
+  searchState.loading = true;
+  if (page === 1) setLoading(true);
+
+  const data = await searchMovies(searchState.query, {
+    page,
+    type: searchState.type,
+    yearFrom: searchState.yearFrom,
+    yearTo: searchState.yearTo,
+  });
+
+  // A newer search started while this page was loading
+  if (generation !== searchState.generation) return;
+
+  searchState.loading = false;
+  searchState.page = page;
+  searchState.totalPages = data.totalPages;
+  searchState.emptyPages = data.results.length > 0 ? 0 : searchState.emptyPages + 1;
+
+  if (page === 1) {
     setLoading(false);
-  }, 350);
+    updateSearchCount(data.totalResults);
+    if (data.results.length > 0 || data.totalPages <= 1) {
+      renderMovies(searchResults, data.results);
+    } else {
+      searchResults.innerHTML = '';
+    }
+  } else {
+    appendMovies(searchResults, data.results);
+  }
+
+  // Keep loading while the row is not yet scrollable (year filters can thin out pages),
+  // unless the last few pages were all filtered out
+  const more = searchState.page < searchState.totalPages;
+  const filling = searchState.emptyPages < MAX_EMPTY_SEARCH_PAGES;
+  if (searchResults.scrollWidth <= searchResults.clientWidth && more && filling) {
+    loadNextSearchPage();
+  } else if ((!more || !filling) && searchResults.children.length === 0) {
+    renderMovies(searchResults, []);
+  }
+}
+
+/**
+ * Read a year filter input, ignoring values that are not 4 digits yet
+ */
+function yearValue(input) {
+  const value = input.value.trim();
+  return /^\d{4}$/.test(value) ? value : '';
+}
+
+/**
+ * Start a new search from the input and filter values
+ */
+function runSearch() {
+  searchState.query = searchInput.value.trim();
+  searchState.type = searchType.value;
+  searchState.yearFrom = yearValue(searchYearFrom);
+  searchState.yearTo = yearValue(searchYearTo);
+  searchState.generation++;
+  searchState.page = 0;
+  searchState.totalPages = 0;
+  searchState.emptyPages = 0;
+  searchState.loading = false;
+  updateSearchUrl();
+
+  if (searchState.query.length < 2) {
+    setLoading(false);
+    showDefaultRows();
+    return;
+  }
+
+  searchSection.style.display = 'block';
+  categoryRows.style.display = 'none';
+  historySection.style.display = 'none';
+  recommendationsSection.style.display = 'none';
+  myListSection.style.display = 'none';
+  searchResults.scrollLeft = 0;
+  loadNextSearchPage();
+}
+
+/**
+ * Debounce searches while the user is typing
+ */
+function scheduleSearch() {
+  clearTimeout(searchTimeout);
+  if (searchInput.value.trim().length < 2) {
+    runSearch();
+    return;
+  }
+  searchTimeout = setTimeout(runSearch, 350);
+}
+
+// Event: Search input and filters (debounced)
+searchInput.addEventListener('input', scheduleSearch);
+searchType.addEventListener('change', scheduleSearch);
+searchYearFrom.addEventListener('input', scheduleSearch);
+searchYearTo.addEventListener('input', scheduleSearch);
+
+// Event: Infinite scroll - load the next page near the end of the results row
+searchResults.addEventListener('scroll', () => {
+  const remaining = searchResults.scrollWidth - searchResults.scrollLeft - searchResults.clientWidth;
+  if (remaining < 400) loadNextSearchPage();
+});
+
+// Event: My List toggle in modal
+modalListBtn.addEventListener('click', toggleMyList);
+
+// Event: Clear Recently Viewed
+document.getElementById('clearHistoryBtn').addEventListener('click', async () => {
+  if (!confirm('Clear your recently viewed titles?')) return;
+  if (!(await updateViewHistory('DELETE'))) {
+    alert('Could not clear Recently Viewed.');
+    return;
+  }
+  recentlyViewed = [];
+  renderViewHistory();
+});
+
+// Event: Post or update review
+reviewForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  if (!currentMovie) return;
+  reviewError.textContent = '';
+  reviewSubmit.disabled = true;
+
+  const data = await saveReview(currentMovie.imdbID, myReview ? 'PUT' : 'POST', {
+    rating: parseInt(reviewRating.value, 10),
+    review: reviewText.value.trim(),
+  });
+  reviewSubmit.disabled = false;
+
+  if (!data.success) {
+    reviewError.textContent = data.message || 'Could not save review';
+    return;
+  }
+  loadReviews(1);
 });
 
+// Event: Delete own review
+reviewDelete.addEventListener('click', async () => {
+  if (!currentMovie || !myReview) return;
+  if (!confirm('Delete your review?')) return;
+
+  const data = await saveReview(currentMovie.imdbID, 'DELETE');
+  if (!data.success) {
+    reviewError.textContent = data.message || 'Could not delete review';
+    return;
+  }
+  loadReviews(1);
+});
+
+// Event: Load more reviews
+reviewMore.addEventListener('click', () => loadReviews(reviewsPage + 1));
+
 // Event: Modal close
-modalClose.addEventListener('click', closeModal);
+modalClose.addEventListener('click', () => closeModal());
 movieModal.addEventListener('click', (e) => {
   if (e.target === movieModal) closeModal();
 });
@@ -168,13 +830,20 @@ document.addEventListener('keydown', (e) => {
   if (e.key === 'Escape') closeModal();
 });
 
+// Event: Back/forward between the home page and /movie/:imdbID
+window.addEventListener('popstate', () => {
+  const imdbID = getLinkedMovieId();
+  if (imdbID) {
+    openMovieModal(imdbID, { updateUrl: false });
+  } else {
+    closeModal({ updateUrl: false });
+  }
+});
+
 // Event: Logout
 document.getElementById('logoutBtn').addEventListener('click', async () => {
   try {
-    const res = await fetch('/api/logout', {
-      method: 'POST',
-      credentials: 'include',
-    });
+    const res = await authFetch('/api/logout', { method: 'POST' });
     const data = await res.json();
     if (data.success) {
       window.location.href = data.redirect || '/login.html';
@@ -184,6 +853,64 @@ document.getElementById('logoutBtn').addEventListener('click', async () => {
   }
 });
 
+/**
+ * Remind unconfirmed accounts to open the emailed link, and lock what the server holds back
+ */
+async function checkEmailVerification() {
+  try {
+    const res = await authFetch('/api/verify-email/status');
+    const data = await res.json();
+    if (!data.success || data.verified) return;
+
+    emailRestrictions = data.restrictions;
+    document.getElementById('verifyBannerText').textContent = data.email
+      ? `Please confirm your email address. We sent a link to ${data.email}.`
+      : 'Please add an email address on your account page and confirm it.';
+    document.getElementById('verifyResendBtn').classList.toggle('is-hidden', !data.email);
+    document.getElementById('verifyBanner').classList.remove('is-hidden');
+
+    const reviewsLocked = emailRestrictions.includes('reviews');
+    reviewForm.classList.toggle('is-hidden', reviewsLocked);
+    document.getElementById('reviewLocked').classList.toggle('is-hidden', !reviewsLocked);
+    updateListButton();
+  } catch (err) {
+    // Without the status the server still enforces the restrictions
+  }
+}
+
+// Event: Resend the confirmation email
+document.getElementById('verifyResendBtn').addEventListener('click', async () => {
+  const btn = document.getElementById('verifyResendBtn');
+  const messageEl = document.getElementById('verifyBannerMessage');
+  btn.disabled = true;
+  try {
+    const res = await authFetch('/api/verify-email/resend', { method: 'POST' });
+    const data = await res.json();
+    messageEl.textContent = data.message || 'Could not send the email';
+  } catch (err) {
+    messageEl.textContent = 'Network error. Please try again.';
+  }
+  btn.disabled = false;
+});
+
+/**
+ * Show the active viewing profile's avatar and name in the navbar
+ */
+async function showActiveProfile(profileId) {
+  try {
+    const res = await authFetch('/api/profiles');
+    const data = await res.json();
+    const profile = (data.profiles || []).find(candidate => candidate.id === profileId);
+    if (!profile) return;
+    const avatar = document.getElementById('navProfileAvatar');
+    avatar.className = `profile-avatar avatar-${profile.avatar}`;
+    avatar.textContent = profile.name.charAt(0).toUpperCase();
+    document.getElementById('navProfileName').textContent = profile.name;
+  } catch (err) {
+    // The link still works without the avatar
+  }
+}
+
 // Navbar scroll effect
 window.addEventListener('scroll', () => {
   const navbar = document.getElementById('navbar');
@@ -194,19 +921,39 @@ window.addEventListener('scroll', () => {
   }
 });
 
-// Load popular movies on page load
+// Load home rows on page load
 (async function init() {
   // Check session - redirect if not logged in
-  const sessionRes = await fetch('/api/session', { credentials: 'include' });
-  const session = await sessionRes.json();
+  const session = await getSession();
   if (!session.loggedIn) {
     window.location.href = '/login.html';
     return;
   }
 
-  // Load default popular movies
+  showActiveProfile(session.profileId);
+  checkEmailVerification();
+
+  // Load Recently Viewed, My List and the curated category rows (row contents load lazily)
   setLoading(true);
-  const popular = await searchMovies('action');
-  renderMovies(popularMovies, popular || []);
+  const [viewed, saved, rows] = await Promise.all([getViewHistory(), getWatchlist(), getHomeRows()]);
+  recentlyViewed = viewed;
+  myList = saved;
+  renderViewHistory();
+  renderMyList();
+  renderCategoryRows(rows);
   setLoading(false);
+
+  // Recommendations look up many titles, so they load after the rest of the page
+  getRecommendations().then(data => {
+    recommendations = data;
+    renderRecommendations();
+  });
+
+  // Restore a shared or reloaded search from the URL
+  readSearchUrl();
+  if (searchInput.value.trim().length >= 2) runSearch();
+
+  // Open the movie from a shared /movie/:imdbID link
+  const linkedMovieId = getLinkedMovieId();
+  if (linkedMovieId) openMovieModal(linkedMovieId, { updateUrl: false });
 })();
@@ -0,0 +1,451 @@
+/**
+ * Profile page - view and update account details, change password,
+ * two-factor authentication, connect sign-in providers, manage active sessions,
+ * delete account; admins also get a link to the admin console
+ */
+
+const profileForm = document.getElementById('profileForm');
+const passwordForm = document.getElementById('passwordForm');
+const deleteForm = document.getElementById('deleteForm');
+
+/**
+ * Send a JSON request and return the parsed response
+ */
+async function sendJson(url, method, body) {
+  try {
+    const res = await authFetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return await res.json();
+  } catch (err) {
+    return { success: false, message: 'Network error. Please try again.' };
+  }
+}
+
+/**
+ * Say whether the saved email address is confirmed
+ */
+function showEmailStatus(user) {
+  document.getElementById('emailStatus').textContent = !user.email
+    ? ''
+    : user.emailVerified ? 'Confirmed' : 'Not confirmed yet - open the link we emailed you';
+}
+
+/**
+ * Fill the profile form from /api/me
+ */
+async function loadProfile() {
+  try {
+    const res = await authFetch('/api/me');
+    if (res.status === 401) {
+      window.location.href = '/login.html';
+      return;
+    }
+    const data = await res.json();
+    if (!data.success) {
+      document.getElementById('profileError').textContent = data.message || 'Could not load profile';
+      return;
+    }
+    document.getElementById('profileUserId').textContent = data.user.userId;
+    document.getElementById('name').value = data.user.name || '';
+    document.getElementById('email').value = data.user.email || '';
+    document.getElementById('phone').value = data.user.phone || '';
+    showEmailStatus(data.user);
+    document.getElementById('adminLink').classList.toggle('is-hidden', !data.user.isAdmin);
+    if (data.user.emailConflict) {
+      document.getElementById('profileError').textContent =
+        `Your email ${data.user.emailConflict} is shared with another account. Please enter a different email.`;
+    }
+  } catch (err) {
+    document.getElementById('profileError').textContent = 'Network error. Please try again.';
+  }
+}
+
+/**
+ * Show freshly created recovery codes (the only time they are visible)
+ */
+function showRecoveryCodes(codes) {
+  const items = codes.map(code => {
+    const li = document.createElement('li');
+    li.textContent = code;
+    return li;
+  });
+  document.getElementById('recoveryCodeList').replaceChildren(...items);
+  document.getElementById('recoveryCodesBox').classList.remove('is-hidden');
+}
+
+/**
+ * Show the 2FA controls that match /api/me/2fa
+ */
+async function loadTwoFactor() {
+  try {
+    const res = await authFetch('/api/me/2fa');
+    const data = await res.json();
+    if (!data.success) {
+      document.getElementById('twoFactorError').textContent = data.message || 'Could not load two-factor settings';
+      return;
+    }
+    document.getElementById('twoFactorStatus').textContent = data.enabled
+      ? `On. You have ${data.recoveryCodesRemaining} unused recovery code(s).`
+      : 'Off. Ask for a code from an authenticator app each time you sign in.';
+    document.getElementById('twoFactorSetupBtn').classList.toggle('is-hidden', data.enabled);
+    document.getElementById('twoFactorEnableForm').classList.add('is-hidden');
+    document.getElementById('twoFactorManageForm').classList.toggle('is-hidden', !data.enabled);
+  } catch (err) {
+    document.getElementById('twoFactorError').textContent = 'Network error. Please try again.';
+  }
+}
+
+/**
+ * Render one provider row: connected (with Disconnect) or available (with Connect)
+ */
+function createIdentityItem(provider, identity) {
+  const li = document.createElement('li');
+  li.className = 'session-item';
+
+  const info = document.createElement('div');
+  const name = document.createElement('strong');
+  name.textContent = provider.name;
+  const meta = document.createElement('span');
+  meta.className = 'session-meta';
+  meta.textContent = identity ? `Connected${identity.email ? ` as ${identity.email}` : ''}` : 'Not connected';
+  info.append(name, meta);
+  li.appendChild(info);
+
+  if (identity) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn-list';
+    btn.textContent = 'Disconnect';
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      const data = await sendJson(`/api/me/identities/${encodeURIComponent(provider.id)}`, 'DELETE', {});
+      document.getElementById('identitiesError').textContent = data.success ? '' : data.message;
+      document.getElementById('identitiesSuccess').textContent = data.success ? data.message : '';
+      loadIdentities();
+    });
+    li.appendChild(btn);
+  } else {
+    const link = document.createElement('a');
+    link.className = 'btn-list';
+    link.href = `/api/auth/oidc/${encodeURIComponent(provider.id)}/start?mode=link`;
+    link.textContent = 'Connect';
+    li.appendChild(link);
+  }
+  return li;
+}
+
+/**
+ * Fill the connected accounts list; the section only shows when providers are configured
+ */
+async function loadIdentities() {
+  try {
+    const res = await authFetch('/api/me/identities');
+    const data = await res.json();
+    if (!data.success) return;
+    // Connected providers that were since removed from config still show, so they can be disconnected
+    const providers = [...data.providers];
+    data.identities.forEach(identity => {
+      if (!providers.some(p => p.id === identity.provider)) {
+        providers.push({ id: identity.provider, name: identity.name });
+      }
+    });
+    const items = providers.map(provider =>
+      createIdentityItem(provider, data.identities.find(identity => identity.provider === provider.id)));
+    document.getElementById('identityList').replaceChildren(...items);
+    document.getElementById('identitiesSection').classList.toggle('is-hidden', providers.length === 0);
+  } catch (err) {
+    document.getElementById('identitiesError').textContent = 'Network error. Please try again.';
+  }
+}
+
+/**
+ * Show the result of a provider redirect (?linked= or ?error=)
+ */
+function showRedirectResult() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('linked')) {
+    document.getElementById('identitiesSuccess').textContent = 'Account connected';
+  } else if (params.has('error')) {
+    document.getElementById('identitiesError').textContent = params.get('error');
+  }
+}
+
+/**
+ * Short device description from a user agent, e.g. "Chrome on Windows"
+ */
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([token]) => userAgent.includes(token));
+  const os = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+    .find(([token]) => userAgent.includes(token));
+  if (!browser && !os) return userAgent.slice(0, 60);
+  return `${browser ? browser[1] : 'Browser'} on ${os ? os[1] : 'unknown OS'}`;
+}
+
+/**
+ * Render one session row with a sign-out button (none for the current session)
+ */
+function createSessionItem(session) {
+  const li = document.createElement('li');
+  li.className = 'session-item';
+
+  const info = document.createElement('div');
+  const device = document.createElement('strong');
+  device.textContent = describeUserAgent(session.userAgent);
+  const meta = document.createElement('span');
+  meta.className = 'session-meta';
+  meta.textContent = `${session.ip || 'Unknown IP'} · last active ${new Date(session.lastSeenAt).toLocaleString()}`;
+  info.append(device, meta);
+  li.appendChild(info);
+
+  if (session.current) {
+    const badge = document.createElement('span');
+    badge.className = 'session-current';
+    badge.textContent = 'This device';
+    li.appendChild(badge);
+  } else {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn-list';
+    btn.textContent = 'Sign out';
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      const data = await sendJson(`/api/sessions/${encodeURIComponent(session.id)}`, 'DELETE', {});
+      if (!data.success) {
+        document.getElementById('sessionsError').textContent = data.message || 'Could not sign out the session';
+      }
+      loadSessions();
+    });
+    li.appendChild(btn);
+  }
+  return li;
+}
+
+/**
+ * Fill the active sessions list from /api/sessions
+ */
+async function loadSessions() {
+  const list = document.getElementById('sessionList');
+  try {
+    const res = await authFetch('/api/sessions');
+    const data = await res.json();
+    if (!data.success) {
+      document.getElementById('sessionsError').textContent = data.message || 'Could not load sessions';
+      return;
+    }
+    list.replaceChildren(...data.sessions.map(createSessionItem));
+    document.getElementById('revokeOthersBtn').disabled = !data.sessions.some(session => !session.current);
+  } catch (err) {
+    document.getElementById('sessionsError').textContent = 'Network error. Please try again.';
+  }
+}
+
+// Sign out all other sessions
+document.getElementById('revokeOthersBtn').addEventListener('click', async () => {
+  const btn = document.getElementById('revokeOthersBtn');
+  const errorEl = document.getElementById('sessionsError');
+  const successEl = document.getElementById('sessionsSuccess');
+  
+  btn.classList.add('loading');
+  errorEl.textContent = '';
+  successEl.textContent = '';
+  
+  const data = await sendJson('/api/sessions', 'DELETE', {});
+  if (data.success) {
+    successEl.textContent = data.message;
+  } else {
+    errorEl.textContent = data.message || 'Could not sign out other sessions';
+  }
+  btn.classList.remove('loading');
+  loadSessions();
+});
+
+// Start 2FA enrollment: show the QR code and key
+document.getElementById('twoFactorSetupBtn').addEventListener('click', async () => {
+  const btn = document.getElementById('twoFactorSetupBtn');
+  const errorEl = document.getElementById('twoFactorError');
+  
+  btn.classList.add('loading');
+  errorEl.textContent = '';
+  document.getElementById('twoFactorSuccess').textContent = '';
+  
+  const data = await sendJson('/api/me/2fa/setup', 'POST', {});
+  if (data.success) {
+    document.getElementById('twoFactorQr').src = data.qrCode;
+    document.getElementById('twoFactorSecret').textContent = data.secret.match(/.{1,4}/g).join(' ');
+    btn.classList.add('is-hidden');
+    document.getElementById('twoFactorEnableForm').classList.remove('is-hidden');
+    document.getElementById('twoFactorEnableCode').focus();
+  } else {
+    errorEl.textContent = data.message || 'Could not start two-factor setup';
+  }
+  btn.classList.remove('loading');
+});
+
+// Confirm enrollment with the first code
+document.getElementById('twoFactorEnableForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  
+  const btn = document.getElementById('twoFactorEnableBtn');
+  const errorEl = document.getElementById('twoFactorError');
+  const successEl = document.getElementById('twoFactorSuccess');
+  
+  btn.classList.add('loading');
+  errorEl.textContent = '';
+  successEl.textContent = '';
+  
+  const data = await sendJson('/api/me/2fa/enable', 'POST', {
+    code: document.getElementById('twoFactorEnableCode').value.trim(),
+  });
+  
+  if (data.success) {
+    successEl.textContent = data.message;
+    e.target.reset();
+    showRecoveryCodes(data.recoveryCodes);
+    loadTwoFactor();
+  } else {
+    errorEl.textContent = data.message || 'Could not turn on two-factor authentication';
+  }
+  btn.classList.remove('loading');
+});
+
+// Replace the recovery codes
+document.getElementById('recoveryCodesBtn').addEventListener('click', async () => {
+  const btn = document.getElementById('recoveryCodesBtn');
+  const errorEl = document.getElementById('twoFactorError');
+  const successEl = document.getElementById('twoFactorSuccess');
+  
+  btn.classList.add('loading');
+  errorEl.textContent = '';
+  successEl.textContent = '';
+  
+  const data = await sendJson('/api/me/2fa/recovery-codes', 'POST', {
+    password: document.getElementById('twoFactorPassword').value,
+  });
+  
+  if (data.success) {
+    successEl.textContent = data.message;
+    document.getElementById('twoFactorManageForm').reset();
+    showRecoveryCodes(data.recoveryCodes);
+    loadTwoFactor();
+  } else {
+    errorEl.textContent = data.message || 'Could not create recovery codes';
+  }
+  btn.classList.remove('loading');
+});
+
+// Turn 2FA off (password plus a code)
+document.getElementById('twoFactorManageForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  
+  const btn = document.getElementById('twoFactorDisableBtn');
+  const errorEl = document.getElementById('twoFactorError');
+  const successEl = document.getElementById('twoFactorSuccess');
+  
+  btn.classList.add('loading');
+  errorEl.textContent = '';
+  successEl.textContent = '';
+  
+  const data = await sendJson('/api/me/2fa', 'DELETE', {
+    password: document.getElementById('twoFactorPassword').value,
+    code: document.getElementById('twoFactorDisableCode').value.trim(),
+  });
+  
+  if (data.success) {
+    successEl.textContent = data.message;
+    e.target.reset();
+    document.getElementById('recoveryCodesBox').classList.add('is-hidden');
+    loadTwoFactor();
+  } else {
+    errorEl.textContent = data.message || 'Could not turn off two-factor authentication';
+  }
+  btn.classList.remove('loading');
+});
+
+// Update profile
+profileForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  
+  const btn = document.getElementById('profileBtn');
+  const errorEl = document.getElementById('profileError');
+  const successEl = document.getElementById('profileSuccess');
+  
+  btn.classList.add('loading');
+  errorEl.textContent = '';
+  successEl.textContent = '';
+  
+  const data = await sendJson('/api/me', 'PUT', {
+    name: document.getElementById('name').value.trim(),
+    email: document.getElementById('email').value.trim(),
+    phone: document.getElementById('phone').value.trim() || undefined,
+  });
+  
+  if (data.success) {
+    successEl.textContent = data.message;
+    document.getElementById('email').value = data.user.email;
+    showEmailStatus(data.user);
+  } else {
+    errorEl.textContent = data.message || 'Could not update profile';
+  }
+  btn.classList.remove('loading');
+});
+
+// Change password
+passwordForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  
+  const btn = document.getElementById('passwordBtn');
+  const errorEl = document.getElementById('passwordError');
+  const successEl = document.getElementById('passwordSuccess');
+  
+  btn.classList.add('loading');
+  errorEl.textContent = '';
+  successEl.textContent = '';
+  
+  const data = await sendJson('/api/me/password', 'POST', {
+    currentPassword: document.getElementById('currentPassword').value,
+    newPassword: document.getElementById('newPassword').value,
+  });
+  
+  if (data.success) {
+    successEl.textContent = data.message;
+    passwordForm.reset();
+    loadSessions();
+  } else {
+    errorEl.textContent = data.message || 'Could not change password';
+  }
+  btn.classList.remove('loading');
+});
+
+// Delete account
+deleteForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  if (!confirm('Delete your account permanently?')) return;
+  
+  const btn = document.getElementById('deleteBtn');
+  const errorEl = document.getElementById('deleteError');
+  
+  btn.classList.add('loading');
+  errorEl.textContent = '';
+  
+  const data = await sendJson('/api/me', 'DELETE', {
+    password: document.getElementById('deletePassword').value,
+  });
+  
+  if (data.success) {
+    window.location.href = data.redirect || '/';
+    return;
+  }
+  errorEl.textContent = data.message || 'Could not delete account';
+  btn.classList.remove('loading');
+});
+
+loadProfile();
+loadTwoFactor();
+loadIdentities();
+loadSessions();
+showRedirectResult();
@@ -0,0 +1,234 @@
+/**
+ * "Who's watching?" page - pick a viewing profile, or add, edit and delete profiles
+ */
+
+const grid = document.getElementById('profileGrid');
+const editor = document.getElementById('profileEditor');
+const manageBtn = document.getElementById('manageProfilesBtn');
+
+let profiles = [];
+let avatars = [];
+let maxProfiles = 0;
+let managing = false;
+let editing = null; // profile being edited, or null when adding
+
+/**
+ * Coloured circle with the profile's initial
+ */
+function createAvatar(profile) {
+  const avatar = document.createElement('span');
+  avatar.className = `profile-avatar avatar-${profile.avatar}`;
+  avatar.textContent = profile.name.charAt(0).toUpperCase();
+  return avatar;
+}
+
+/**
+ * One tile in the grid: selects the profile, or opens the editor while managing
+ */
+function createProfileTile(profile) {
+  const li = document.createElement('li');
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'profile-tile';
+
+  const name = document.createElement('span');
+  name.className = 'profile-name';
+  name.textContent = profile.name;
+  btn.append(createAvatar(profile), name);
+
+  if (profile.kids) {
+    const badge = document.createElement('span');
+    badge.className = 'profile-kids-badge';
+    badge.textContent = 'Kids';
+    btn.appendChild(badge);
+  }
+
+  btn.addEventListener('click', () => (managing ? openEditor(profile) : selectProfile(profile)));
+  li.appendChild(btn);
+  return li;
+}
+
+/**
+ * "Add Profile" tile, shown while there is room for another profile
+ */
+function createAddTile() {
+  const li = document.createElement('li');
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'profile-tile profile-tile-add';
+
+  const plus = document.createElement('span');
+  plus.className = 'profile-avatar';
+  plus.textContent = '+';
+  const label = document.createElement('span');
+  label.className = 'profile-name';
+  label.textContent = 'Add Profile';
+  btn.append(plus, label);
+
+  btn.addEventListener('click', () => openEditor(null));
+  li.appendChild(btn);
+  return li;
+}
+
+function renderProfiles() {
+  const tiles = profiles.map(createProfileTile);
+  if (managing && profiles.length < maxProfiles) {
+    tiles.push(createAddTile());
+  }
+  grid.replaceChildren(...tiles);
+  grid.classList.toggle('is-managing', managing);
+  document.getElementById('profilesTitle').textContent = managing ? 'Manage profiles' : "Who's watching?";
+  manageBtn.textContent = managing ? 'Done' : 'Manage Profiles';
+}
+
+/**
+ * Load the account's profiles from /api/profiles
+ */
+async function loadProfiles() {
+  try {
+    const res = await authFetch('/api/profiles');
+    if (res.status === 401) {
+      window.location.href = '/login.html';
+      return;
+    }
+    const data = await res.json();
+    if (!data.success) {
+      document.getElementById('profilesError').textContent = data.message || 'Could not load profiles';
+      return;
+    }
+    profiles = data.profiles;
+    avatars = data.avatars;
+    maxProfiles = data.maxProfiles;
+
+    // Kids profiles can switch profiles but not manage them
+    const active = profiles.find(profile => profile.id === data.activeProfileId);
+    manageBtn.classList.toggle('is-hidden', Boolean(active && active.kids));
+    renderProfiles();
+  } catch (err) {
+    document.getElementById('profilesError').textContent = 'Network error. Please try again.';
+  }
+}
+
+async function selectProfile(profile) {
+  const errorEl = document.getElementById('profilesError');
+  errorEl.textContent = '';
+  try {
+    const res = await authFetch(`/api/profiles/${profile.id}/select`, { method: 'POST' });
+    const data = await res.json();
+    if (data.success) {
+      window.location.href = data.redirect || '/home.html';
+      return;
+    }
+    errorEl.textContent = data.message || 'Could not switch profiles';
+  } catch (err) {
+    errorEl.textContent = 'Network error. Please try again.';
+  }
+}
+
+/**
+ * Show the editor for a profile, or for a new one when profile is null
+ */
+function openEditor(profile) {
+  editing = profile;
+  document.getElementById('profileEditorTitle').textContent = profile ? 'Edit Profile' : 'Add Profile';
+  document.getElementById('profileName').value = profile ? profile.name : '';
+  document.getElementById('profileKids').checked = profile ? profile.kids : false;
+  document.getElementById('profileEditorError').textContent = '';
+  document.getElementById('profileDeleteBtn').classList.toggle('is-hidden', !profile || profiles.length === 1);
+
+  const selected = profile ? profile.avatar : avatars[profiles.length % avatars.length];
+  const choices = avatars.map(avatar => {
+    const label = document.createElement('label');
+    label.className = `avatar-choice avatar-${avatar}`;
+    label.title = avatar;
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'avatar';
+    input.value = avatar;
+    input.checked = avatar === selected;
+    input.setAttribute('aria-label', avatar);
+    label.appendChild(input);
+    return label;
+  });
+  const legend = document.querySelector('#avatarChoices legend');
+  document.getElementById('avatarChoices').replaceChildren(legend, ...choices);
+
+  editor.classList.remove('is-hidden');
+  document.getElementById('profileName').focus();
+}
+
+function closeEditor() {
+  editing = null;
+  editor.classList.add('is-hidden');
+}
+
+/**
+ * Send a JSON request and return the parsed response
+ */
+async function sendJson(url, method, body) {
+  try {
+    const res = await authFetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return await res.json();
+  } catch (err) {
+    return { success: false, message: 'Network error. Please try again.' };
+  }
+}
+
+manageBtn.addEventListener('click', () => {
+  managing = !managing;
+  closeEditor();
+  renderProfiles();
+});
+
+document.getElementById('profileCancelBtn').addEventListener('click', closeEditor);
+
+// Save a new or edited profile
+editor.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const btn = document.getElementById('profileSaveBtn');
+  const errorEl = document.getElementById('profileEditorError');
+  btn.classList.add('loading');
+  errorEl.textContent = '';
+
+  const checked = editor.querySelector('input[name="avatar"]:checked');
+  const body = {
+    name: document.getElementById('profileName').value.trim(),
+    avatar: checked ? checked.value : undefined,
+    kids: document.getElementById('profileKids').checked,
+  };
+  const data = editing
+    ? await sendJson(`/api/profiles/${editing.id}`, 'PUT', body)
+    : await sendJson('/api/profiles', 'POST', body);
+
+  btn.classList.remove('loading');
+  if (!data.success) {
+    errorEl.textContent = data.message || 'Could not save the profile';
+    return;
+  }
+  closeEditor();
+  loadProfiles();
+});
+
+// Delete the profile being edited
+document.getElementById('profileDeleteBtn').addEventListener('click', async () => {
+  if (!editing || !confirm(`Delete ${editing.name}? Their list and reviews are deleted too.`)) return;
+
+  const btn = document.getElementById('profileDeleteBtn');
+  btn.classList.add('loading');
+  const data = await sendJson(`/api/profiles/${editing.id}`, 'DELETE', {});
+  btn.classList.remove('loading');
+
+  if (!data.success) {
+    document.getElementById('profileEditorError').textContent = data.message || 'Could not delete the profile';
+    return;
+  }
+  closeEditor();
+  loadProfiles();
+});
+
+loadProfiles();
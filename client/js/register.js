@@ -0,0 +1,52 @@
+/**
+ * Register page - create an account and go straight to the movies
+ */
+
+// "Continue with..." buttons (first sign-in creates the account)
+renderProviderButtons(document.getElementById('providerButtons'));
+
+// Registration form handler
+document.getElementById('registerForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const btn = document.getElementById('registerBtn');
+  const errorEl = document.getElementById('registerError');
+
+  btn.classList.add('loading');
+  errorEl.textContent = '';
+
+  const formData = {
+    userId: document.getElementById('userId').value.trim(),
+    name: document.getElementById('name').value.trim(),
+    email: document.getElementById('email').value.trim(),
+    phone: document.getElementById('phone').value.trim() || undefined,
+    password: document.getElementById('password').value,
+  };
+
+  try {
+    const res = await authFetch('/api/register', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(formData),
+    });
+
+    const data = await res.json();
+
+    if (data.success) {
+      // Small delay to ensure session cookie is set (important for Vercel/serverless)
+      setTimeout(() => {
+        window.location.href = data.redirect || '/home.html';
+      }, 100);
+    } else {
+      errorEl.textContent = data.message || 'Registration failed';
+      // Add helpful hint when userId or email is taken
+      if (data.message && /already (taken|exists|registered)/i.test(data.message)) {
+        errorEl.innerHTML = data.message + ' <a href="login.html" class="error-link">Sign in instead →</a>';
+      }
+      btn.classList.remove('loading');
+    }
+  } catch (err) {
+    errorEl.textContent = 'Network error. Please try again.';
+    btn.classList.remove('loading');
+  }
+});
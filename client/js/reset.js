@@ -0,0 +1,52 @@
+/**
+ * Reset password page - set a new password with the emailed token
+ */
+
+const token = new URLSearchParams(window.location.search).get('token');
+if (!token) {
+  document.getElementById('resetError').textContent = 'This reset link is missing its token. Please request a new one.';
+  document.getElementById('resetBtn').disabled = true;
+}
+
+// Reset password form handler
+document.getElementById('resetForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const btn = document.getElementById('resetBtn');
+  const errorEl = document.getElementById('resetError');
+  const successEl = document.getElementById('resetSuccess');
+  const password = document.getElementById('password').value;
+
+  errorEl.textContent = '';
+  successEl.textContent = '';
+
+  if (password !== document.getElementById('confirmPassword').value) {
+    errorEl.textContent = 'Passwords do not match';
+    return;
+  }
+
+  btn.classList.add('loading');
+
+  try {
+    const res = await authFetch('/api/password/reset', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token, password }),
+    });
+
+    const data = await res.json();
+
+    if (data.success) {
+      successEl.textContent = data.message;
+      setTimeout(() => {
+        window.location.href = data.redirect || '/login.html';
+      }, 1500);
+    } else {
+      errorEl.textContent = data.message || 'Could not reset password';
+      btn.classList.remove('loading');
+    }
+  } catch (err) {
+    errorEl.textContent = 'Network error. Please try again.';
+    btn.classList.remove('loading');
+  }
+});
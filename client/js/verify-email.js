@@ -0,0 +1,40 @@
+/**
+ * Confirm email page - send the emailed token to /api/verify-email
+ */
+
+const token = new URLSearchParams(window.location.search).get('token');
+const statusEl = document.getElementById('verifyStatus');
+const errorEl = document.getElementById('verifyError');
+const continueLink = document.getElementById('verifyContinue');
+
+async function verifyEmail() {
+  if (!token) {
+    statusEl.textContent = '';
+    errorEl.textContent = 'This confirmation link is missing its token. Sign in to get a new one.';
+    return;
+  }
+
+  try {
+    const res = await authFetch('/api/verify-email', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token }),
+    });
+    const data = await res.json();
+    statusEl.textContent = '';
+
+    if (data.success) {
+      document.getElementById('verifySuccess').textContent = data.message;
+      continueLink.href = data.redirect || '/home.html';
+      continueLink.textContent = data.redirect === '/login.html' ? 'Sign In' : 'Continue';
+      continueLink.classList.remove('is-hidden');
+    } else {
+      errorEl.textContent = data.message || 'Could not confirm your email';
+    }
+  } catch (err) {
+    statusEl.textContent = '';
+    errorEl.textContent = 'Network error. Please try again.';
+  }
+}
+
+verifyEmail();
@@ -0,0 +1,222 @@
+/**
+ * Admin console: account roles, search, disabling and usage stats
+ * Admins are ordinary accounts with users.role = 'admin'. Nobody can grant the
+ * role through the API, so the first admin is made from the command line.
+ *
+ * CLI: npm run admin -- grant <userId> | revoke <userId>
+ */
+
+const { getPool } = require('./db');
+const { logger } = require('./logger');
+
+const ROLES = ['user', 'admin'];
+const USERS_PAGE_SIZE = 20;
+const STATS_DEFAULT_DAYS = 30;
+const STATS_MAX_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether the account has the admin role (disabled accounts never do)
+ */
+async function isAdmin(userId) {
+  const [rows] = await getPool().execute(
+    'SELECT role, disabled_at FROM users WHERE userId = ?',
+    [userId]
+  );
+  return rows.length > 0 && rows[0].role === 'admin' && rows[0].disabled_at === null;
+}
+
+/**
+ * Escape LIKE wildcards; queries use ESCAPE '!' (MySQL and SQLite disagree on backslashes)
+ */
+function likePattern(text) {
+  return `%${text.replace(/[!%_]/g, char => `!${char}`)}%`;
+}
+
+function toAdminUser(row) {
+  return {
+    userId: row.userId,
+    name: row.name,
+    email: row.email,
+    role: row.role,
+    emailVerified: row.email_verified_at !== null,
+    disabled: row.disabled_at !== null,
+    disabledAt: row.disabled_at === null ? null : new Date(Number(row.disabled_at)),
+    passwordResetRequired: Boolean(Number(row.password_reset_required)),
+    createdAt: row.created_at === null ? null : new Date(Number(row.created_at)),
+    activeSessions: Number(row.active_sessions),
+  };
+}
+
+/**
+ * One page of accounts, newest first, optionally matching q in userId, name or email
+ * Returns { users, total, page, totalPages }
+ */
+async function listUsers({ q = '', page = 1 } = {}) {
+  const pool = getPool();
+  const search = String(q).trim();
+  const where = search ? "WHERE u.userId LIKE ? ESCAPE '!' OR u.name LIKE ? ESCAPE '!' OR u.email LIKE ? ESCAPE '!'" : '';
+  const params = search ? [likePattern(search), likePattern(search), likePattern(search)] : [];
+
+  const [[{ total }]] = await pool.execute(`SELECT COUNT(*) AS total FROM users u ${where}`, params);
+  const totalPages = Math.max(1, Math.ceil(Number(total) / USERS_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(1, page), totalPages);
+
+  const nowSeconds = Math.round(Date.now() / 1000);
+  const [rows] = await pool.execute(
+    `SELECT u.userId, u.name, u.email, u.role, u.email_verified_at, u.disabled_at,
+       u.password_reset_required, u.created_at,
+       (SELECT COUNT(*) FROM user_sessions us JOIN sessions s ON s.session_id = us.session_id
+        WHERE us.userId = u.userId AND s.expires >= ?) AS active_sessions
+     FROM users u ${where}
+     ORDER BY u.id DESC
+     LIMIT ${USERS_PAGE_SIZE} OFFSET ${(currentPage - 1) * USERS_PAGE_SIZE}`,
+    [nowSeconds, ...params]
+  );
+
+  return { users: rows.map(toAdminUser), total: Number(total), page: currentPage, totalPages };
+}
+
+/**
+ * An account's userId, name and email, or null
+ */
+async function findUser(userId) {
+  const [rows] = await getPool().execute(
+    'SELECT userId, name, email FROM users WHERE userId = ?',
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Disable or re-enable sign-in for an account
+ * Returns false when there is no such account. Callers end its sessions.
+ */
+async function setDisabled(userId, disabled) {
+  const [result] = await getPool().execute(
+    'UPDATE users SET disabled_at = ? WHERE userId = ?',
+    [disabled ? Date.now() : null, userId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Make the account choose a new password before it can sign in again
+ * Cleared by /api/password/reset. Returns false when there is no such account.
+ */
+async function requirePasswordReset(userId) {
+  const [result] = await getPool().execute(
+    'UPDATE users SET password_reset_required = 1 WHERE userId = ?',
+    [userId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Set an account's role ('user' or 'admin')
+ * Returns false when there is no such account
+ */
+async function setRole(userId, role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}". Use ${ROLES.join(' or ')}.`);
+  }
+  const [result] = await getPool().execute('UPDATE users SET role = ? WHERE userId = ?', [role, userId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * UTC calendar day of a timestamp, e.g. "2024-05-01"
+ */
+function dayKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Account totals, signups per UTC day for the last `days` days (oldest first,
+ * days without signups included) and live session counts
+ */
+async function getStats({ days = STATS_DEFAULT_DAYS } = {}) {
+  const pool = getPool();
+  const span = Math.min(Math.max(1, days), STATS_MAX_DAYS);
+  const now = Date.now();
+  const since = Date.parse(dayKey(now - (span - 1) * DAY_MS));
+  const nowSeconds = Math.round(now / 1000);
+
+  const [[[totals]], [signupRows], [[sessions]]] = await Promise.all([
+    pool.execute(
+      `SELECT COUNT(*) AS users,
+         SUM(CASE WHEN role = 'admin' THEN 1 ELSE 0 END) AS admins,
+         SUM(CASE WHEN disabled_at IS NOT NULL THEN 1 ELSE 0 END) AS disabled,
+         SUM(CASE WHEN email_verified_at IS NULL THEN 1 ELSE 0 END) AS unverified
+       FROM users`
+    ),
+    pool.execute('SELECT created_at FROM users WHERE created_at >= ?', [since]),
+    pool.execute(
+      `SELECT COUNT(*) AS active, COUNT(DISTINCT us.userId) AS users
+       FROM user_sessions us JOIN sessions s ON s.session_id = us.session_id
+       WHERE s.expires >= ?`,
+      [nowSeconds]
+    ),
+  ]);
+
+  const counts = new Map();
+  signupRows.forEach(row => {
+    const key = dayKey(Number(row.created_at));
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  const signups = [];
+  for (let i = 0; i < span; i++) {
+    const date = dayKey(since + i * DAY_MS);
+    signups.push({ date, count: counts.get(date) || 0 });
+  }
+
+  return {
+    users: {
+      total: Number(totals.users),
+      admins: Number(totals.admins) || 0,
+      disabled: Number(totals.disabled) || 0,
+      unverified: Number(totals.unverified) || 0,
+    },
+    signups,
+    sessions: { active: Number(sessions.active), users: Number(sessions.users) },
+  };
+}
+
+/**
+ * Command line entry point
+ */
+async function main(argv) {
+  const { initDatabase, closeDatabase } = require('./db');
+  const [command, userId] = argv;
+  if (!['grant', 'revoke'].includes(command) || !userId) {
+    throw new Error('Usage: admin grant <userId> | admin revoke <userId>');
+  }
+  await initDatabase();
+  try {
+    const found = await setRole(userId, command === 'grant' ? 'admin' : 'user');
+    if (!found) {
+      throw new Error(`No account with userId "${userId}"`);
+    }
+    logger.info(command === 'grant' ? 'Admin role granted' : 'Admin role revoked', { userId });
+  } finally {
+    await closeDatabase();
+  }
+}
+
+module.exports = {
+  ROLES,
+  isAdmin,
+  listUsers,
+  findUser,
+  setDisabled,
+  requirePasswordReset,
+  setRole,
+  getStats,
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    logger.error('Admin command failed', { error });
+    process.exit(1);
+  });
+}
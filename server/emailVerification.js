@@ -0,0 +1,167 @@
+/**
+ * Email verification for new accounts
+ * Registration sends a signed, expiring link (HMAC-SHA256 over userId, email and
+ * expiry), so no token table is needed: a link stops working once it expires or
+ * the account's email changes. Until the link is opened the account is
+ * "unverified" and the features in UNVERIFIED_RESTRICTIONS are refused.
+ *
+ * Environment:
+ *   EMAIL_VERIFICATION_SECRET=...          signing key (default: SESSION_SECRET)
+ *   EMAIL_VERIFICATION_TTL_MS=86400000     how long a link works (default 24 hours)
+ *   EMAIL_VERIFICATION_RESEND_MS=60000     minimum wait between emails (default 1 minute)
+ *   UNVERIFIED_RESTRICTIONS=reviews        comma list of: reviews, watchlist, profiles
+ *                                          (empty = no restrictions)
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const { getPool } = require('./db');
+const { sendMail } = require('./mailer');
+
+// Features that can be held back until the email is verified
+const RESTRICTABLE_FEATURES = ['reviews', 'watchlist', 'profiles'];
+const DEFAULT_RESTRICTIONS = 'reviews';
+
+function getVerificationConfig() {
+  const restrictions = process.env.UNVERIFIED_RESTRICTIONS !== undefined
+    ? process.env.UNVERIFIED_RESTRICTIONS
+    : DEFAULT_RESTRICTIONS;
+  return {
+    secret: process.env.EMAIL_VERIFICATION_SECRET || process.env.SESSION_SECRET || 'movie-app-secret-change-in-production',
+    ttlMs: parseInt(process.env.EMAIL_VERIFICATION_TTL_MS) || 24 * 60 * 60 * 1000,
+    resendIntervalMs: parseInt(process.env.EMAIL_VERIFICATION_RESEND_MS) || 60 * 1000,
+    restrictions: restrictions
+      .split(',')
+      .map(feature => feature.trim().toLowerCase())
+      .filter(feature => RESTRICTABLE_FEATURES.includes(feature)),
+  };
+}
+
+// ============ SIGNED TOKENS ============
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Token for a verification link: base64url(JSON payload) + "." + signature
+ */
+function createVerificationToken(userId, email, now = Date.now()) {
+  const { secret, ttlMs } = getVerificationConfig();
+  const payload = Buffer.from(JSON.stringify({ u: userId, e: email, x: now + ttlMs })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Check a token's signature and expiry
+ * Returns { userId, email } or null when the token is forged, malformed or expired
+ */
+function readVerificationToken(token, now = Date.now()) {
+  const [payload, signature, extra] = String(token || '').split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload, getVerificationConfig().secret));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!data || typeof data.u !== 'string' || typeof data.e !== 'string' || !(data.x > now)) return null;
+  return { userId: data.u, email: data.e };
+}
+
+// ============ ACCOUNTS ============
+
+/**
+ * Verification state of an account
+ * Returns { verified, email, resendAvailableInSeconds } or null for unknown users
+ */
+async function getVerificationStatus(userId) {
+  const [rows] = await getPool().execute(
+    'SELECT email, email_verified_at, verification_sent_at FROM users WHERE userId = ?',
+    [userId]
+  );
+  if (rows.length === 0) return null;
+
+  const { resendIntervalMs } = getVerificationConfig();
+  const nextSend = (Number(rows[0].verification_sent_at) || 0) + resendIntervalMs;
+  return {
+    verified: rows[0].email_verified_at !== null,
+    email: rows[0].email,
+    resendAvailableInSeconds: Math.max(0, Math.ceil((nextSend - Date.now()) / 1000)),
+  };
+}
+
+/**
+ * Email a verification link to the account's current address
+ * baseUrl is the app origin for the link. Callers check the resend wait first.
+ */
+async function sendVerificationEmail(user, baseUrl) {
+  const { ttlMs } = getVerificationConfig();
+  const token = createVerificationToken(user.userId, user.email);
+  await getPool().execute(
+    'UPDATE users SET verification_sent_at = ? WHERE userId = ?',
+    [Date.now(), user.userId]
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your Movie App email',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Please confirm that ${user.email} belongs to your account "${user.userId}".`,
+      `Open this link within ${Math.round(ttlMs / 3600000)} hours:`,
+      `${baseUrl}/verify-email.html?token=${token}`,
+      '',
+      'If you did not create this account, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Mark an account verified from a link token
+ * Returns the userId, or null when the token is invalid, expired or for an old address
+ */
+async function verifyEmailToken(token) {
+  const data = readVerificationToken(token);
+  if (!data) return null;
+
+  const pool = getPool();
+  const [rows] = await pool.execute(
+    'SELECT email, email_verified_at FROM users WHERE userId = ?',
+    [data.userId]
+  );
+  if (rows.length === 0 || rows[0].email !== data.email) return null;
+
+  if (rows[0].email_verified_at === null) {
+    await pool.execute(
+      'UPDATE users SET email_verified_at = ? WHERE userId = ? AND email = ?',
+      [Date.now(), data.userId, data.email]
+    );
+  }
+  return data.userId;
+}
+
+/**
+ * Whether unverified accounts are kept from a feature (see RESTRICTABLE_FEATURES)
+ */
+function isRestricted(feature) {
+  return getVerificationConfig().restrictions.includes(feature);
+}
+
+module.exports = {
+  RESTRICTABLE_FEATURES,
+  getVerificationConfig,
+  createVerificationToken,
+  readVerificationToken,
+  getVerificationStatus,
+  sendVerificationEmail,
+  verifyEmailToken,
+  isRestricted,
+};
@@ -0,0 +1,156 @@
+/**
+ * Structured JSON logging
+ * Every entry is one line of JSON: { time, level, msg, ...fields }. Fields that hold
+ * credentials (cookies, session ids, tokens, passwords) are replaced with "[REDACTED]"
+ * at any depth, and errors are reduced to name, message, code and stack.
+ * requestLogging() gives each request an id (X-Request-Id) and writes an access log line.
+ *
+ * Environment:
+ *   LOG_LEVEL=info     debug, info, warn, error or silent (read on every call)
+ */
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = 'info';
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are never written, e.g. cookie, sessionId, session_id, csrfToken, password
+const SENSITIVE_KEY = /cookie|authorization|password|secret|token|session_?id|^sid$/i;
+// Credentials inside free text: cookie values and secret query parameters
+const SENSITIVE_TEXT = /\b(connect\.sid|token|code|state|password)=[^&;\s"']+/gi;
+// Deeper structures are summarised rather than walked
+const MAX_DEPTH = 5;
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Ids from upstream proxies are reused when they look like ids, so logs can be joined
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Numeric threshold for LOG_LEVEL; unknown values fall back to info
+ */
+function getThreshold() {
+  const level = (process.env.LOG_LEVEL || DEFAULT_LEVEL).trim().toLowerCase();
+  if (level === 'silent') return Infinity;
+  return LEVELS[level] || LEVELS[DEFAULT_LEVEL];
+}
+
+function redactText(text) {
+  return text.replace(SENSITIVE_TEXT, (match, name) => `${name}=${REDACTED}`);
+}
+
+/**
+ * Copy a value into something JSON.stringify can write safely
+ * Redacts sensitive keys and text, flattens errors and dates, and stops at cycles
+ */
+function sanitize(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactText(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' || typeof value === 'symbol' ? undefined : value;
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redactText(value.message) };
+    if (value.code !== undefined) error.code = value.code;
+    if (value.status !== undefined) error.status = value.status;
+    if (value.stack) error.stack = redactText(value.stack);
+    return error;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, depth + 1, seen));
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = SENSITIVE_KEY.test(key) ? REDACTED : sanitize(item, depth + 1, seen);
+  });
+  return copy;
+}
+
+/**
+ * Default output: warnings and errors on stderr, the rest on stdout
+ */
+function writeLine(level, line) {
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Create a logger with debug/info/warn/error(msg, fields) and child(fields)
+ * bindings are added to every entry (e.g. { requestId }); write(level, line) replaces
+ * the default output, which tests use to capture entries
+ */
+function createLogger({ bindings = {}, write = writeLine } = {}) {
+  const log = (level, msg, fields = {}) => {
+    if (LEVELS[level] < getThreshold()) return;
+    // An Error on its own is logged as { error }
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const entry = sanitize({ ...bindings, ...extra });
+    write(level, JSON.stringify({ time: new Date().toISOString(), level, msg: redactText(String(msg)), ...entry }));
+  };
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    child: fields => createLogger({ bindings: { ...bindings, ...fields }, write }),
+  };
+}
+
+const logger = createLogger();
+
+/**
+ * Middleware factory: request ids and access logs
+ * Sets req.id and req.log (a child logger tagged with requestId), echoes the id in the
+ * X-Request-Id response header and logs method, path (without the query string),
+ * status and latency when the response finishes. Health checks log at debug level.
+ */
+function requestLogging(baseLogger = logger) {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = baseLogger.child({ requestId: req.id });
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const started = process.hrtime.bigint();
+    let logged = false;
+    const logAccess = () => {
+      if (logged) return;
+      logged = true;
+      const fields = {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.writableFinished ? res.statusCode : null,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || null,
+        userId: (req.session && req.session.userId) || null,
+      };
+      if (!res.writableFinished) {
+        req.log.warn('request aborted', fields);
+      } else if (res.statusCode >= 500) {
+        req.log.error('request failed', fields);
+      } else if (fields.path === '/api/health' || fields.path === '/api/ready') {
+        req.log.debug('request completed', fields);
+      } else {
+        req.log.info('request completed', fields);
+      }
+    };
+    res.on('finish', logAccess);
+    res.on('close', logAccess);
+    next();
+  };
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  logger,
+  createLogger,
+  sanitize,
+  requestLogging,
+};
@@ -0,0 +1,192 @@
+/**
+ * Login throttling and temporary lockout
+ * Failed logins are counted per IP and per userId in the login_attempts table,
+ * so limits hold across serverless instances. After a few free attempts each
+ * failure doubles the wait, and too many failures lock the key for a while.
+ * Password reset emails use the same table, counting every request per IP and per email;
+ * only the IP limit is visible to the caller (see checkResetAllowed).
+ */
+
+require('dotenv').config();
+
+const { getPool } = require('./db');
+
+/**
+ * Read throttling policy from the environment
+ * IP limits are looser than userId limits because many users can share one IP
+ */
+function getThrottleConfig() {
+  const lockoutMs = parseInt(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000; // 15 minutes
+  return {
+    windowMs: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MS) || 60 * 60 * 1000, // failures are forgotten after 1 hour
+    baseDelayMs: parseInt(process.env.LOGIN_BACKOFF_BASE_MS) || 1000,
+    user: {
+      freeAttempts: parseInt(process.env.LOGIN_USER_FREE_ATTEMPTS) || 3,
+      lockAfter: parseInt(process.env.LOGIN_USER_LOCK_AFTER) || 10,
+      lockoutMs,
+    },
+    ip: {
+      freeAttempts: parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS) || 10,
+      lockAfter: parseInt(process.env.LOGIN_IP_LOCK_AFTER) || 50,
+      lockoutMs,
+    },
+  };
+}
+
+/**
+ * Policy for password reset emails; every request counts, so the limits are low
+ */
+function getResetThrottleConfig() {
+  const { windowMs, baseDelayMs, user, ip } = getThrottleConfig();
+  return {
+    windowMs,
+    baseDelayMs,
+    user: {
+      freeAttempts: parseInt(process.env.PASSWORD_RESET_EMAIL_FREE_REQUESTS) || 3,
+      lockAfter: parseInt(process.env.PASSWORD_RESET_EMAIL_LOCK_AFTER) || 5,
+      lockoutMs: user.lockoutMs,
+    },
+    ip: {
+      freeAttempts: parseInt(process.env.PASSWORD_RESET_IP_FREE_REQUESTS) || 10,
+      lockAfter: parseInt(process.env.PASSWORD_RESET_IP_LOCK_AFTER) || 20,
+      lockoutMs: ip.lockoutMs,
+    },
+  };
+}
+
+/**
+ * How long a key must wait after its latest failure (0 = no wait)
+ */
+function getDelayMs(failures, policy, baseDelayMs) {
+  if (failures < policy.freeAttempts) return 0;
+  if (failures >= policy.lockAfter) return policy.lockoutMs;
+  return Math.min(baseDelayMs * 2 ** (failures - policy.freeAttempts), policy.lockoutMs);
+}
+
+/**
+ * Throttle keys for an attempt: always the IP, plus the userId when given
+ */
+function keysFor(ip, userId) {
+  const keys = [{ kind: 'ip', key: `ip:${ip}` }];
+  if (userId) keys.push({ kind: 'user', key: `user:${String(userId).toLowerCase()}` });
+  return keys;
+}
+
+/**
+ * Throttle keys for a password reset request: always the IP, plus the email when given
+ */
+function resetKeysFor(ip, email) {
+  const keys = [{ kind: 'ip', key: `reset-ip:${ip}` }];
+  if (email) keys.push({ kind: 'user', key: `reset-email:${String(email).toLowerCase()}` });
+  return keys;
+}
+
+/**
+ * Whether none of the keys is blocked
+ * Returns { allowed: true } or { allowed: false, retryAfterSeconds }
+ */
+async function checkAllowed(throttleKeys) {
+  const pool = getPool();
+  const keys = throttleKeys.map(k => k.key);
+  const [rows] = await pool.execute(
+    `SELECT attempt_key, blocked_until FROM login_attempts WHERE attempt_key IN (${keys.map(() => '?').join(', ')})`,
+    keys
+  );
+
+  const now = Date.now();
+  const blockedUntil = Math.max(0, ...rows.map(row => Number(row.blocked_until) || 0));
+  if (blockedUntil > now) {
+    return { allowed: false, retryAfterSeconds: Math.ceil((blockedUntil - now) / 1000) };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Count an attempt against each key and block the keys that reached their policy's limit
+ */
+async function recordAttempt(throttleKeys, config) {
+  const pool = getPool();
+  const now = Date.now();
+
+  for (const { kind, key } of throttleKeys) {
+    // Start counting again when the previous failure is older than the window
+    await pool.execute(
+      `INSERT INTO login_attempts (attempt_key, failures, last_failure_at, blocked_until) VALUES (?, 1, ?, 0)
+       ON DUPLICATE KEY UPDATE
+         failures = CASE WHEN last_failure_at < ? THEN 1 ELSE failures + 1 END,
+         last_failure_at = VALUES(last_failure_at)`,
+      [key, now, now - config.windowMs]
+    );
+    const [[row]] = await pool.execute(
+      'SELECT failures FROM login_attempts WHERE attempt_key = ?',
+      [key]
+    );
+    const delayMs = getDelayMs(row.failures, config[kind], config.baseDelayMs);
+    await pool.execute(
+      'UPDATE login_attempts SET blocked_until = ? WHERE attempt_key = ?',
+      [delayMs > 0 ? now + delayMs : 0, key]
+    );
+  }
+}
+
+/**
+ * Check whether a login attempt may proceed
+ * Returns { allowed: true } or { allowed: false, retryAfterSeconds }
+ */
+function checkLoginAllowed(ip, userId) {
+  return checkAllowed(keysFor(ip, userId));
+}
+
+/**
+ * Count a failed login against the IP and the userId
+ */
+function recordLoginFailure(ip, userId) {
+  return recordAttempt(keysFor(ip, userId), getThrottleConfig());
+}
+
+/**
+ * Check a password reset request
+ * Returns { allowed: false, retryAfterSeconds } while the IP is blocked, else
+ * { allowed: true, send }. send is false while the email is over its limit: the
+ * caller answers as usual but sends nothing, so a stranger cannot get a visible
+ * lockout on someone else's address
+ */
+async function checkResetAllowed(ip, email) {
+  const [ipKey, emailKey] = resetKeysFor(ip, email);
+  const byIp = await checkAllowed([ipKey]);
+  if (!byIp.allowed) return byIp;
+  const byEmail = await checkAllowed([emailKey]);
+  return { allowed: true, send: byEmail.allowed };
+}
+
+/**
+ * Count a password reset request against the IP, and against the email when given
+ * Callers leave the email out for requests that send nothing, so they cannot extend its block
+ */
+function recordResetRequest(ip, email = null) {
+  return recordAttempt(resetKeysFor(ip, email), getResetThrottleConfig());
+}
+
+/**
+ * Clear the userId's failures after a successful login and prune stale rows
+ * The IP counter is kept so one valid account cannot reset an attacker's IP
+ */
+async function recordLoginSuccess(ip, userId) {
+  const pool = getPool();
+  const config = getThrottleConfig();
+  const userKey = keysFor(ip, userId)[1].key;
+
+  await pool.execute('DELETE FROM login_attempts WHERE attempt_key = ?', [userKey]);
+  await pool.execute(
+    'DELETE FROM login_attempts WHERE last_failure_at < ? AND blocked_until < ?',
+    [Date.now() - config.windowMs, Date.now()]
+  );
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  checkResetAllowed,
+  recordResetRequest,
+};
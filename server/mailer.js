@@ -0,0 +1,96 @@
+/**
+ * Outgoing email with pluggable transports
+ * MAIL_TRANSPORT=smtp    - send through SMTP_* settings (nodemailer)
+ * MAIL_TRANSPORT=file    - write each message as JSON into MAIL_FILE_DIR (local testing)
+ * MAIL_TRANSPORT=console - log each message, tokens redacted (default without SMTP_HOST,
+ *                          except in production, where links must not end up in logs)
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { logger } = require('./logger');
+
+const DEFAULT_FROM = 'Movie App <no-reply@movie-app.local>';
+const DEFAULT_FILE_DIR = path.join(__dirname, '../mail-outbox');
+
+let smtpTransport = null;
+
+/**
+ * Default transport: smtp when SMTP_HOST is set, else console outside production, else none
+ */
+function getDefaultTransport() {
+  if (process.env.SMTP_HOST) return 'smtp';
+  return process.env.NODE_ENV === 'production' ? null : 'console';
+}
+
+/**
+ * Read mail settings from the environment
+ */
+function getMailConfig() {
+  return {
+    transport: process.env.MAIL_TRANSPORT || getDefaultTransport(),
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    fileDir: process.env.MAIL_FILE_DIR || DEFAULT_FILE_DIR,
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    },
+  };
+}
+
+const transports = {
+  async smtp(message, config) {
+    if (!smtpTransport) {
+      const nodemailer = require('nodemailer');
+      smtpTransport = nodemailer.createTransport(config.smtp);
+    }
+    await smtpTransport.sendMail(message);
+  },
+
+  async file(message, config) {
+    await fs.promises.mkdir(config.fileDir, { recursive: true });
+    const safeTo = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const fileName = `${Date.now()}-${safeTo}.json`;
+    await fs.promises.writeFile(
+      path.join(config.fileDir, fileName),
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+  },
+
+  // Logged like everything else, so tokens in links are redacted; use file to follow links
+  async console(message) {
+    logger.info('Email (console transport)', { to: message.to, subject: message.subject, text: message.text });
+  },
+};
+
+/**
+ * Throw unless the settings name a usable transport; the server checks this at startup
+ */
+function checkMailConfig(config = getMailConfig()) {
+  if (!config.transport) {
+    throw new Error('No mail transport in production: set SMTP_HOST (or MAIL_TRANSPORT)');
+  }
+  if (!transports[config.transport]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${config.transport}" (use smtp, file or console)`);
+  }
+  if (config.transport === 'smtp' && !config.smtp.host) {
+    throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+  }
+}
+
+/**
+ * Send an email: { to, subject, text, html? }
+ */
+async function sendMail({ to, subject, text, html }) {
+  const config = getMailConfig();
+  checkMailConfig(config);
+  await transports[config.transport]({ from: config.from, to, subject, text, html }, config);
+}
+
+module.exports = { sendMail, getMailConfig, checkMailConfig };
@@ -0,0 +1,196 @@
+/**
+ * Versioned schema migrations
+ * Each file in server/migrations is NNN_description.js exporting async up(connection)
+ * and down(connection). Applied versions are recorded in schema_migrations.
+ *
+ * CLI: npm run migrate | npm run migrate:down [-- steps] | npm run migrate:status
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_NAME = 'movie_app_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+/**
+ * Load migration modules sorted by version
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = /^(\d+)_([\w-]+)\.js$/.exec(file);
+      if (!match) return null;
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: parseInt(match[1], 10), name: match[2], file, ...migration };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Create the tracking table on first use
+ */
+async function ensureMigrationsTable(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT NOT NULL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Versions already recorded in schema_migrations
+ */
+async function getAppliedVersions(connection) {
+  const [rows] = await connection.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(rows.map(row => Number(row.version)));
+}
+
+/**
+ * Run fn while holding a MySQL named lock, so concurrently starting
+ * serverless instances apply migrations one at a time
+ */
+async function withMigrationLock(pool, fn) {
+  const connection = await pool.getConnection();
+  try {
+    const [[{ acquired }]] = await connection.query(
+      'SELECT GET_LOCK(?, ?) AS acquired',
+      [LOCK_NAME, LOCK_TIMEOUT_SECONDS]
+    );
+    if (Number(acquired) !== 1) {
+      throw new Error(`Timed out waiting for the migration lock after ${LOCK_TIMEOUT_SECONDS}s`);
+    }
+    try {
+      await ensureMigrationsTable(connection);
+      return await fn(connection);
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Apply all pending migrations in order
+ * Returns the list of versions applied
+ */
+async function migrateUp(pool) {
+  const migrations = loadMigrations();
+  return withMigrationLock(pool, async (connection) => {
+    // Read applied versions under the lock: another instance may have just migrated
+    const applied = await getAppliedVersions(connection);
+    const ran = [];
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+      logger.info('Applying migration', { migration: migration.file });
+      await migration.up(connection);
+      await connection.query(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      ran.push(migration.version);
+    }
+    if (ran.length === 0) {
+      logger.info('Database schema is up to date');
+    } else {
+      logger.info(`Applied ${ran.length} migration(s)`, { versions: ran });
+    }
+    return ran;
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * Returns the list of versions rolled back
+ */
+async function migrateDown(pool, steps = 1) {
+  const migrations = loadMigrations();
+  return withMigrationLock(pool, async (connection) => {
+    const applied = await getAppliedVersions(connection);
+    const toRollBack = migrations
+      .filter(migration => applied.has(migration.version))
+      .reverse()
+      .slice(0, steps);
+    const rolledBack = [];
+    for (const migration of toRollBack) {
+      logger.info('Rolling back migration', { migration: migration.file });
+      await migration.down(connection);
+      await connection.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      rolledBack.push(migration.version);
+    }
+    if (rolledBack.length === 0) {
+      logger.info('No migrations to roll back');
+    }
+    return rolledBack;
+  });
+}
+
+/**
+ * List every migration with whether it has been applied
+ */
+async function migrationStatus(pool) {
+  const migrations = loadMigrations();
+  const connection = await pool.getConnection();
+  try {
+    await ensureMigrationsTable(connection);
+    const [rows] = await connection.query('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(rows.map(row => [Number(row.version), row.applied_at]));
+    return migrations.map(migration => ({
+      version: migration.version,
+      file: migration.file,
+      applied: appliedAt.has(migration.version),
+      appliedAt: appliedAt.get(migration.version) || null,
+    }));
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Command line entry point
+ */
+async function main(argv) {
+  const { connectDatabase, closeDatabase } = require('./db');
+  const [command = 'up', arg] = argv;
+  const pool = await connectDatabase();
+  try {
+    if (command === 'up') {
+      await migrateUp(pool);
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Usage: migrate down [steps] (steps must be a positive number)');
+      }
+      await migrateDown(pool, steps);
+    } else if (command === 'status') {
+      const status = await migrationStatus(pool);
+      status.forEach(migration => {
+        const state = migration.applied
+          ? `applied ${new Date(migration.appliedAt).toISOString()}`
+          : 'pending';
+        console.log(`${migration.file}  ${state}`);
+      });
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status.`);
+    }
+  } finally {
+    await closeDatabase();
+  }
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus };
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    logger.error('Migration failed', { error });
+    process.exit(1);
+  });
+}
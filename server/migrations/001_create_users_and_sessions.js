@@ -0,0 +1,31 @@
+/**
+ * Initial schema: users and the express-mysql-session sessions table
+ * IF NOT EXISTS keeps this safe on deployments created before migrations existed
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        userId VARCHAR(100) UNIQUE,
+        name VARCHAR(100),
+        email VARCHAR(150),
+        phone VARCHAR(20),
+        password VARCHAR(255)
+      )
+    `);
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        session_id VARCHAR(128) COLLATE utf8mb4_bin NOT NULL PRIMARY KEY,
+        expires INT UNSIGNED NOT NULL,
+        data MEDIUMTEXT COLLATE utf8mb4_bin
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS sessions');
+    await connection.query('DROP TABLE IF EXISTS users');
+  },
+};
@@ -0,0 +1,19 @@
+/**
+ * OMDb response cache shared by all server instances
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS omdb_cache (
+        cache_key VARCHAR(255) NOT NULL PRIMARY KEY,
+        payload MEDIUMTEXT NOT NULL,
+        expires BIGINT NOT NULL
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS omdb_cache');
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * Per-user watchlist ("My List")
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS watchlist (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        userId VARCHAR(100) NOT NULL,
+        imdbID VARCHAR(20) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        year VARCHAR(20),
+        poster VARCHAR(500),
+        type VARCHAR(20),
+        position INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_watchlist_user_movie (userId, imdbID),
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS watchlist');
+  },
+};
@@ -0,0 +1,26 @@
+/**
+ * Ratings and reviews (one per user per movie)
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS reviews (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        userId VARCHAR(100) NOT NULL,
+        imdbID VARCHAR(20) NOT NULL,
+        rating TINYINT UNSIGNED NOT NULL,
+        review TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_reviews_user_movie (userId, imdbID),
+        KEY idx_reviews_movie (imdbID, created_at),
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS reviews');
+  },
+};
@@ -0,0 +1,21 @@
+/**
+ * Failed login tracking (keys look like "ip:1.2.3.4" or "user:john_doe")
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        attempt_key VARCHAR(255) NOT NULL PRIMARY KEY,
+        failures INT NOT NULL DEFAULT 0,
+        last_failure_at BIGINT NOT NULL,
+        blocked_until BIGINT NOT NULL DEFAULT 0,
+        KEY idx_login_attempts_last_failure (last_failure_at)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS login_attempts');
+  },
+};
@@ -0,0 +1,47 @@
+/**
+ * Unique, lowercase emails
+ * When several accounts share an email, the oldest keeps it and the others get
+ * email = NULL with the old address saved in email_conflict, so they are asked
+ * to choose a new email on their profile page
+ */
+
+const { logger } = require('../logger');
+
+module.exports = {
+  async up(connection) {
+    // Deployments that ran the pre-migration startup code may already have these
+    const [columns] = await connection.query("SHOW COLUMNS FROM users LIKE 'email_conflict'");
+    if (columns.length === 0) {
+      await connection.query('ALTER TABLE users ADD COLUMN email_conflict VARCHAR(150) AFTER email');
+    }
+
+    const [indexes] = await connection.query("SHOW INDEX FROM users WHERE Key_name = 'uniq_users_email'");
+    if (indexes.length > 0) return;
+
+    await connection.query('UPDATE users SET email = LOWER(TRIM(email)) WHERE email IS NOT NULL');
+    const [duplicates] = await connection.query(
+      `SELECT u.id, u.userId, u.email FROM users u
+       JOIN (SELECT email, MIN(id) AS keepId FROM users WHERE email IS NOT NULL
+             GROUP BY email HAVING COUNT(*) > 1) d ON d.email = u.email
+       WHERE u.id <> d.keepId`
+    );
+    for (const user of duplicates) {
+      await connection.execute(
+        'UPDATE users SET email_conflict = email, email = NULL WHERE id = ?',
+        [user.id]
+      );
+      logger.warn('Duplicate email cleared (kept on the oldest account)', { userId: user.userId, email: user.email });
+    }
+
+    await connection.query('ALTER TABLE users ADD UNIQUE KEY uniq_users_email (email)');
+  },
+
+  async down(connection) {
+    await connection.query('ALTER TABLE users DROP INDEX uniq_users_email');
+    // Give conflicted accounts their old address back before dropping the column
+    await connection.query(
+      'UPDATE users SET email = email_conflict WHERE email IS NULL AND email_conflict IS NOT NULL'
+    );
+    await connection.query('ALTER TABLE users DROP COLUMN email_conflict');
+  },
+};
@@ -0,0 +1,25 @@
+/**
+ * Who owns each session, plus device details for the session list
+ * Rows point at sessions.session_id; the session store itself is unchanged
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        session_id VARCHAR(128) COLLATE utf8mb4_bin NOT NULL PRIMARY KEY,
+        userId VARCHAR(100) NOT NULL,
+        user_agent VARCHAR(255),
+        ip VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at BIGINT NOT NULL,
+        KEY idx_user_sessions_user (userId),
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS user_sessions');
+  },
+};
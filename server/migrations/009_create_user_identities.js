@@ -0,0 +1,26 @@
+/**
+ * External sign-in identities (OpenID Connect) linked to local users
+ * A user has at most one identity per provider; subjects are case-sensitive
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        userId VARCHAR(100) NOT NULL,
+        provider VARCHAR(50) NOT NULL,
+        subject VARCHAR(255) COLLATE utf8mb4_bin NOT NULL,
+        email VARCHAR(150),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_identities_provider_subject (provider, subject),
+        UNIQUE KEY uniq_identities_user_provider (userId, provider),
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS user_identities');
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * TOTP two-factor authentication
+ * user_two_factor holds one secret per user; enabled_at stays NULL until the
+ * first code is confirmed. last_used_step stops a code from being replayed.
+ * user_recovery_codes holds SHA-256 hashes of one-time recovery codes.
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS user_two_factor (
+        userId VARCHAR(100) PRIMARY KEY,
+        secret VARCHAR(64) NOT NULL,
+        enabled_at BIGINT,
+        last_used_step BIGINT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        userId VARCHAR(100) NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at BIGINT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_recovery_codes_user (userId),
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS user_recovery_codes');
+    await connection.query('DROP TABLE IF EXISTS user_two_factor');
+  },
+};
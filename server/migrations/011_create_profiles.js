@@ -0,0 +1,137 @@
+/**
+ * Viewing profiles: an account has several named viewers, each with its own
+ * My List and reviews
+ * Every existing account gets one profile named after the user, and its
+ * watchlist and reviews move to that profile. watchlist and reviews are
+ * rebuilt (profileId instead of userId) because their unique keys change.
+ */
+
+const WATCHLIST_COLUMNS = 'imdbID, title, year, poster, type, position, created_at';
+const REVIEW_COLUMNS = 'imdbID, rating, review, created_at, updated_at';
+
+// "a.col1, a.col2, ..." for a column list
+const prefixed = (columns, alias) => columns.split(', ').map(column => `${alias}.${column}`).join(', ');
+
+/**
+ * Replace table with a copy built by createSql/copySql, then rename the copy
+ * Works on MySQL and SQLite alike; leftovers from an interrupted run are dropped first
+ */
+async function rebuildTable(connection, table, createSql, copySql) {
+  const copy = `${table}_rebuild`;
+  await connection.query(`DROP TABLE IF EXISTS ${copy}`);
+  await connection.query(createSql(copy));
+  await connection.query(copySql(copy));
+  await connection.query(`DROP TABLE ${table}`);
+  await connection.query(`ALTER TABLE ${copy} RENAME TO ${table}`);
+}
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS profiles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        userId VARCHAR(100) NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        avatar VARCHAR(20) NOT NULL DEFAULT 'red',
+        is_kids TINYINT(1) NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_profiles_user_name (userId, name),
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
+    await connection.query(`
+      INSERT INTO profiles (userId, name)
+      SELECT userId, SUBSTR(COALESCE(NULLIF(name, ''), userId), 1, 50) FROM users
+      WHERE userId NOT IN (SELECT userId FROM profiles)
+    `);
+
+    // Each account has exactly one profile at this point, so the joins are one-to-one
+    await rebuildTable(connection, 'watchlist', table => `
+      CREATE TABLE ${table} (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        profileId INT NOT NULL,
+        imdbID VARCHAR(20) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        year VARCHAR(20),
+        poster VARCHAR(500),
+        type VARCHAR(20),
+        position INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_watchlist_profile_movie (profileId, imdbID),
+        FOREIGN KEY (profileId) REFERENCES profiles(id) ON DELETE CASCADE
+      )
+    `, table => `
+      INSERT INTO ${table} (id, profileId, ${WATCHLIST_COLUMNS})
+      SELECT w.id, p.id, ${prefixed(WATCHLIST_COLUMNS, 'w')}
+      FROM watchlist w JOIN profiles p ON p.userId = w.userId
+    `);
+
+    await rebuildTable(connection, 'reviews', table => `
+      CREATE TABLE ${table} (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        profileId INT NOT NULL,
+        imdbID VARCHAR(20) NOT NULL,
+        rating TINYINT UNSIGNED NOT NULL,
+        review TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_reviews_profile_movie (profileId, imdbID),
+        KEY idx_reviews_movie_created (imdbID, created_at),
+        FOREIGN KEY (profileId) REFERENCES profiles(id) ON DELETE CASCADE
+      )
+    `, table => `
+      INSERT INTO ${table} (id, profileId, ${REVIEW_COLUMNS})
+      SELECT r.id, p.id, ${prefixed(REVIEW_COLUMNS, 'r')}
+      FROM reviews r JOIN profiles p ON p.userId = r.userId
+    `);
+  },
+
+  async down(connection) {
+    // Only each account's first profile keeps its list and reviews
+    const firstProfile = 'p.id = (SELECT MIN(id) FROM profiles WHERE userId = p.userId)';
+
+    await rebuildTable(connection, 'watchlist', table => `
+      CREATE TABLE ${table} (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        userId VARCHAR(100) NOT NULL,
+        imdbID VARCHAR(20) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        year VARCHAR(20),
+        poster VARCHAR(500),
+        type VARCHAR(20),
+        position INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_watchlist_user_movie (userId, imdbID),
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `, table => `
+      INSERT INTO ${table} (id, userId, ${WATCHLIST_COLUMNS})
+      SELECT w.id, p.userId, ${prefixed(WATCHLIST_COLUMNS, 'w')}
+      FROM watchlist w JOIN profiles p ON p.id = w.profileId
+      WHERE ${firstProfile}
+    `);
+
+    await rebuildTable(connection, 'reviews', table => `
+      CREATE TABLE ${table} (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        userId VARCHAR(100) NOT NULL,
+        imdbID VARCHAR(20) NOT NULL,
+        rating TINYINT UNSIGNED NOT NULL,
+        review TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_reviews_user_movie (userId, imdbID),
+        KEY idx_reviews_movie (imdbID, created_at),
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `, table => `
+      INSERT INTO ${table} (id, userId, ${REVIEW_COLUMNS})
+      SELECT r.id, p.userId, ${prefixed(REVIEW_COLUMNS, 'r')}
+      FROM reviews r JOIN profiles p ON p.id = r.profileId
+      WHERE ${firstProfile}
+    `);
+
+    await connection.query('DROP TABLE IF EXISTS profiles');
+  },
+};
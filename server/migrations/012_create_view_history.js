@@ -0,0 +1,28 @@
+/**
+ * Recently viewed titles per viewing profile
+ * One row per profile and movie; opening it again moves it to the front
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS view_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        profileId INT NOT NULL,
+        imdbID VARCHAR(20) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        year VARCHAR(20),
+        poster VARCHAR(500),
+        type VARCHAR(20),
+        viewed_at BIGINT NOT NULL,
+        UNIQUE KEY uniq_view_history_profile_movie (profileId, imdbID),
+        KEY idx_view_history_recent (profileId, viewed_at),
+        FOREIGN KEY (profileId) REFERENCES profiles(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS view_history');
+  },
+};
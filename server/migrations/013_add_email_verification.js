@@ -0,0 +1,18 @@
+/**
+ * Email verification: new accounts start unverified until they open the emailed link
+ * verification_sent_at throttles resends. Accounts created before this migration
+ * are marked verified so nothing changes for them.
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query('ALTER TABLE users ADD COLUMN email_verified_at BIGINT NULL');
+    await connection.query('ALTER TABLE users ADD COLUMN verification_sent_at BIGINT NULL');
+    await connection.execute('UPDATE users SET email_verified_at = ?', [Date.now()]);
+  },
+
+  async down(connection) {
+    await connection.query('ALTER TABLE users DROP COLUMN verification_sent_at');
+    await connection.query('ALTER TABLE users DROP COLUMN email_verified_at');
+  },
+};
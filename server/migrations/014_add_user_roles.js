@@ -0,0 +1,21 @@
+/**
+ * Admin console: account roles, disabling and forced password resets
+ * role is 'user' or 'admin' (grant the first admin with npm run admin -- grant <userId>).
+ * created_at feeds the signups chart; accounts created before this migration have none.
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.query("ALTER TABLE users ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'user'");
+    await connection.query('ALTER TABLE users ADD COLUMN disabled_at BIGINT NULL');
+    await connection.query('ALTER TABLE users ADD COLUMN password_reset_required TINYINT(1) NOT NULL DEFAULT 0');
+    await connection.query('ALTER TABLE users ADD COLUMN created_at BIGINT NULL');
+  },
+
+  async down(connection) {
+    await connection.query('ALTER TABLE users DROP COLUMN created_at');
+    await connection.query('ALTER TABLE users DROP COLUMN password_reset_required');
+    await connection.query('ALTER TABLE users DROP COLUMN disabled_at');
+    await connection.query('ALTER TABLE users DROP COLUMN role');
+  },
+};
@@ -0,0 +1,276 @@
+/**
+ * OpenID Connect sign-in (authorization code flow with PKCE)
+ * Works with any provider that publishes /.well-known/openid-configuration.
+ *
+ * Providers are configured from the environment:
+ *   OIDC_PROVIDERS=google,corp                 ids, in button order
+ *   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+ *   OIDC_GOOGLE_CLIENT_ID=...
+ *   OIDC_GOOGLE_CLIENT_SECRET=...              optional for public clients
+ *   OIDC_GOOGLE_NAME=Google                    button label (default: the id)
+ *   OIDC_GOOGLE_SCOPES=openid email profile    default shown
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const METADATA_TTL_MS = 60 * 60 * 1000; // re-read discovery documents and keys hourly
+const CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Error with an HTTP-ish status; message is safe to show to the user
+ */
+class OidcError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OidcError';
+    this.status = status;
+  }
+}
+
+/**
+ * All configured providers, keyed by id
+ */
+function getOidcProviders() {
+  const ids = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(id => /^[a-z0-9_-]+$/.test(id));
+
+  const providers = new Map();
+  for (const id of ids) {
+    const prefix = `OIDC_${id.toUpperCase().replace(/-/g, '_')}_`;
+    const issuer = process.env[`${prefix}ISSUER`];
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+    if (!issuer || !clientId) {
+      logger.warn(`OIDC provider "${id}" needs ${prefix}ISSUER and ${prefix}CLIENT_ID; skipping it`);
+      continue;
+    }
+    providers.set(id, {
+      id,
+      name: process.env[`${prefix}NAME`] || id,
+      issuer: issuer.replace(/\/$/, ''),
+      clientId,
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+      scopes: process.env[`${prefix}SCOPES`] || 'openid email profile',
+    });
+  }
+  return providers;
+}
+
+/**
+ * One configured provider, or an OidcError (404) when unknown
+ */
+function getOidcProvider(id) {
+  const provider = getOidcProviders().get(String(id).toLowerCase());
+  if (!provider) {
+    throw new OidcError('Unknown sign-in provider', 404);
+  }
+  return provider;
+}
+
+// Discovery documents and JWKS per issuer: { value, expires }
+const metadataCache = new Map();
+
+async function fetchJson(url, options) {
+  let res;
+  try {
+    res = await fetch(url, options);
+  } catch (error) {
+    throw new OidcError(`Could not reach the sign-in provider: ${error.message}`, 502);
+  }
+  const data = await res.json().catch(() => null);
+  if (!res.ok || !data) {
+    const detail = data && (data.error_description || data.error);
+    throw new OidcError(`Sign-in provider request failed${detail ? `: ${detail}` : ''}`, 502);
+  }
+  return data;
+}
+
+async function cached(key, load, refresh = false) {
+  const entry = metadataCache.get(key);
+  if (!refresh && entry && entry.expires > Date.now()) return entry.value;
+  const value = await load();
+  metadataCache.set(key, { value, expires: Date.now() + METADATA_TTL_MS });
+  return value;
+}
+
+/**
+ * The provider's discovery document
+ */
+function discover(provider) {
+  return cached(`discovery:${provider.issuer}`, async () => {
+    const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer.replace(/\/$/, '') !== provider.issuer) {
+      throw new OidcError('Sign-in provider issuer does not match its configuration', 502);
+    }
+    return metadata;
+  });
+}
+
+/**
+ * The provider's signing key with the given kid (keys are re-fetched once for unknown kids)
+ */
+async function getSigningKey(provider, metadata, kid) {
+  const findKey = jwks => jwks.keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+  const load = () => fetchJson(metadata.jwks_uri);
+  let key = findKey(await cached(`jwks:${provider.issuer}`, load));
+  if (!key) {
+    key = findKey(await cached(`jwks:${provider.issuer}`, load, true));
+  }
+  if (!key) {
+    throw new OidcError('Sign-in provider key not found', 502);
+  }
+  return crypto.createPublicKey({ key, format: 'jwk' });
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64url');
+}
+
+function randomToken() {
+  return base64url(crypto.randomBytes(32));
+}
+
+/**
+ * Start a sign-in: returns the provider URL to redirect to and the values
+ * that must be kept in the session until the callback
+ */
+async function createAuthorizationRequest(provider, redirectUri) {
+  const metadata = await discover(provider);
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+}
+
+/**
+ * Check an ID token's signature and claims; returns its claims
+ */
+async function verifyIdToken(provider, metadata, idToken, nonce) {
+  const parts = String(idToken || '').split('.');
+  if (parts.length !== 3) {
+    throw new OidcError('Sign-in provider returned an invalid ID token', 502);
+  }
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new OidcError('Sign-in provider returned an invalid ID token', 502);
+  }
+
+  const algorithms = {
+    RS256: { digest: 'sha256' },
+    ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  };
+  const algorithm = algorithms[header.alg];
+  if (!algorithm) {
+    throw new OidcError(`Unsupported ID token algorithm ${header.alg}`, 502);
+  }
+  const key = await getSigningKey(provider, metadata, header.kid);
+  const valid = crypto.verify(
+    algorithm.digest,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key,
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!valid) {
+    throw new OidcError('ID token signature is invalid', 502);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (String(claims.iss).replace(/\/$/, '') !== provider.issuer) {
+    throw new OidcError('ID token was issued by another provider');
+  }
+  if (!audiences.includes(provider.clientId)) {
+    throw new OidcError('ID token was issued for another application');
+  }
+  if (!claims.exp || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new OidcError('ID token has expired');
+  }
+  if (claims.nonce !== nonce) {
+    throw new OidcError('ID token does not belong to this sign-in');
+  }
+  if (!claims.sub) {
+    throw new OidcError('ID token has no subject');
+  }
+  return claims;
+}
+
+/**
+ * Finish a sign-in: exchange the code and verify the ID token
+ * pending is what createAuthorizationRequest returned (kept in the session)
+ * Returns { subject, email, emailVerified, name, preferredUsername }
+ */
+async function completeAuthorization(provider, { code, state }, pending, redirectUri) {
+  if (!pending || !state || state !== pending.state) {
+    throw new OidcError('This sign-in link has expired. Please try again.');
+  }
+  if (!code) {
+    throw new OidcError('Sign-in was cancelled');
+  }
+
+  const metadata = await discover(provider);
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: pending.codeVerifier,
+    client_id: provider.clientId,
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  if (provider.clientSecret) {
+    // client_secret_basic is the spec default; use POST only when that's all the provider takes
+    const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_secret', provider.clientSecret);
+    }
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+  const claims = await verifyIdToken(provider, metadata, tokens.id_token, pending.nonce);
+
+  return {
+    subject: String(claims.sub),
+    email: claims.email || null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || claims.given_name || null,
+    preferredUsername: claims.preferred_username || null,
+  };
+}
+
+/**
+ * Clear cached discovery documents and keys (tests)
+ */
+function clearOidcCache() {
+  metadataCache.clear();
+}
+
+module.exports = {
+  OidcError,
+  getOidcProviders,
+  getOidcProvider,
+  createAuthorizationRequest,
+  completeAuthorization,
+  clearOidcCache,
+};
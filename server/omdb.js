@@ -0,0 +1,234 @@
+/**
+ * OMDb API proxy
+ * Keeps the API key on the server and caches responses (in-memory LRU with TTL,
+ * persisted to the omdb_cache table when the database is available)
+ */
+
+require('dotenv').config();
+
+const { getPool } = require('./db');
+const { logger } = require('./logger');
+
+const DEFAULT_BASE_URL = 'https://www.omdbapi.com/';
+const DEFAULT_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * Error raised when OMDb cannot be reached or rejects our request
+ */
+class OmdbError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'OmdbError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read OMDb settings from the environment
+ * OMDB_BASE_URL can point at a local stub during tests
+ */
+function getOmdbConfig() {
+  return {
+    apiKey: process.env.OMDB_API_KEY || '',
+    baseUrl: process.env.OMDB_BASE_URL || DEFAULT_BASE_URL,
+    ttl: parseInt(process.env.OMDB_CACHE_TTL_MS) || DEFAULT_TTL_MS,
+    maxEntries: parseInt(process.env.OMDB_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES,
+  };
+}
+
+// In-memory LRU cache: Map keeps insertion order, oldest entry is first
+const memoryCache = new Map();
+
+function memoryGet(key) {
+  const entry = memoryCache.get(key);
+  if (!entry) return undefined;
+  if (entry.expires <= Date.now()) {
+    memoryCache.delete(key);
+    return undefined;
+  }
+  // Move to the end so it counts as most recently used
+  memoryCache.delete(key);
+  memoryCache.set(key, entry);
+  return entry.value;
+}
+
+function memorySet(key, value, expires) {
+  const { maxEntries } = getOmdbConfig();
+  memoryCache.delete(key);
+  memoryCache.set(key, { value, expires });
+  while (memoryCache.size > maxEntries) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+/**
+ * Look up a cached response, falling back to the omdb_cache table
+ */
+async function cacheGet(key) {
+  const cached = memoryGet(key);
+  if (cached !== undefined) return cached;
+
+  const pool = getPool();
+  if (!pool) return undefined;
+  try {
+    const [rows] = await pool.execute(
+      'SELECT payload, expires FROM omdb_cache WHERE cache_key = ?',
+      [key]
+    );
+    if (rows.length === 0 || Number(rows[0].expires) <= Date.now()) return undefined;
+    const value = JSON.parse(rows[0].payload);
+    memorySet(key, value, Number(rows[0].expires));
+    return value;
+  } catch (error) {
+    logger.warn('OMDb cache read failed', { error });
+    return undefined;
+  }
+}
+
+/**
+ * Store a response in memory and in the omdb_cache table
+ */
+async function cacheSet(key, value) {
+  const expires = Date.now() + getOmdbConfig().ttl;
+  memorySet(key, value, expires);
+
+  const pool = getPool();
+  if (!pool) return;
+  try {
+    await pool.execute(
+      `INSERT INTO omdb_cache (cache_key, payload, expires) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE payload = VALUES(payload), expires = VALUES(expires)`,
+      [key, JSON.stringify(value), expires]
+    );
+  } catch (error) {
+    logger.warn('OMDb cache write failed', { error });
+  }
+}
+
+/**
+ * Clear the in-memory cache (the table expires on its own)
+ */
+function clearCache() {
+  memoryCache.clear();
+}
+
+/**
+ * Call OMDb with the given query parameters, using the cache when possible
+ */
+async function omdbRequest(params) {
+  const { apiKey, baseUrl } = getOmdbConfig();
+  if (!apiKey) {
+    throw new OmdbError('Movie service is not configured', 503);
+  }
+
+  // Cache key is built from sorted params so the key never depends on argument order
+  const query = new URLSearchParams(
+    Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .sort(([a], [b]) => a.localeCompare(b))
+  );
+  const cacheKey = query.toString();
+
+  const cached = await cacheGet(cacheKey);
+  if (cached !== undefined) return cached;
+
+  const url = new URL(baseUrl);
+  query.forEach((value, name) => url.searchParams.set(name, value));
+  url.searchParams.set('apikey', apiKey);
+
+  let data;
+  try {
+    const res = await fetch(url);
+    data = await res.json();
+  } catch (error) {
+    throw new OmdbError(`OMDb request failed: ${error.message}`);
+  }
+
+  // Invalid key / quota errors must not be cached
+  if (data.Response === 'False' && /api key|limit/i.test(data.Error || '')) {
+    throw new OmdbError(`OMDb rejected the request: ${data.Error}`);
+  }
+
+  await cacheSet(cacheKey, data);
+  return data;
+}
+
+// OMDb always returns 10 search results per page and serves at most 100 pages
+const SEARCH_PAGE_SIZE = 10;
+const SEARCH_MAX_PAGE = 100;
+
+/**
+ * First year of an OMDb Year value ("1999", "2010–2014", "2019–")
+ */
+function startYear(year) {
+  const match = /^\d{4}/.exec(year || '');
+  return match ? parseInt(match[0]) : null;
+}
+
+/**
+ * Search OMDb by title text
+ * options: { page, type, yearFrom, yearTo }
+ * OMDb only filters by a single year, so a wider range is applied to each page's results
+ * Returns { results, totalResults, page, totalPages }
+ */
+async function searchMovies(query, options = {}) {
+  const page = options.page || 1;
+  const { yearFrom, yearTo } = options;
+  const singleYear = yearFrom && yearFrom === yearTo ? yearFrom : undefined;
+
+  const data = await omdbRequest({
+    s: query,
+    page: page > 1 ? page : undefined,
+    type: options.type,
+    y: singleYear,
+  });
+  if (data.Response !== 'True' || !data.Search) {
+    return { results: [], totalResults: 0, page, totalPages: 0 };
+  }
+
+  let results = data.Search;
+  if (!singleYear && (yearFrom || yearTo)) {
+    results = results.filter(movie => {
+      const year = startYear(movie.Year);
+      return year !== null && (!yearFrom || year >= yearFrom) && (!yearTo || year <= yearTo);
+    });
+  }
+
+  const totalResults = parseInt(data.totalResults) || data.Search.length;
+  return {
+    results,
+    totalResults,
+    page,
+    totalPages: Math.min(Math.ceil(totalResults / SEARCH_PAGE_SIZE), SEARCH_MAX_PAGE),
+  };
+}
+
+/**
+ * Fetch full movie details by imdbID
+ * Returns null when OMDb does not know the movie
+ */
+async function getMovieById(imdbID) {
+  const data = await omdbRequest({ i: imdbID, plot: 'short' });
+  return data.Response === 'True' ? data : null;
+}
+
+/**
+ * Fetch full movie details by exact title
+ * Returns null when OMDb does not know the movie
+ */
+async function getMovieByTitle(title) {
+  const data = await omdbRequest({ t: title, plot: 'short' });
+  return data.Response === 'True' ? data : null;
+}
+
+module.exports = {
+  OmdbError,
+  SEARCH_MAX_PAGE,
+  getOmdbConfig,
+  startYear,
+  searchMovies,
+  getMovieById,
+  getMovieByTitle,
+  clearCache,
+};
@@ -0,0 +1,132 @@
+/**
+ * Viewing profiles ("Who's watching?")
+ * An account has up to MAX_PROFILES_PER_ACCOUNT named profiles. My List and
+ * reviews belong to a profile, and kids profiles only see titles whose OMDb
+ * "Rated" value is on the kids list.
+ *
+ * Environment:
+ *   MAX_PROFILES_PER_ACCOUNT=5
+ *   KIDS_ALLOWED_RATINGS=G,PG,TV-Y,TV-Y7,TV-Y7-FV,TV-G,TV-PG
+ */
+
+require('dotenv').config();
+
+const { getPool } = require('./db');
+const { getMovieById } = require('./omdb');
+
+// Avatar colours the client knows how to draw
+const PROFILE_AVATARS = ['red', 'blue', 'green', 'yellow', 'purple', 'teal'];
+const PROFILE_NAME_MAX_LENGTH = 50;
+
+const DEFAULT_KIDS_RATINGS = 'G,PG,TV-Y,TV-Y7,TV-Y7-FV,TV-G,TV-PG';
+
+function getProfileConfig() {
+  return {
+    maxProfiles: parseInt(process.env.MAX_PROFILES_PER_ACCOUNT) || 5,
+    kidsRatings: new Set(
+      (process.env.KIDS_ALLOWED_RATINGS || DEFAULT_KIDS_RATINGS)
+        .split(',')
+        .map(rating => rating.trim().toUpperCase())
+        .filter(Boolean)
+    ),
+  };
+}
+
+/**
+ * Map a profiles row to the API shape
+ */
+function toProfile(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    avatar: row.avatar,
+    kids: Boolean(row.is_kids),
+  };
+}
+
+/**
+ * Validate name/avatar/kids from a request body
+ * Returns an error message, or null when the input is valid
+ */
+function validateProfileInput({ name, avatar, kids }) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Profile name is required';
+  }
+  if (name.trim().length > PROFILE_NAME_MAX_LENGTH) {
+    return `Profile name must be at most ${PROFILE_NAME_MAX_LENGTH} characters`;
+  }
+  if (avatar !== undefined && !PROFILE_AVATARS.includes(avatar)) {
+    return `avatar must be one of: ${PROFILE_AVATARS.join(', ')}`;
+  }
+  if (kids !== undefined && typeof kids !== 'boolean') {
+    return 'kids must be true or false';
+  }
+  return null;
+}
+
+/**
+ * An account's profiles, oldest first
+ * Accounts without any (new sign-ups) get one named after the user
+ */
+async function listProfiles(userId) {
+  const pool = getPool();
+  const select = () => pool.execute(
+    'SELECT id, name, avatar, is_kids FROM profiles WHERE userId = ? ORDER BY id',
+    [userId]
+  );
+  let [rows] = await select();
+  if (rows.length === 0) {
+    const [[user]] = await pool.execute('SELECT name FROM users WHERE userId = ?', [userId]);
+    if (!user) return [];
+    await pool.execute(
+      'INSERT INTO profiles (userId, name) VALUES (?, ?)',
+      [userId, (user.name || userId).slice(0, PROFILE_NAME_MAX_LENGTH)]
+    ).catch(error => {
+      // Another request created it first
+      if (error.code !== 'ER_DUP_ENTRY') throw error;
+    });
+    [rows] = await select();
+  }
+  return rows.map(toProfile);
+}
+
+/**
+ * One of the account's profiles, or null
+ */
+async function getProfile(userId, profileId) {
+  const [rows] = await getPool().execute(
+    'SELECT id, name, avatar, is_kids FROM profiles WHERE id = ? AND userId = ?',
+    [profileId, userId]
+  );
+  return rows.length > 0 ? toProfile(rows[0]) : null;
+}
+
+/**
+ * Whether a kids profile may see a movie (needs full details with Rated)
+ * Unrated titles are hidden
+ */
+function isAllowedForKids(movie) {
+  const rated = String((movie && movie.Rated) || '').trim().toUpperCase();
+  return getProfileConfig().kidsRatings.has(rated);
+}
+
+/**
+ * Keep only the search results a kids profile may see
+ * Search results have no Rated value, so each title's details are looked up (cached);
+ * titles whose details cannot be loaded are left out
+ */
+async function filterForKids(movies) {
+  const details = await Promise.allSettled(movies.map(movie => getMovieById(movie.imdbID)));
+  return movies.filter((movie, i) => details[i].status === 'fulfilled' && isAllowedForKids(details[i].value));
+}
+
+module.exports = {
+  PROFILE_AVATARS,
+  getProfileConfig,
+  toProfile,
+  validateProfileInput,
+  listProfiles,
+  getProfile,
+  isAllowedForKids,
+  filterForKids,
+};
@@ -0,0 +1,284 @@
+/**
+ * Personalized recommendations ("Because you liked X")
+ * A profile's taste is built from the genres, directors, lead actors and decades
+ * of titles it has rated, saved or opened (full OMDb details, cached). Candidate
+ * titles - the curated home rows, plus what the account's other profiles saved or
+ * rated - are scored against it. Other accounts' activity is never used, so the row
+ * cannot reveal what strangers watch. The scoring functions are pure and
+ * deterministic; getRecommendations only gathers their input.
+ */
+
+const { getPool } = require('./db');
+const { getMovieById, startYear } = require('./omdb');
+const { getRows, getRowMovies } = require('./rows');
+const { isAllowedForKids } = require('./profiles');
+
+// How much each kind of OMDb field counts towards taste and similarity
+const FEATURE_WEIGHTS = {
+  genre: 1,
+  director: 1.5,
+  actor: 0.75,
+  decade: 0.5,
+};
+// Only the top-billed actors say much about a title
+const MAX_ACTORS = 3;
+
+// Signal weights: saving a title says more than opening it; ratings can also count against
+const WATCHLIST_WEIGHT = 2;
+const HISTORY_WEIGHT = 1;
+const HISTORY_SIGNALS = 20;
+
+const RECOMMENDATIONS_LIMIT = 20;
+// Each candidate needs a details lookup. The curated pool is built once per
+// CURATED_POOL_TTL_MS and shared by every request; the account's own titles are
+// looked up per request, so they get a small cap
+const MAX_CURATED_CANDIDATES = 60;
+const MAX_ACCOUNT_CANDIDATES = 20;
+const CURATED_POOL_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours, like OMDb responses
+const EMPTY_POOL_TTL_MS = 5 * 60 * 1000; // an empty pool (OMDb down?) is rebuilt sooner
+
+// { promise, expires } for the curated pool's full details, or null before the first build
+let curatedPool = null;
+
+/**
+ * Weight of a 1-10 rating: 10 is +2, 5 is neutral, 1 is -1.6
+ */
+function ratingWeight(rating) {
+  return (rating - 5) / 2.5;
+}
+
+/**
+ * Split an OMDb list field ("Crime, Drama") into values, ignoring "N/A"
+ */
+function splitList(value) {
+  if (!value || value === 'N/A') return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Feature keys of a movie's details, each with its weight
+ * e.g. Map { 'genre:crime' => 1, 'director:francis ford coppola' => 1.5, 'decade:1970' => 0.5 }
+ */
+function extractFeatures(movie) {
+  const features = new Map();
+  const add = (kind, value) => features.set(`${kind}:${value.toLowerCase()}`, FEATURE_WEIGHTS[kind]);
+
+  splitList(movie.Genre).forEach(genre => add('genre', genre));
+  splitList(movie.Director).forEach(director => add('director', director));
+  splitList(movie.Actors).slice(0, MAX_ACTORS).forEach(actor => add('actor', actor));
+  const year = startYear(movie.Year);
+  if (year !== null) add('decade', String(Math.floor(year / 10) * 10));
+  return features;
+}
+
+/**
+ * Combine weighted signals ([{ movie, weight }], movie = full details) into a taste profile
+ * Returns a Map of feature key -> weight; disliked titles push their features negative
+ */
+function buildTasteProfile(signals) {
+  const profile = new Map();
+  signals.forEach(({ movie, weight }) => {
+    extractFeatures(movie).forEach((featureWeight, key) => {
+      profile.set(key, (profile.get(key) || 0) + featureWeight * weight);
+    });
+  });
+  return profile;
+}
+
+/**
+ * How well a movie matches a taste profile (sum of its features' taste weights)
+ */
+function scoreMovie(profile, movie) {
+  let score = 0;
+  extractFeatures(movie).forEach((featureWeight, key) => {
+    score += (profile.get(key) || 0) * featureWeight;
+  });
+  return score;
+}
+
+/**
+ * Shared feature weight of two movies
+ */
+function similarity(a, b) {
+  const featuresB = extractFeatures(b);
+  let shared = 0;
+  extractFeatures(a).forEach((weight, key) => {
+    if (featuresB.has(key)) shared += weight;
+  });
+  return shared;
+}
+
+/**
+ * Rank candidates for a set of signals
+ * signals: [{ movie, weight }] with one entry per title; candidates: full details
+ * Titles already in the signals are skipped, and only positive scores are kept.
+ * Ties are broken by imdbID so the same input always gives the same row.
+ * Returns { because, results }: because is the liked title closest to the results (or null)
+ */
+function recommend(signals, candidates, { limit = RECOMMENDATIONS_LIMIT } = {}) {
+  const profile = buildTasteProfile(signals);
+  const known = new Set(signals.map(signal => signal.movie.imdbID));
+  const seen = new Set();
+
+  const results = candidates
+    .filter(movie => {
+      if (known.has(movie.imdbID) || seen.has(movie.imdbID)) return false;
+      seen.add(movie.imdbID);
+      return true;
+    })
+    .map(movie => ({ movie, score: scoreMovie(profile, movie) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.movie.imdbID.localeCompare(b.movie.imdbID))
+    .slice(0, limit)
+    .map(({ movie }) => movie);
+
+  let because = null;
+  let bestMatch = 0;
+  signals
+    .filter(({ weight }) => weight > 0)
+    .sort((a, b) => b.weight - a.weight || a.movie.imdbID.localeCompare(b.movie.imdbID))
+    .forEach(({ movie, weight }) => {
+      const match = results.reduce((sum, result) => sum + similarity(movie, result), 0) * weight;
+      if (match > bestMatch) {
+        bestMatch = match;
+        because = movie;
+      }
+    });
+
+  return { because, results };
+}
+
+/**
+ * Map full details to the OMDb search result shape used by the client
+ */
+function toSearchResult(movie) {
+  return {
+    imdbID: movie.imdbID,
+    Title: movie.Title,
+    Year: movie.Year,
+    Type: movie.Type,
+    Poster: movie.Poster,
+  };
+}
+
+/**
+ * Full details for each imdbID; titles that cannot be loaded are left out
+ */
+async function loadDetails(imdbIDs) {
+  const details = await Promise.allSettled(imdbIDs.map(imdbID => getMovieById(imdbID)));
+  return details
+    .filter(result => result.status === 'fulfilled' && result.value)
+    .map(result => result.value);
+}
+
+/**
+ * The profile's ratings, saved titles and recent history as weighted imdbIDs
+ * A title in several places adds up (rated 9 and saved counts 3.6)
+ */
+async function loadSignals(profileId) {
+  const pool = getPool();
+  const [[reviews], [watchlist], [history]] = await Promise.all([
+    pool.execute('SELECT imdbID, rating FROM reviews WHERE profileId = ?', [profileId]),
+    pool.execute('SELECT imdbID FROM watchlist WHERE profileId = ?', [profileId]),
+    pool.execute(
+      `SELECT imdbID FROM view_history WHERE profileId = ?
+       ORDER BY viewed_at DESC, id DESC LIMIT ${HISTORY_SIGNALS}`,
+      [profileId]
+    ),
+  ]);
+
+  const weights = new Map();
+  const add = (imdbID, weight) => weights.set(imdbID, (weights.get(imdbID) || 0) + weight);
+  reviews.forEach(row => add(row.imdbID, ratingWeight(row.rating)));
+  watchlist.forEach(row => add(row.imdbID, WATCHLIST_WEIGHT));
+  history.forEach(row => add(row.imdbID, HISTORY_WEIGHT));
+  return weights;
+}
+
+/**
+ * imdbIDs the account's other profiles saved or rated (at most MAX_ACCOUNT_CANDIDATES)
+ */
+async function loadAccountCandidateIds(profileId) {
+  const [rows] = await getPool().execute(
+    `SELECT DISTINCT imdbID FROM (
+       SELECT w.imdbID FROM watchlist w JOIN profiles p ON p.id = w.profileId
+       WHERE p.userId = (SELECT userId FROM profiles WHERE id = ?) AND p.id <> ?
+       UNION ALL
+       SELECT r.imdbID FROM reviews r JOIN profiles p ON p.id = r.profileId
+       WHERE p.userId = (SELECT userId FROM profiles WHERE id = ?) AND p.id <> ?
+     ) titles
+     ORDER BY imdbID
+     LIMIT ${MAX_ACCOUNT_CANDIDATES}`,
+    [profileId, profileId, profileId, profileId]
+  );
+  return rows.map(row => row.imdbID);
+}
+
+/**
+ * Full details of the curated rows' titles (at most MAX_CURATED_CANDIDATES)
+ */
+async function loadCuratedCandidates() {
+  const ids = new Set();
+  const curated = await Promise.allSettled(getRows().map(row => getRowMovies(row.id)));
+  curated
+    .filter(result => result.status === 'fulfilled' && result.value)
+    .forEach(result => result.value.results.forEach(movie => ids.add(movie.imdbID)));
+  return loadDetails([...ids].slice(0, MAX_CURATED_CANDIDATES));
+}
+
+/**
+ * The curated pool, built on first use and then reused until it expires
+ * Concurrent requests share one build; a failed build is retried on the next request
+ */
+function getCuratedCandidates() {
+  if (!curatedPool || curatedPool.expires <= Date.now()) {
+    const pool = {
+      expires: Date.now() + CURATED_POOL_TTL_MS,
+      promise: loadCuratedCandidates().then(movies => {
+        if (movies.length === 0) pool.expires = Date.now() + EMPTY_POOL_TTL_MS;
+        return movies;
+      }, error => {
+        if (curatedPool === pool) curatedPool = null;
+        throw error;
+      }),
+    };
+    curatedPool = pool;
+  }
+  return curatedPool.promise;
+}
+
+/**
+ * Recommendations for a viewing profile ({ id, kids })
+ * Returns { because, results } in the search result shape; both empty without any signals
+ */
+async function getRecommendations(profile, { limit = RECOMMENDATIONS_LIMIT } = {}) {
+  const weights = await loadSignals(profile.id);
+  if (weights.size === 0) return { because: null, results: [] };
+
+  const signalMovies = await loadDetails([...weights.keys()]);
+  const signals = signalMovies.map(movie => ({ movie, weight: weights.get(movie.imdbID) }));
+
+  const accountIds = (await loadAccountCandidateIds(profile.id)).filter(imdbID => !weights.has(imdbID));
+  const [accountCandidates, curatedCandidates] = await Promise.all([
+    loadDetails(accountIds),
+    getCuratedCandidates(),
+  ]);
+  let candidates = [...accountCandidates, ...curatedCandidates];
+  if (profile.kids) {
+    candidates = candidates.filter(isAllowedForKids);
+  }
+
+  const { because, results } = recommend(signals, candidates, { limit });
+  return {
+    because: because && toSearchResult(because),
+    results: results.map(toSearchResult),
+  };
+}
+
+module.exports = {
+  extractFeatures,
+  buildTasteProfile,
+  scoreMovie,
+  recommend,
+  getRecommendations,
+};
@@ -0,0 +1,113 @@
+/**
+ * Home page rows
+ * Curated categories (genres, decades, franchises) defined in rows.json,
+ * or in the file named by HOME_ROWS_CONFIG
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { searchMovies, SEARCH_MAX_PAGE } = require('./omdb');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'rows.json');
+const MAX_ROW_PAGES = 5;
+const ROW_TYPES = ['movie', 'series', 'episode'];
+
+let rowsCache = null;
+
+/**
+ * Validate one row definition and fill in defaults
+ */
+function normalizeRow(row, index) {
+  const where = `Home row #${index + 1}`;
+  if (!row || typeof row !== 'object') {
+    throw new Error(`${where} must be an object`);
+  }
+  if (!row.id || !/^[a-z0-9-]+$/.test(row.id)) {
+    throw new Error(`${where} needs an id of lowercase letters, numbers and dashes`);
+  }
+  if (!row.title || !row.query || String(row.query).length < 2) {
+    throw new Error(`${where} (${row.id}) needs a title and a query of at least 2 characters`);
+  }
+  if (row.type && !ROW_TYPES.includes(row.type)) {
+    throw new Error(`${where} (${row.id}) has unknown type "${row.type}"`);
+  }
+
+  const pages = parseInt(row.pages) || 1;
+  return {
+    id: row.id,
+    title: row.title,
+    query: String(row.query),
+    type: row.type || undefined,
+    yearFrom: parseInt(row.yearFrom) || undefined,
+    yearTo: parseInt(row.yearTo) || undefined,
+    pages: Math.min(Math.max(pages, 1), MAX_ROW_PAGES),
+  };
+}
+
+/**
+ * Load and validate the row configuration (read once, then cached)
+ */
+function loadRows() {
+  if (rowsCache) return rowsCache;
+
+  const configPath = process.env.HOME_ROWS_CONFIG || DEFAULT_CONFIG_PATH;
+  let rows;
+  try {
+    rows = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read home rows config ${configPath}: ${error.message}`);
+  }
+  if (!Array.isArray(rows)) {
+    throw new Error(`Home rows config ${configPath} must be a JSON array`);
+  }
+
+  const normalized = rows.map(normalizeRow);
+  const ids = new Set();
+  normalized.forEach(row => {
+    if (ids.has(row.id)) throw new Error(`Duplicate home row id "${row.id}"`);
+    ids.add(row.id);
+  });
+
+  rowsCache = normalized;
+  return rowsCache;
+}
+
+/**
+ * Row definitions for the client (id and title only)
+ */
+function getRows() {
+  return loadRows().map(({ id, title }) => ({ id, title }));
+}
+
+/**
+ * Movies for one row, merged across its configured pages
+ * Returns null when the row id is unknown
+ */
+async function getRowMovies(id) {
+  const row = loadRows().find(candidate => candidate.id === id);
+  if (!row) return null;
+
+  const movies = [];
+  const seen = new Set();
+  for (let page = 1; page <= Math.min(row.pages, SEARCH_MAX_PAGE); page++) {
+    const { results, totalPages } = await searchMovies(row.query, {
+      page,
+      type: row.type,
+      yearFrom: row.yearFrom,
+      yearTo: row.yearTo,
+    });
+    results.forEach(movie => {
+      if (!seen.has(movie.imdbID)) {
+        seen.add(movie.imdbID);
+        movies.push(movie);
+      }
+    });
+    if (page >= totalPages) break;
+  }
+
+  return { id: row.id, title: row.title, results: movies };
+}
+
+module.exports = { getRows, getRowMovies };
@@ -5,23 +5,110 @@
 
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
+const QRCode = require('qrcode');
 const session = require('express-session');
 const MySQLStore = require('express-mysql-session')(session);
 const cors = require('cors');
 require('dotenv').config();
 
 const { initDatabase, getPool } = require('./db');
+const { OmdbError, SEARCH_MAX_PAGE, searchMovies, getMovieById, getMovieByTitle } = require('./omdb');
+const { getRows, getRowMovies } = require('./rows');
+const { getRecommendations } = require('./recommendations');
+const {
+  getVerificationConfig,
+  getVerificationStatus,
+  sendVerificationEmail,
+  verifyEmailToken,
+  isRestricted,
+} = require('./emailVerification');
+const { sendMail, checkMailConfig } = require('./mailer');
+const { logger, requestLogging, REQUEST_ID_HEADER } = require('./logger');
+const { isAdmin, listUsers, findUser, setDisabled, requirePasswordReset, getStats } = require('./admin');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  checkResetAllowed,
+  recordResetRequest,
+} = require('./loginThrottle');
+const {
+  OidcError,
+  getOidcProviders,
+  getOidcProvider,
+  createAuthorizationRequest,
+  completeAuthorization,
+} = require('./oidc');
+const {
+  getTwoFactorStatus,
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require('./twoFactor');
+const {
+  PROFILE_AVATARS,
+  getProfileConfig,
+  toProfile,
+  validateProfileInput,
+  listProfiles,
+  getProfile,
+  isAllowedForKids,
+  filterForKids,
+} = require('./profiles');
+const {
+  publicSessionId,
+  trackSession,
+  touchSession,
+  forgetSession,
+  listSessions,
+  revokeSession,
+  destroyUserSessions,
+} = require('./userSessions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// ============ ORIGIN ALLOW-LIST ============
+
+/**
+ * Origins allowed to call the API with cookies, besides the app's own origin
+ * CORS_ALLOWED_ORIGINS is a comma-separated list; APP_BASE_URL is always included
+ */
+function getAllowedOrigins() {
+  const origins = (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+  if (process.env.APP_BASE_URL) {
+    origins.push(new URL(process.env.APP_BASE_URL).origin);
+  }
+  return origins;
+}
+
+/**
+ * Same-origin requests are always allowed; anything else must be on the allow-list
+ */
+function isAllowedOrigin(req, origin) {
+  return origin === `${req.protocol}://${req.get('host')}` || getAllowedOrigins().includes(origin);
+}
+
 // Middleware
-app.use(cors({
-  origin: true, // Allow same-origin for session cookies
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+// First, so every later log line and error carries the request id
+app.use(requestLogging());
+app.use(cors((req, callback) => {
+  const origin = req.get('Origin');
+  callback(null, {
+    origin: !origin || isAllowedOrigin(req, origin), // Reflect only allowed origins
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token', REQUEST_ID_HEADER],
+    exposedHeaders: [REQUEST_ID_HEADER],
+  });
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -30,13 +117,101 @@ app.use(express.urlencoded({ extended: true }));
 const isVercel = process.env.VERCEL === '1' || process.env.VERCEL_ENV;
 const isProduction = process.env.NODE_ENV === 'production' || isVercel;
 
+/**
+ * Settings a production server cannot run without
+ * Checked as soon as this module loads, so a misconfigured deploy fails at once -
+ * also on Vercel, where startServer() never runs
+ */
+function checkProductionConfig() {
+  if (!process.env.APP_BASE_URL) {
+    throw new Error('APP_BASE_URL is required in production: emailed links and OIDC callbacks are built from it');
+  }
+  checkMailConfig();
+}
+
+if (isProduction) {
+  try {
+    checkProductionConfig();
+  } catch (error) {
+    logger.error('Invalid production configuration', { error });
+    throw error;
+  }
+}
+
+// ============ SECURITY HEADERS ============
+
+// Scripts only from our own files; styles/fonts from Google Fonts and Font Awesome (cdnjs);
+// posters from the OMDb/IMDb image hosts
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' https://fonts.googleapis.com https://cdnjs.cloudflare.com",
+  "font-src 'self' https://fonts.gstatic.com https://cdnjs.cloudflare.com",
+  "img-src 'self' data: https://m.media-amazon.com https://img.omdbapi.com https://ia.media-imdb.com",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+].join('; ');
+
+/**
+ * Security headers for every response (pages, static files and API)
+ */
+function securityHeaders(req, res, next) {
+  res.set({
+    'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY', // Older browsers that ignore frame-ancestors
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+  });
+  if (isProduction) {
+    res.set('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+  }
+  next();
+}
+
+app.use(securityHeaders);
+app.disable('x-powered-by');
+
+// Behind Vercel/Render proxies, trust the first X-Forwarded-For hop so req.ip is the client
+if (isProduction) {
+  app.set('trust proxy', 1);
+}
+
+// ============ SESSION LIFETIMES ============
+
+/**
+ * Session lifetimes, shared by the cookie, the session stores and the timeout check
+ * idleTimeoutMs     - a session without "remember me" ends after this long without requests
+ * rememberMs        - "remember me" keeps the cookie this long after the last request
+ * absoluteTimeoutMs - no session outlives this, however active, counted from sign-in
+ */
+function getSessionLifetimes() {
+  return {
+    idleTimeoutMs: parseInt(process.env.SESSION_IDLE_TIMEOUT_MS) || 24 * 60 * 60 * 1000, // 24 hours
+    rememberMs: parseInt(process.env.SESSION_REMEMBER_MS) || 30 * 24 * 60 * 60 * 1000, // 30 days
+    absoluteTimeoutMs: parseInt(process.env.SESSION_ABSOLUTE_TIMEOUT_MS) || 30 * 24 * 60 * 60 * 1000, // 30 days
+  };
+}
+
+const sessionLifetimes = getSessionLifetimes();
+
 // Initialize session store (will be set up after DB is ready)
 let sessionStore = null;
 
-// Function to initialize MySQL session store after database is ready
+// Function to initialize the session store for the configured DB_DRIVER
 async function initializeSessionStore() {
   try {
-    const { getDbConfig } = require('./db');
+    const { getDbConfig, getDbDriver } = require('./db');
+    if (getDbDriver() !== 'mysql') {
+      // Reads the sessions table through getPool(), so it can be created before the pool
+      const { PoolSessionStore } = require('./sessionStore');
+      // Sessions without a cookie expiry (no "remember me") last for the idle timeout
+      sessionStore = new PoolSessionStore({ expiration: sessionLifetimes.idleTimeoutMs });
+      logger.info('SQLite session store initialized');
+      return sessionStore;
+    }
     const dbConfig = getDbConfig();
     const storeConfig = {
       host: dbConfig.host,
@@ -47,13 +222,13 @@ async function initializeSessionStore() {
       ssl: dbConfig.ssl,
       clearExpired: true,
       checkExpirationInterval: 900000, // 15 minutes
-      expiration: 86400000, // 24 hours
+      expiration: sessionLifetimes.idleTimeoutMs, // Sessions without "remember me"; touched on each request
     };
     sessionStore = new MySQLStore(storeConfig);
-    console.log('✅ MySQL session store initialized');
+    logger.info('MySQL session store initialized');
     return sessionStore;
   } catch (error) {
-    console.warn('⚠️  Could not configure MySQL session store, using memory store:', error.message);
+    logger.warn('Could not configure session store, using memory store', { error });
     sessionStore = null;
     return null;
   }
@@ -61,12 +236,14 @@ async function initializeSessionStore() {
 
 // Initialize session store immediately if DB config is available
 try {
-  const { getDbConfig } = require('./db');
-  getDbConfig(); // Test if config is available
+  const { getDbConfig, getDbDriver } = require('./db');
+  if (getDbDriver() === 'mysql') {
+    getDbConfig(); // Test if config is available
+  }
   initializeSessionStore();
 } catch (error) {
   // DB not configured yet, will use memory store initially
-  console.log('ℹ️  Session store will use memory until database is configured');
+  logger.info('Session store will use memory until database is configured');
 }
 
 // Session middleware configuration
@@ -76,12 +253,12 @@ const sessionConfig = {
   resave: false,
   saveUninitialized: false,
   name: 'connect.sid', // Explicit session name
-  store: sessionStore, // Use MySQL store if available, otherwise memory store
+  store: sessionStore, // Use the database store if available, otherwise memory store
   cookie: {
     secure: isProduction, // HTTPS required in production/Vercel
     httpOnly: true,
     sameSite: 'lax', // Works for same-site (Vercel uses same domain)
-    maxAge: 24 * 60 * 60 * 1000, // 24 hours
+    // No maxAge: a browser-session cookie unless "remember me" sets one at login
     path: '/', // Ensure cookie is available for all routes
   },
   // Force save session even if not modified (important for serverless)
@@ -90,19 +267,68 @@ const sessionConfig = {
 
 app.use(session(sessionConfig));
 
+/**
+ * End sessions that passed the absolute timeout, however active they were
+ */
+function enforceSessionLifetime(req, res, next) {
+  if (!req.session.userId) return next();
+  // Sessions from before lifetimes were tracked start counting now
+  if (!req.session.createdAt) req.session.createdAt = Date.now();
+  if (Date.now() - req.session.createdAt < sessionLifetimes.absoluteTimeoutMs) return next();
+  req.session.regenerate(err => next(err));
+}
+
+app.use(enforceSessionLifetime);
+
+// ============ CSRF PROTECTION ============
+
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * The session's CSRF token, created on first use
+ * Clients get it from GET /api/session and send it back in the X-CSRF-Token header
+ */
+function getCsrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+}
+
+/**
+ * Reject state-changing API requests from other origins or without the session's token
+ */
+function requireCsrf(req, res, next) {
+  if (CSRF_SAFE_METHODS.includes(req.method) || !req.path.startsWith('/api/')) {
+    return next();
+  }
+
+  const origin = req.get('Origin');
+  if (origin && !isAllowedOrigin(req, origin)) {
+    return res.status(403).json({ success: false, message: 'Origin not allowed' });
+  }
+
+  const expected = req.session && req.session.csrfToken;
+  const provided = req.get('X-CSRF-Token');
+  const valid = expected && typeof provided === 'string' && provided.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+  if (!valid) {
+    return res.status(403).json({
+      success: false,
+      code: 'CSRF_INVALID',
+      message: 'Your session has expired. Please reload the page and try again.',
+    });
+  }
+  next();
+}
+
+app.use(requireCsrf);
+app.use(touchSession);
+
 /**
  * Session check middleware - protects routes
  */
 function requireAuth(req, res, next) {
-  // Debug: Log session info (helpful for debugging Vercel issues)
-  console.log('Session check:', {
-    hasSession: !!req.session,
-    userId: req.session?.userId,
-    sessionId: req.sessionID,
-    cookies: req.headers.cookie ? 'present' : 'missing',
-    path: req.path,
-  });
-  
   if (req.session && req.session.userId) {
     next();
   } else {
@@ -114,12 +340,102 @@ function requireAuth(req, res, next) {
   }
 }
 
+/**
+ * Middleware: require a chosen viewing profile (use after requireAuth)
+ * Sets req.profile; pages go to the "Who's watching?" picker, API calls get 403 PROFILE_REQUIRED
+ */
+async function requireProfile(req, res, next) {
+  try {
+    await ensureDbInitialized();
+    const profile = req.session.profileId
+      ? await getProfile(req.session.userId, req.session.profileId)
+      : null;
+    if (profile) {
+      req.profile = profile;
+      return next();
+    }
+    // The profile may have been deleted from another session
+    delete req.session.profileId;
+    if (req.path.startsWith('/api/')) {
+      return res.status(403).json({
+        success: false,
+        code: 'PROFILE_REQUIRED',
+        message: 'Choose a profile first',
+        redirect: '/profiles.html',
+      });
+    }
+    res.redirect('/profiles.html');
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Middleware factory: hold a feature back until the account's email is verified
+ * (use after requireAuth). Only features listed in UNVERIFIED_RESTRICTIONS are checked.
+ */
+function requireVerifiedEmail(feature) {
+  return async (req, res, next) => {
+    if (!isRestricted(feature)) return next();
+    try {
+      await ensureDbInitialized();
+      const status = await getVerificationStatus(req.session.userId);
+      if (status && status.verified) return next();
+      res.status(403).json({
+        success: false,
+        code: 'EMAIL_UNVERIFIED',
+        message: 'Please confirm your email address first. Check your inbox for the link.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Middleware: admins only (use after requireAuth)
+ * The role is read on every request, so revoking it takes effect immediately
+ */
+async function requireAdmin(req, res, next) {
+  try {
+    await ensureDbInitialized();
+    if (await isAdmin(req.session.userId)) return next();
+    if (req.path.startsWith('/api/')) {
+      return res.status(403).json({ success: false, code: 'ADMIN_REQUIRED', message: 'Admin access required' });
+    }
+    res.redirect('/home.html');
+  } catch (error) {
+    next(error);
+  }
+}
+
 // Get client directory path (works in both local and Vercel environments)
 const clientDir = path.join(__dirname, '../client');
 const clientPath = path.resolve(clientDir);
 
-// Protect home page BEFORE static - only logged-in users can access
-app.get('/home.html', requireAuth, (req, res) => {
+// Protect home and profile pages BEFORE static - only logged-in users can access
+// Home also needs a viewing profile, so signing in lands on the profile picker first
+app.get('/home.html', requireAuth, requireProfile, (req, res) => {
+  res.sendFile(path.join(clientPath, 'home.html'));
+});
+app.get('/profiles.html', requireAuth, (req, res) => {
+  res.sendFile(path.join(clientPath, 'profiles.html'));
+});
+app.get('/profile.html', requireAuth, (req, res) => {
+  res.sendFile(path.join(clientPath, 'profile.html'));
+});
+app.get('/admin.html', requireAuth, requireAdmin, (req, res) => {
+  res.sendFile(path.join(clientPath, 'admin.html'));
+});
+
+// Shareable movie links - the home page opens the details modal for :imdbID on load
+// Visitors who still have to sign in or pick a profile are sent back here afterwards
+app.get('/movie/:imdbID(tt\\d+)', (req, res, next) => {
+  if (!req.session.userId || !req.session.profileId) {
+    req.session.returnTo = `/movie/${req.params.imdbID}`;
+  }
+  next();
+}, requireAuth, requireProfile, (req, res) => {
   res.sendFile(path.join(clientPath, 'home.html'));
 });
 
@@ -153,7 +469,7 @@ async function ensureDbInitialized() {
         }
         return true;
       }).catch(err => {
-        console.error('Database initialization error:', err);
+        logger.error('Database initialization error', { error: err });
         dbInitPromise = null; // Reset on error so we can retry
         throw err;
       });
@@ -169,6 +485,183 @@ async function ensureDbInitialized() {
   }
 }
 
+// ============ HEALTH ROUTES ============
+
+// A readiness check that takes longer than this counts as failed
+const READY_CHECK_TIMEOUT_MS = 2000;
+
+/**
+ * Reject when a check does not settle within READY_CHECK_TIMEOUT_MS
+ */
+function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${READY_CHECK_TIMEOUT_MS}ms`)), READY_CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkDatabase() {
+  await ensureDbInitialized();
+  const pool = getPool();
+  if (!pool) throw new Error('Database pool has not been created');
+  await pool.query('SELECT 1');
+}
+
+/**
+ * Look up a session id that never exists: proves the store can be read
+ */
+function checkSessionStore(store) {
+  return new Promise((resolve, reject) => {
+    store.get('readiness-probe', error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * GET /api/health - Liveness: the process is up and answering (no dependencies checked)
+ */
+app.get('/api/health', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+/**
+ * GET /api/ready - Readiness: the database pool and the session store both answer
+ * 503 names the failing checks; the reasons are only logged
+ */
+app.get('/api/ready', async (req, res) => {
+  const [database, sessions] = await Promise.allSettled([
+    withTimeout(checkDatabase()),
+    withTimeout(checkSessionStore(req.sessionStore)),
+  ]);
+  const checks = {
+    database: database.status === 'fulfilled' ? 'ok' : 'failed',
+    sessionStore: sessions.status === 'fulfilled' ? 'ok' : 'failed',
+  };
+  const ready = database.status === 'fulfilled' && sessions.status === 'fulfilled';
+  if (!ready) {
+    req.log.warn('Readiness check failed', {
+      databaseError: database.reason,
+      sessionStoreError: sessions.reason,
+    });
+  }
+  res.set('Cache-Control', 'no-store');
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', checks });
+});
+
+// ============ SIGN-IN ============
+
+/**
+ * Sign the user in on a new session id
+ * remember = true gives a persistent cookie (sliding, see SESSION_REMEMBER_MS);
+ * otherwise the cookie ends with the browser and the store drops it after the idle timeout
+ */
+async function startUserSession(req, user, { remember = false } = {}) {
+  // A fresh session id, so an id planted in the browser before sign-in is worthless after it.
+  // Only the CSRF token (the page already holds it) and the pending movie link carry over.
+  const { csrfToken, returnTo } = req.session;
+  if (req.session.userId) await forgetSession(req.sessionID);
+  await new Promise((resolve, reject) => {
+    req.session.regenerate(err => (err ? reject(err) : resolve()));
+  });
+  if (csrfToken) req.session.csrfToken = csrfToken;
+  if (returnTo) req.session.returnTo = returnTo;
+
+  req.session.userId = user.userId;
+  req.session.userName = user.name;
+  req.session.createdAt = Date.now();
+  // Every sign-in asks "Who's watching?" again
+  delete req.session.profileId;
+  req.session.cookie.maxAge = remember ? sessionLifetimes.rememberMs : null;
+  await trackSession(req);
+}
+
+/**
+ * Why an account may not sign in right now, or null when it may
+ * user needs disabled_at and password_reset_required; both are set from the admin console
+ */
+function getSignInBlock(user) {
+  if (user.disabled_at !== null) {
+    return {
+      success: false,
+      code: 'ACCOUNT_DISABLED',
+      message: 'This account has been disabled. Please contact the site administrator.',
+    };
+  }
+  if (Number(user.password_reset_required)) {
+    return {
+      success: false,
+      code: 'PASSWORD_RESET_REQUIRED',
+      message: 'Please choose a new password before signing in. Use the link we emailed you, or "Forgot password" for a new one.',
+    };
+  }
+  return null;
+}
+
+// How long a correct password stays good while waiting for the 2FA code
+const TWO_FACTOR_PENDING_MS = 5 * 60 * 1000;
+
+/**
+ * Half-authenticate: remember who passed the first factor without signing them in
+ * requireAuth only looks at userId, so nothing else opens up until /api/login/2fa succeeds
+ */
+function startTwoFactorChallenge(req, user, { remember = false } = {}) {
+  req.session.pendingTwoFactor = {
+    userId: user.userId,
+    remember,
+    expires: Date.now() + TWO_FACTOR_PENDING_MS,
+  };
+}
+
+/**
+ * The pending 2FA challenge, or null when there is none or it expired
+ */
+function getTwoFactorChallenge(req) {
+  const pending = req.session.pendingTwoFactor;
+  if (!pending || pending.expires < Date.now()) return null;
+  return pending;
+}
+
+// ============ VALIDATION ============
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Validate profile fields shared by registration and profile updates
+ * Returns an error message, or null when the input is valid
+ */
+function validateProfileFields({ name, email, phone }) {
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return 'Name is required (max 100 characters)';
+  }
+  if (typeof email !== 'string' || !EMAIL_REGEX.test(email) || email.length > 150) {
+    return 'Please enter a valid email address';
+  }
+  if (phone && (typeof phone !== 'string' || phone.length > 20)) {
+    return 'Phone number must be at most 20 characters';
+  }
+  return null;
+}
+
+/**
+ * Emails are stored and compared lowercase, so matching is case-insensitive
+ */
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+/**
+ * Validate a new password
+ * Returns an error message, or null when the password is acceptable
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
 // ============ AUTH ROUTES ============
 
 /**
@@ -195,21 +688,16 @@ app.post('/api/register', async (req, res) => {
       });
     }
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please enter a valid email address',
-      });
+    // Validate name, email and phone
+    const profileError = validateProfileFields({ name, email, phone });
+    if (profileError) {
+      return res.status(400).json({ success: false, message: profileError });
     }
 
     // Validate password length
-    if (password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters',
-      });
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
     }
 
     const pool = getPool();
@@ -225,23 +713,54 @@ app.post('/api/register', async (req, res) => {
       });
     }
 
+    const normalizedEmail = normalizeEmail(email);
+    const [existingEmail] = await pool.execute(
+      'SELECT id FROM users WHERE email = ?',
+      [normalizedEmail]
+    );
+
+    if (existingEmail.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists.',
+      });
+    }
+
     // Hash password using bcrypt (never store plain text)
     const saltRounds = 10;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    await pool.execute(
-      'INSERT INTO users (userId, name, email, phone, password) VALUES (?, ?, ?, ?, ?)',
-      [userId, name, email, phone || null, hashedPassword]
-    );
+    try {
+      await pool.execute(
+        'INSERT INTO users (userId, name, email, phone, password, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [userId, name, normalizedEmail, phone || null, hashedPassword, Date.now()]
+      );
+    } catch (error) {
+      // Another registration took the userId or email between the checks and the insert
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({
+          success: false,
+          message: 'This userId or email is already registered.',
+        });
+      }
+      throw error;
+    }
+
+    // The account works right away, but stays unverified until the emailed link is opened
+    try {
+      await sendVerificationEmail({ userId, name, email: normalizedEmail }, getAppBaseUrl(req));
+    } catch (error) {
+      // They can ask for another link from the home page
+      req.log.error('Verification email error', { error: error });
+    }
 
     // Auto-login: create session so user goes straight to home
-    req.session.userId = userId;
-    req.session.userName = name;
+    await startUserSession(req, { userId, name });
     
     // Force save session before sending response (critical for serverless/Vercel)
     req.session.save((err) => {
       if (err) {
-        console.error('Session save error:', err);
+        req.log.error('Session save error', { error: err });
         return res.status(500).json({
           success: false,
           message: 'Session error. Please try again.',
@@ -250,12 +769,13 @@ app.post('/api/register', async (req, res) => {
       
       res.status(201).json({
         success: true,
-        message: 'Account created! Taking you to the movies...',
+        message: 'Account created! Check your email to confirm your address.',
+        emailVerified: false,
         redirect: '/home.html',
       });
     });
   } catch (error) {
-    console.error('Registration error:', error);
+    req.log.error('Registration error', { error: error });
     res.status(500).json({
       success: false,
       message: error.message === 'Database connection failed' 
@@ -266,51 +786,85 @@ app.post('/api/register', async (req, res) => {
 });
 
 /**
- * POST /api/login - User login
+ * POST /api/login - User login with userId or email
+ * Body: { identifier, password, remember } (userId is accepted in place of identifier)
  */
 app.post('/api/login', async (req, res) => {
   try {
     await ensureDbInitialized();
-    const { userId, password } = req.body;
+    const identifier = String(req.body.identifier || req.body.userId || '').trim();
+    const { password } = req.body;
 
-    if (!userId || !password) {
+    if (!identifier || !password) {
       return res.status(400).json({
         success: false,
-        message: 'userId and password are required',
+        message: 'User ID or email and password are required',
       });
     }
 
+    // userIds cannot contain "@", so anything with one is an email
     const pool = getPool();
-    const [users] = await pool.execute(
-      'SELECT id, userId, name, password FROM users WHERE userId = ?',
-      [userId]
-    );
+    const [users] = identifier.includes('@')
+      ? await pool.execute(
+        'SELECT id, userId, name, password, disabled_at, password_reset_required FROM users WHERE email = ?',
+        [normalizeEmail(identifier)]
+      )
+      : await pool.execute(
+        'SELECT id, userId, name, password, disabled_at, password_reset_required FROM users WHERE userId = ?',
+        [identifier]
+      );
+    const user = users[0];
 
-    if (users.length === 0) {
-      return res.status(401).json({
+    // Throttle repeated failures per IP and per account, whichever identifier was used
+    const throttleKey = user ? user.userId : identifier;
+    const throttle = await checkLoginAllowed(req.ip, throttleKey);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfterSeconds));
+      return res.status(429).json({
         success: false,
-        message: 'Invalid userId or password',
+        message: 'Too many failed login attempts. Please wait before trying again.',
+        retryAfter: throttle.retryAfterSeconds,
       });
     }
 
-    const user = users[0];
-    const isMatch = await bcrypt.compare(password, user.password);
+    // Accounts created through OpenID Connect may have no password
+    const isMatch = user && user.password ? await bcrypt.compare(password, user.password) : false;
 
     if (!isMatch) {
+      await recordLoginFailure(req.ip, throttleKey);
       return res.status(401).json({
         success: false,
-        message: 'Invalid userId or password',
+        message: 'Invalid user ID, email or password',
       });
     }
 
+    // Only said after a correct password, so it does not reveal which accounts exist
+    const block = getSignInBlock(user);
+    if (block) {
+      return res.status(403).json(block);
+    }
+
+    // With 2FA on the password only unlocks the code step; the throttle is
+    // cleared once the code is accepted, so it also covers code guessing
+    if (await isTwoFactorEnabled(user.userId)) {
+      startTwoFactorChallenge(req, user, { remember: req.body.remember === true });
+      await saveSession(req);
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        message: 'Enter the code from your authenticator app',
+      });
+    }
+
+    await recordLoginSuccess(req.ip, throttleKey);
+
     // Create session
-    req.session.userId = user.userId;
-    req.session.userName = user.name;
+    await startUserSession(req, user, { remember: req.body.remember === true });
     
     // Force save session before sending response (critical for serverless/Vercel)
     req.session.save((err) => {
       if (err) {
-        console.error('Session save error:', err);
+        req.log.error('Session save error', { error: err });
         return res.status(500).json({
           success: false,
           message: 'Session error. Please try again.',
@@ -324,7 +878,79 @@ app.post('/api/login', async (req, res) => {
       });
     });
   } catch (error) {
-    console.error('Login error:', error);
+    req.log.error('Login error', { error: error });
+    res.status(500).json({
+      success: false,
+      message: error.message === 'Database connection failed'
+        ? 'Database connection failed. Please check configuration.'
+        : 'Server error. Please try again later.',
+    });
+  }
+});
+
+/**
+ * POST /api/login/2fa - Second login step for accounts with 2FA
+ * Body: { code } - a code from the authenticator app or an unused recovery code
+ */
+app.post('/api/login/2fa', async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const pending = getTwoFactorChallenge(req);
+    if (!pending) {
+      delete req.session.pendingTwoFactor;
+      return res.status(401).json({
+        success: false,
+        message: 'Your sign-in has expired. Please sign in again.',
+        redirect: '/login.html',
+      });
+    }
+
+    const throttle = await checkLoginAllowed(req.ip, pending.userId);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts. Please wait before trying again.',
+        retryAfter: throttle.retryAfterSeconds,
+      });
+    }
+
+    const method = await verifySecondFactor(pending.userId, String(req.body.code || '').trim());
+    if (!method) {
+      await recordLoginFailure(req.ip, pending.userId);
+      return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+    }
+    await recordLoginSuccess(req.ip, pending.userId);
+
+    const [users] = await getPool().execute(
+      'SELECT userId, name, disabled_at, password_reset_required FROM users WHERE userId = ?',
+      [pending.userId]
+    );
+    delete req.session.pendingTwoFactor;
+    if (users.length === 0) {
+      await saveSession(req);
+      return res.status(401).json({ success: false, message: 'Account not found', redirect: '/login.html' });
+    }
+    // The account may have been disabled while the code was being typed
+    const block = getSignInBlock(users[0]);
+    if (block) {
+      await saveSession(req);
+      return res.status(403).json(block);
+    }
+
+    await startUserSession(req, users[0], { remember: pending.remember });
+    await saveSession(req);
+
+    const { recoveryCodesRemaining } = await getTwoFactorStatus(pending.userId);
+    res.json({
+      success: true,
+      message: method === 'recovery'
+        ? `Login successful. You have ${recoveryCodesRemaining} recovery code(s) left.`
+        : 'Login successful!',
+      redirect: '/home.html',
+    });
+  } catch (error) {
+    req.log.error('2FA login error', { error: error });
     res.status(500).json({
       success: false,
       message: error.message === 'Database connection failed'
@@ -337,7 +963,11 @@ app.post('/api/login', async (req, res) => {
 /**
  * POST /api/logout - Destroy session
  */
-app.post('/api/logout', (req, res) => {
+app.post('/api/logout', async (req, res) => {
+    const sid = req.sessionID;
+    if (req.session.userId && getPool()) {
+      await forgetSession(sid).catch(error => req.log.warn('Could not forget session', { error }));
+    }
     req.session.destroy((err) => {
       if (err) {
         return res.status(500).json({ success: false, message: 'Logout failed' });
@@ -349,37 +979,1976 @@ app.post('/api/logout', (req, res) => {
 
 /**
  * GET /api/session - Check if user is logged in
+ * Also issues the CSRF token required by every non-GET API request
  */
 app.get('/api/session', (req, res) => {
-    if (req.session && req.session.userId) {
+    const csrfToken = getCsrfToken(req);
+    if (req.session.userId) {
       res.json({
         loggedIn: true,
         userId: req.session.userId,
         userName: req.session.userName,
+        profileId: req.session.profileId || null,
+        csrfToken,
       });
     } else {
-      res.json({ loggedIn: false });
+      res.json({ loggedIn: false, twoFactorPending: Boolean(getTwoFactorChallenge(req)), csrfToken });
     }
 });
 
+// ============ PASSWORD RESET ROUTES ============
+
+const PASSWORD_RESET_TTL_MS = parseInt(process.env.PASSWORD_RESET_TTL_MS) || 60 * 60 * 1000; // 1 hour
+
+/**
+ * Hash a reset token - only the hash is stored, so a leaked table cannot reset passwords
+ */
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Hosts a development server may build links for without APP_BASE_URL
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Base URL for links in emails and OIDC callbacks
+ * Never taken from the Host header alone, which the client controls: APP_BASE_URL,
+ * else (outside production) the request's origin when it is local or on the allow-list
+ */
+function getAppBaseUrl(req) {
+  if (process.env.APP_BASE_URL) {
+    return process.env.APP_BASE_URL.replace(/\/$/, '');
+  }
+  const origin = `${req.protocol}://${req.get('host')}`;
+  if (!isProduction && (LOCAL_HOSTNAMES.includes(req.hostname) || getAllowedOrigins().includes(origin))) {
+    return origin;
+  }
+  throw new Error(`APP_BASE_URL must be set to build links for ${origin}`);
+}
+
+/**
+ * Email a one-time reset link, replacing any earlier unused one
+ * byAdmin changes the wording for resets forced from the admin console
+ */
+async function sendPasswordResetLink(user, baseUrl, { byAdmin = false } = {}) {
+  const pool = getPool();
+  const token = crypto.randomBytes(32).toString('hex');
+  const expires = Date.now() + PASSWORD_RESET_TTL_MS;
+
+  await pool.execute(
+    'DELETE FROM password_resets WHERE userId = ? AND used_at IS NULL',
+    [user.userId]
+  );
+  await pool.execute(
+    'INSERT INTO password_resets (userId, token_hash, expires) VALUES (?, ?, ?)',
+    [user.userId, hashResetToken(token), expires]
+  );
+
+  const link = `${baseUrl}/reset.html?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Movie App password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      byAdmin
+        ? `An administrator asked you to choose a new password for your account "${user.userId}".`
+        : `Someone asked to reset the password for your account "${user.userId}".`,
+      `Open this link within ${Math.round(PASSWORD_RESET_TTL_MS / 60000)} minutes to choose a new password:`,
+      link,
+      '',
+      byAdmin
+        ? 'You will not be able to sign in until you do.'
+        : 'If you did not ask for this, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+/**
+ * POST /api/password/forgot - Email a one-time reset link
+ * Always answers the same way so it cannot be used to discover accounts;
+ * throttled per IP (429 with Retry-After) and per email (nothing is sent)
+ */
+app.post('/api/password/forgot', async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const email = normalizeEmail(req.body.email || '');
+
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'Email is required' });
+    }
+
+    const throttle = await checkResetAllowed(req.ip, email);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many reset requests. Please wait before trying again.',
+        retryAfter: throttle.retryAfterSeconds,
+      });
+    }
+    await recordResetRequest(req.ip, throttle.send ? email : null);
+    if (!throttle.send) {
+      req.log.warn('Password reset email skipped: too many requests for this address');
+    }
+
+    // Resolved before the lookup, and send failures are only logged: answering
+    // differently for real accounts would tell anyone which emails have one
+    let baseUrl = null;
+    try {
+      baseUrl = getAppBaseUrl(req);
+    } catch (error) {
+      req.log.error('Cannot build password reset links', { error });
+    }
+
+    const pool = getPool();
+    const [users] = await pool.execute(
+      'SELECT userId, name, email FROM users WHERE email = ?',
+      [email]
+    );
+
+    for (const user of baseUrl && throttle.send ? users : []) {
+      try {
+        await sendPasswordResetLink(user, baseUrl);
+      } catch (error) {
+        req.log.error('Password reset email error', { error, userId: user.userId });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account uses that email, a reset link is on its way.',
+    });
+  } catch (error) {
+    req.log.error('Forgot password error', { error: error });
+    res.status(500).json({
+      success: false,
+      message: error.message === 'Database connection failed'
+        ? 'Database connection failed. Please check configuration.'
+        : 'Server error. Please try again later.',
+    });
+  }
+});
+
+/**
+ * POST /api/password/reset - Set a new password with a reset token
+ */
+app.post('/api/password/reset', async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'token and password are required',
+      });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
+    }
+
+    const pool = getPool();
+    const [resets] = await pool.execute(
+      'SELECT id, userId, expires, used_at FROM password_resets WHERE token_hash = ?',
+      [hashResetToken(String(token))]
+    );
+    const reset = resets[0];
+
+    if (!reset || reset.used_at || Number(reset.expires) <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired. Please request a new one.',
+      });
+    }
+
+    // Mark the token used first; the affectedRows check stops two concurrent resets
+    const [claimed] = await pool.execute(
+      'UPDATE password_resets SET used_at = ? WHERE id = ? AND used_at IS NULL',
+      [Date.now(), reset.id]
+    );
+    if (claimed.affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired. Please request a new one.',
+      });
+    }
+
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    await pool.execute(
+      'UPDATE users SET password = ?, password_reset_required = 0 WHERE userId = ?',
+      [hashedPassword, reset.userId]
+    );
+    // Whoever knew the old password is signed out everywhere
+    await destroyUserSessions(req.sessionStore, reset.userId);
+
+    res.json({
+      success: true,
+      message: 'Password updated. You can sign in now.',
+      redirect: '/login.html',
+    });
+  } catch (error) {
+    req.log.error('Reset password error', { error: error });
+    res.status(500).json({
+      success: false,
+      message: error.message === 'Database connection failed'
+        ? 'Database connection failed. Please check configuration.'
+        : 'Server error. Please try again later.',
+    });
+  }
+});
+
+// ============ EMAIL VERIFICATION ROUTES ============
+
+/**
+ * POST /api/verify-email - Confirm an email address with the token from the emailed link
+ * Works without signing in: the signed token identifies the account
+ */
+app.post('/api/verify-email', async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const userId = await verifyEmailToken(req.body.token);
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This confirmation link is invalid or has expired. Sign in to get a new one.',
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Email confirmed. Thanks!',
+      redirect: req.session.userId ? '/home.html' : '/login.html',
+    });
+  } catch (error) {
+    req.log.error('Verify email error', { error: error });
+    res.status(500).json({
+      success: false,
+      message: error.message === 'Database connection failed'
+        ? 'Database connection failed. Please check configuration.'
+        : 'Server error. Please try again later.',
+    });
+  }
+});
+
+/**
+ * GET /api/verify-email/status - Whether the session user's email is confirmed,
+ * and what stays locked until it is
+ */
+app.get('/api/verify-email/status', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const status = await getVerificationStatus(req.session.userId);
+    if (!status) {
+      return res.status(404).json({ success: false, message: 'Account not found' });
+    }
+    res.json({
+      success: true,
+      ...status,
+      restrictions: status.verified ? [] : getVerificationConfig().restrictions,
+    });
+  } catch (error) {
+    req.log.error('Verification status error', { error: error });
+    res.status(500).json({ success: false, message: 'Server error. Please try again later.' });
+  }
+});
+
+/**
+ * POST /api/verify-email/resend - Email a new confirmation link
+ * At most one email per EMAIL_VERIFICATION_RESEND_MS (429 with Retry-After otherwise)
+ */
+app.post('/api/verify-email/resend', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const status = await getVerificationStatus(req.session.userId);
+    if (!status) {
+      return res.status(404).json({ success: false, message: 'Account not found' });
+    }
+    if (status.verified) {
+      return res.status(400).json({ success: false, message: 'Your email is already confirmed' });
+    }
+    if (!status.email) {
+      return res.status(400).json({ success: false, message: 'Add an email address on your account page first' });
+    }
+    if (status.resendAvailableInSeconds > 0) {
+      res.set('Retry-After', String(status.resendAvailableInSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${status.resendAvailableInSeconds} seconds before asking for another email.`,
+        retryAfterSeconds: status.resendAvailableInSeconds,
+      });
+    }
+
+    const [[user]] = await getPool().execute('SELECT name FROM users WHERE userId = ?', [req.session.userId]);
+    await sendVerificationEmail(
+      { userId: req.session.userId, name: user.name, email: status.email },
+      getAppBaseUrl(req)
+    );
+    res.json({ success: true, message: `A new confirmation link is on its way to ${status.email}.` });
+  } catch (error) {
+    req.log.error('Resend verification error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not send the email. Please try again later.' });
+  }
+});
+
+// ============ OPENID CONNECT ROUTES ============
+
+const OIDC_PENDING_TTL_MS = 10 * 60 * 1000; // a sign-in must finish within 10 minutes
+
+/**
+ * Callback URL registered with each provider
+ */
+function getOidcRedirectUri(req, providerId) {
+  return `${getAppBaseUrl(req)}/api/auth/oidc/${providerId}/callback`;
+}
+
+/**
+ * Browser flows end on a page; errors travel in ?error= for the page to show
+ */
+function redirectWithError(res, page, error) {
+  if (!(error instanceof OidcError)) {
+    res.req.log.error('OpenID Connect error', { error });
+  }
+  const message = error instanceof OidcError ? error.message : 'Sign-in failed. Please try again.';
+  res.redirect(`${page}?error=${encodeURIComponent(message)}`);
+}
+
+function saveSession(req) {
+  return new Promise((resolve, reject) => {
+    req.session.save(err => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Create a local account for a first-time OpenID Connect sign-in
+ * Refuses when the email already belongs to an account: linking must be done
+ * by that account's owner, or anyone controlling the email at the provider could take it over
+ */
+async function createOidcUser(pool, provider, identity) {
+  const email = identity.email && identity.emailVerified ? normalizeEmail(identity.email) : null;
+  if (identity.email) {
+    const [existing] = await pool.execute('SELECT id FROM users WHERE email = ?', [normalizeEmail(identity.email)]);
+    if (existing.length > 0) {
+      throw new OidcError(
+        `An account with ${identity.email} already exists. Sign in with your password, then connect ${provider.name} on your account page.`
+      );
+    }
+  }
+
+  const source = identity.preferredUsername || (identity.email || '').split('@')[0] || identity.name || 'user';
+  const base = source.replace(/[^a-zA-Z0-9_]/g, '_').replace(/^_+|_+$/g, '').slice(0, 40) || 'user';
+  const name = (identity.name || base).slice(0, 100);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const userId = attempt === 0 ? base : `${base}_${crypto.randomInt(1000, 10000)}`;
+    try {
+      await pool.execute(
+        // The provider already verified the email (unverified ones are not stored)
+        'INSERT INTO users (userId, name, email, phone, password, email_verified_at, created_at) VALUES (?, ?, ?, NULL, NULL, ?, ?)',
+        [userId, name, email, Date.now(), Date.now()]
+      );
+      return { userId, name, disabled_at: null, password_reset_required: 0 };
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') throw error;
+    }
+  }
+  throw new OidcError('Could not create an account. Please register with a user ID instead.', 409);
+}
+
+/**
+ * GET /api/auth/providers - Configured OpenID Connect providers, for the sign-in buttons
+ */
+app.get('/api/auth/providers', (req, res) => {
+  const providers = [...getOidcProviders().values()].map(({ id, name }) => ({ id, name }));
+  res.json({ success: true, providers });
+});
+
+/**
+ * GET /api/auth/oidc/:provider/start - Redirect to the provider
+ * ?mode=link connects the provider to the signed-in account instead of signing in
+ */
+app.get('/api/auth/oidc/:provider/start', async (req, res) => {
+  const mode = req.query.mode === 'link' ? 'link' : 'login';
+  const errorPage = mode === 'link' ? '/profile.html' : '/login.html';
+  try {
+    const provider = getOidcProvider(req.params.provider);
+    if (mode === 'link' && !req.session.userId) {
+      throw new OidcError('Please sign in before connecting another account');
+    }
+
+    const request = await createAuthorizationRequest(provider, getOidcRedirectUri(req, provider.id));
+    req.session.oidc = {
+      provider: provider.id,
+      mode,
+      state: request.state,
+      nonce: request.nonce,
+      codeVerifier: request.codeVerifier,
+      expires: Date.now() + OIDC_PENDING_TTL_MS,
+    };
+    // The callback needs this state, so it must be stored before leaving the site
+    await saveSession(req);
+    res.redirect(request.url);
+  } catch (error) {
+    redirectWithError(res, errorPage, error);
+  }
+});
+
+/**
+ * GET /api/auth/oidc/:provider/callback - Provider redirects back here with a code
+ * Signs in (creating an account on first use) or links the identity
+ */
+app.get('/api/auth/oidc/:provider/callback', async (req, res) => {
+  const pending = req.session.oidc;
+  delete req.session.oidc;
+  const mode = pending && pending.mode === 'link' ? 'link' : 'login';
+  const errorPage = mode === 'link' ? '/profile.html' : '/login.html';
+
+  try {
+    await ensureDbInitialized();
+    const provider = getOidcProvider(req.params.provider);
+    if (req.query.error) {
+      throw new OidcError(req.query.error === 'access_denied' ? 'Sign-in was cancelled' : `Sign-in failed: ${req.query.error}`);
+    }
+    if (!pending || pending.provider !== provider.id || pending.expires < Date.now()) {
+      throw new OidcError('This sign-in link has expired. Please try again.');
+    }
+
+    const identity = await completeAuthorization(provider, req.query, pending, getOidcRedirectUri(req, provider.id));
+    const pool = getPool();
+    const [linked] = await pool.execute(
+      'SELECT userId FROM user_identities WHERE provider = ? AND subject = ?',
+      [provider.id, identity.subject]
+    );
+
+    if (mode === 'link') {
+      if (!req.session.userId) {
+        throw new OidcError('Please sign in before connecting another account');
+      }
+      if (linked.length > 0 && linked[0].userId !== req.session.userId) {
+        throw new OidcError(`This ${provider.name} account is already connected to another user`);
+      }
+      if (linked.length === 0) {
+        try {
+          await pool.execute(
+            'INSERT INTO user_identities (userId, provider, subject, email) VALUES (?, ?, ?, ?)',
+            [req.session.userId, provider.id, identity.subject, identity.email]
+          );
+        } catch (error) {
+          if (error.code === 'ER_DUP_ENTRY') {
+            throw new OidcError(`You already connected a ${provider.name} account. Disconnect it first.`);
+          }
+          throw error;
+        }
+      }
+      await saveSession(req);
+      return res.redirect(`/profile.html?linked=${encodeURIComponent(provider.id)}`);
+    }
+
+    let user;
+    if (linked.length > 0) {
+      const [users] = await pool.execute(
+        'SELECT userId, name, disabled_at, password_reset_required FROM users WHERE userId = ?',
+        [linked[0].userId]
+      );
+      user = users[0];
+    } else {
+      user = await createOidcUser(pool, provider, identity);
+      await pool.execute(
+        'INSERT INTO user_identities (userId, provider, subject, email) VALUES (?, ?, ?, ?)',
+        [user.userId, provider.id, identity.subject, identity.email]
+      );
+    }
+
+    const block = getSignInBlock(user);
+    if (block) {
+      throw new OidcError(block.message, 403);
+    }
+
+    if (await isTwoFactorEnabled(user.userId)) {
+      startTwoFactorChallenge(req, user);
+      await saveSession(req);
+      return res.redirect('/login.html?step=2fa');
+    }
+
+    await startUserSession(req, user);
+    await saveSession(req);
+    res.redirect('/home.html');
+  } catch (error) {
+    // Keep the cleared pending state even when the sign-in failed
+    await saveSession(req).catch(() => {});
+    redirectWithError(res, errorPage, error);
+  }
+});
+
+/**
+ * GET /api/me/identities - Connected providers, plus the ones that could be connected
+ */
+app.get('/api/me/identities', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT provider, email, created_at FROM user_identities WHERE userId = ? ORDER BY created_at',
+      [req.session.userId]
+    );
+    const [[user]] = await pool.execute('SELECT password FROM users WHERE userId = ?', [req.session.userId]);
+    const providers = getOidcProviders();
+
+    res.json({
+      success: true,
+      hasPassword: Boolean(user && user.password),
+      identities: rows.map(row => ({
+        provider: row.provider,
+        name: providers.has(row.provider) ? providers.get(row.provider).name : row.provider,
+        email: row.email,
+        linkedAt: row.created_at,
+      })),
+      providers: [...providers.values()].map(({ id, name }) => ({ id, name })),
+    });
+  } catch (error) {
+    req.log.error('Identity list error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not load connected accounts' });
+  }
+});
+
+/**
+ * DELETE /api/me/identities/:provider - Disconnect a provider
+ * Refused when it is the account's only way to sign in
+ */
+app.delete('/api/me/identities/:provider', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT provider FROM user_identities WHERE userId = ?', [req.session.userId]);
+    if (!rows.some(row => row.provider === req.params.provider)) {
+      return res.status(404).json({ success: false, message: 'That account is not connected' });
+    }
+
+    const [[user]] = await pool.execute('SELECT password FROM users WHERE userId = ?', [req.session.userId]);
+    if (!user.password && rows.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password before disconnecting your only sign-in method',
+      });
+    }
+
+    await pool.execute(
+      'DELETE FROM user_identities WHERE userId = ? AND provider = ?',
+      [req.session.userId, req.params.provider]
+    );
+    res.json({ success: true, message: 'Account disconnected' });
+  } catch (error) {
+    req.log.error('Identity unlink error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not disconnect the account' });
+  }
+});
+
+// ============ PROFILE ROUTES ============
+
+/**
+ * GET /api/me - Current user's profile
+ */
+app.get('/api/me', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const pool = getPool();
+    const [users] = await pool.execute(
+      'SELECT userId, name, email, email_conflict, email_verified_at, phone, role FROM users WHERE userId = ?',
+      [req.session.userId]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({ success: false, message: 'Account not found' });
+    }
+    const { email_conflict: emailConflict, email_verified_at: verifiedAt, role, ...user } = users[0];
+    res.json({
+      success: true,
+      user: { ...user, emailConflict, emailVerified: verifiedAt !== null, isAdmin: role === 'admin' },
+    });
+  } catch (error) {
+    req.log.error('Profile error', { error: error });
+    res.status(500).json({
+      success: false,
+      message: error.message === 'Database connection failed'
+        ? 'Database connection failed. Please check configuration.'
+        : 'Server error. Please try again later.',
+    });
+  }
+});
+
+/**
+ * PUT /api/me - Update name, email and phone
+ */
+app.put('/api/me', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : req.body.name;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : req.body.email;
+    const phone = typeof req.body.phone === 'string' ? req.body.phone.trim() : req.body.phone;
+
+    const profileError = validateProfileFields({ name, email, phone });
+    if (profileError) {
+      return res.status(400).json({ success: false, message: profileError });
+    }
+
+    const pool = getPool();
+    const [[current]] = await pool.execute(
+      'SELECT email, email_verified_at FROM users WHERE userId = ?',
+      [req.session.userId]
+    );
+    if (!current) {
+      return res.status(404).json({ success: false, message: 'Account not found' });
+    }
+
+    const normalizedEmail = normalizeEmail(email);
+    const [emailOwners] = await pool.execute(
+      'SELECT userId FROM users WHERE email = ? AND userId <> ?',
+      [normalizedEmail, req.session.userId]
+    );
+    if (emailOwners.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another account already uses this email.',
+      });
+    }
+
+    const emailChanged = current.email !== normalizedEmail;
+
+    // Saving an email resolves any duplicate-email conflict from the upgrade
+    // A new address has to be verified again
+    await pool.execute(
+      `UPDATE users SET name = ?, email = ?, email_conflict = NULL, phone = ?${emailChanged ? ', email_verified_at = NULL' : ''}
+       WHERE userId = ?`,
+      [name, normalizedEmail, phone || null, req.session.userId]
+    );
+    req.session.userName = name;
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail({ userId: req.session.userId, name, email: normalizedEmail }, getAppBaseUrl(req));
+      } catch (error) {
+        req.log.error('Verification email error', { error: error });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: emailChanged ? 'Profile updated. Check your email to confirm the new address.' : 'Profile updated',
+      user: {
+        userId: req.session.userId,
+        name,
+        email: normalizedEmail,
+        phone: phone || null,
+        emailConflict: null,
+        emailVerified: !emailChanged && current.email_verified_at !== null,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ success: false, message: 'Another account already uses this email.' });
+    }
+    req.log.error('Profile update error', { error: error });
+    res.status(500).json({
+      success: false,
+      message: error.message === 'Database connection failed'
+        ? 'Database connection failed. Please check configuration.'
+        : 'Server error. Please try again later.',
+    });
+  }
+});
+
+/**
+ * Check the session user's current password
+ * Sends the error response and returns false when it does not match
+ * Wrong passwords count against the login throttle, so a hijacked session cannot
+ * be used to guess the password; callers clear it once re-authentication succeeds
+ */
+async function verifyCurrentPassword(req, res, password) {
+  if (!password) {
+    res.status(400).json({ success: false, message: 'Current password is required' });
+    return false;
+  }
+  const throttle = await checkLoginAllowed(req.ip, req.session.userId);
+  if (!throttle.allowed) {
+    res.set('Retry-After', String(throttle.retryAfterSeconds));
+    res.status(429).json({
+      success: false,
+      message: 'Too many failed attempts. Please wait before trying again.',
+      retryAfter: throttle.retryAfterSeconds,
+    });
+    return false;
+  }
+  const [users] = await getPool().execute(
+    'SELECT password FROM users WHERE userId = ?',
+    [req.session.userId]
+  );
+  if (users.length > 0 && !users[0].password) {
+    res.status(400).json({
+      success: false,
+      message: 'Your account has no password yet. Use "Forgot password?" on the sign-in page to set one.',
+    });
+    return false;
+  }
+  if (users.length === 0 || !(await bcrypt.compare(password, users[0].password))) {
+    await recordLoginFailure(req.ip, req.session.userId);
+    res.status(401).json({ success: false, message: 'Current password is incorrect' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * POST /api/me/password - Change password after verifying the current one
+ */
+app.post('/api/me/password', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const { currentPassword, newPassword } = req.body;
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
+    }
+    if (!(await verifyCurrentPassword(req, res, currentPassword))) return;
+    await recordLoginSuccess(req.ip, req.session.userId);
+
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+    await getPool().execute(
+      'UPDATE users SET password = ? WHERE userId = ?',
+      [hashedPassword, req.session.userId]
+    );
+    // Keep this session, sign out every other one
+    const revoked = await destroyUserSessions(req.sessionStore, req.session.userId, req.sessionID);
+
+    res.json({
+      success: true,
+      message: revoked > 0 ? 'Password changed. Your other sessions were signed out.' : 'Password changed',
+    });
+  } catch (error) {
+    req.log.error('Password change error', { error: error });
+    res.status(500).json({
+      success: false,
+      message: error.message === 'Database connection failed'
+        ? 'Database connection failed. Please check configuration.'
+        : 'Server error. Please try again later.',
+    });
+  }
+});
+
+/**
+ * DELETE /api/me - Delete the account (confirmed with its password) and all its sessions
+ * Watchlist, reviews and reset tokens go with it through ON DELETE CASCADE
+ */
+app.delete('/api/me', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const userId = req.session.userId;
+    if (!(await verifyCurrentPassword(req, res, req.body.password))) return;
+    await recordLoginSuccess(req.ip, userId);
+
+    await getPool().execute('DELETE FROM users WHERE userId = ?', [userId]);
+    await destroyUserSessions(req.sessionStore, userId);
+
+    req.session.destroy(() => {
+      res.clearCookie('connect.sid');
+      res.json({ success: true, message: 'Account deleted', redirect: '/' });
+    });
+  } catch (error) {
+    req.log.error('Account deletion error', { error: error });
+    res.status(500).json({
+      success: false,
+      message: error.message === 'Database connection failed'
+        ? 'Database connection failed. Please check configuration.'
+        : 'Server error. Please try again later.',
+    });
+  }
+});
+
+// ============ TWO-FACTOR ROUTES ============
+
+/**
+ * GET /api/me/2fa - Whether 2FA is on and how many recovery codes are left
+ */
+app.get('/api/me/2fa', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const status = await getTwoFactorStatus(req.session.userId);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    req.log.error('2FA status error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not load two-factor settings' });
+  }
+});
+
+/**
+ * POST /api/me/2fa/setup - Start enrollment: a new secret as an otpauth URI and QR code
+ * 2FA is not on until the first code is confirmed with /api/me/2fa/enable
+ */
+app.post('/api/me/2fa/setup', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    if (await isTwoFactorEnabled(req.session.userId)) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already on' });
+    }
+
+    const { secret, otpauthUri } = await startEnrollment(req.session.userId);
+    const qrCode = await QRCode.toDataURL(otpauthUri, { margin: 1, width: 200 });
+    res.json({ success: true, secret, otpauthUri, qrCode });
+  } catch (error) {
+    req.log.error('2FA setup error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not start two-factor setup' });
+  }
+});
+
+/**
+ * POST /api/me/2fa/enable - Confirm enrollment with a code from the app
+ * Body: { code }; returns the recovery codes, which are never shown again
+ */
+app.post('/api/me/2fa/enable', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const recoveryCodes = await confirmEnrollment(req.session.userId, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'That code did not match. Check the time on your device and try again.',
+      });
+    }
+    res.json({ success: true, message: 'Two-factor authentication is on', recoveryCodes });
+  } catch (error) {
+    req.log.error('2FA enable error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not turn on two-factor authentication' });
+  }
+});
+
+/**
+ * POST /api/me/2fa/recovery-codes - Replace the recovery codes (confirmed with the password)
+ */
+app.post('/api/me/2fa/recovery-codes', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    if (!(await verifyCurrentPassword(req, res, req.body.password))) return;
+    if (!(await isTwoFactorEnabled(req.session.userId))) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not on' });
+    }
+    await recordLoginSuccess(req.ip, req.session.userId);
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.session.userId);
+    res.json({ success: true, message: 'New recovery codes created', recoveryCodes });
+  } catch (error) {
+    req.log.error('Recovery code error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not create recovery codes' });
+  }
+});
+
+/**
+ * DELETE /api/me/2fa - Turn 2FA off after re-authenticating
+ * Body: { password, code } - the password plus an app code or recovery code
+ */
+app.delete('/api/me/2fa', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    if (!(await verifyCurrentPassword(req, res, req.body.password))) return;
+    if (!(await isTwoFactorEnabled(req.session.userId))) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not on' });
+    }
+    // The throttle is cleared only once the code is accepted, so it also covers code guessing
+    if (!(await verifySecondFactor(req.session.userId, String(req.body.code || '').trim()))) {
+      await recordLoginFailure(req.ip, req.session.userId);
+      return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+    }
+    await recordLoginSuccess(req.ip, req.session.userId);
+
+    await disableTwoFactor(req.session.userId);
+    res.json({ success: true, message: 'Two-factor authentication is off' });
+  } catch (error) {
+    req.log.error('2FA disable error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not turn off two-factor authentication' });
+  }
+});
+
+// ============ SESSION ROUTES ============
+
+/**
+ * GET /api/sessions - The user's active sessions (device, IP, last seen)
+ */
+app.get('/api/sessions', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const sessions = await listSessions(req.sessionStore, req.session.userId, req.sessionID);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    req.log.error('Session list error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not load sessions' });
+  }
+});
+
+/**
+ * DELETE /api/sessions/:id - Sign out one of the user's other sessions
+ * The current session is ended with /api/logout instead
+ */
+app.delete('/api/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    if (req.params.id === publicSessionId(req.sessionID)) {
+      return res.status(400).json({ success: false, message: 'Use log out to end the current session' });
+    }
+
+    const revoked = await revokeSession(req.sessionStore, req.session.userId, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+    res.json({ success: true, message: 'Session signed out' });
+  } catch (error) {
+    req.log.error('Session revoke error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not sign out the session' });
+  }
+});
+
+/**
+ * DELETE /api/sessions - Sign out every session except the current one
+ */
+app.delete('/api/sessions', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const revoked = await destroyUserSessions(req.sessionStore, req.session.userId, req.sessionID);
+    res.json({ success: true, message: `Signed out ${revoked} other session(s)`, revoked });
+  } catch (error) {
+    req.log.error('Session revoke error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not sign out other sessions' });
+  }
+});
+
+// ============ ADMIN ROUTES ============
+
+/**
+ * Look up the account named in :userId for an admin action
+ * Sends 404 and returns null when there is none; actions on the admin's own account
+ * are refused unless allowSelf, so nobody locks themselves out by accident
+ */
+async function findAdminTarget(req, res, { allowSelf = false } = {}) {
+  if (!allowSelf && req.params.userId === req.session.userId) {
+    res.status(400).json({ success: false, message: 'You cannot do this to your own account' });
+    return null;
+  }
+  const user = await findUser(req.params.userId);
+  if (!user) {
+    res.status(404).json({ success: false, message: 'Account not found' });
+    return null;
+  }
+  return user;
+}
+
+/**
+ * GET /api/admin/users - Search accounts by userId, name or email
+ * Query: q (optional), page (20 per page, newest accounts first)
+ */
+app.get('/api/admin/users', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const result = await listUsers({ q: String(req.query.q || '').slice(0, 100), page });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    req.log.error('Admin user list error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not load accounts' });
+  }
+});
+
+/**
+ * GET /api/admin/stats - Account totals, signups per day and active sessions
+ * Query: days (signup chart length, default 30, at most 365)
+ */
+app.get('/api/admin/stats', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const stats = await getStats({ days: parseInt(req.query.days) || undefined });
+    res.json({ success: true, ...stats });
+  } catch (error) {
+    req.log.error('Admin stats error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not load stats' });
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/disable - Block sign-in and end the account's sessions
+ */
+app.post('/api/admin/users/:userId/disable', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const user = await findAdminTarget(req, res);
+    if (!user) return;
+    await setDisabled(user.userId, true);
+    const revoked = await destroyUserSessions(req.sessionStore, user.userId);
+    res.json({ success: true, message: `Disabled ${user.userId} and signed out ${revoked} session(s)`, revoked });
+  } catch (error) {
+    req.log.error('Admin disable error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not disable the account' });
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/enable - Allow a disabled account to sign in again
+ */
+app.post('/api/admin/users/:userId/enable', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const user = await findAdminTarget(req, res);
+    if (!user) return;
+    await setDisabled(user.userId, false);
+    res.json({ success: true, message: `Enabled ${user.userId}` });
+  } catch (error) {
+    req.log.error('Admin enable error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not enable the account' });
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/password-reset - Force a new password
+ * Signs the account out everywhere, blocks sign-in until the password is reset
+ * and emails a reset link
+ */
+app.post('/api/admin/users/:userId/password-reset', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const user = await findAdminTarget(req, res);
+    if (!user) return;
+    await requirePasswordReset(user.userId);
+    const revoked = await destroyUserSessions(req.sessionStore, user.userId);
+
+    let emailed = false;
+    if (user.email) {
+      try {
+        await sendPasswordResetLink(user, getAppBaseUrl(req), { byAdmin: true });
+        emailed = true;
+      } catch (error) {
+        // They can still use "Forgot password" once mail works again
+        req.log.error('Admin reset email error', { error: error });
+      }
+    }
+    res.json({
+      success: true,
+      message: emailed
+        ? `${user.userId} must choose a new password. A reset link was emailed.`
+        : `${user.userId} must choose a new password, but no reset link could be emailed.`,
+      emailed,
+      revoked,
+    });
+  } catch (error) {
+    req.log.error('Admin password reset error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not require a password reset' });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:userId/sessions - Sign the account out everywhere
+ * For the admin's own account the current session is kept
+ */
+app.delete('/api/admin/users/:userId/sessions', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const user = await findAdminTarget(req, res, { allowSelf: true });
+    if (!user) return;
+    const keep = user.userId === req.session.userId ? req.sessionID : null;
+    const revoked = await destroyUserSessions(req.sessionStore, user.userId, keep);
+    res.json({ success: true, message: `Signed out ${revoked} session(s)`, revoked });
+  } catch (error) {
+    req.log.error('Admin session revoke error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not sign out the sessions' });
+  }
+});
+
+// ============ VIEWING PROFILE ROUTES ============
+
+/**
+ * Kids profiles may pick another profile but not add, change or delete them
+ * Sends the error response and returns false for a kids profile
+ */
+async function checkCanManageProfiles(req, res) {
+  const active = req.session.profileId ? await getProfile(req.session.userId, req.session.profileId) : null;
+  if (active && active.kids) {
+    res.status(403).json({ success: false, message: 'Kids profiles cannot manage profiles' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /api/profiles - The account's profiles for the "Who's watching?" picker
+ */
+app.get('/api/profiles', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const profiles = await listProfiles(req.session.userId);
+    res.json({
+      success: true,
+      profiles,
+      activeProfileId: req.session.profileId || null,
+      maxProfiles: getProfileConfig().maxProfiles,
+      avatars: PROFILE_AVATARS,
+    });
+  } catch (error) {
+    req.log.error('Profile list error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not load profiles' });
+  }
+});
+
+/**
+ * POST /api/profiles - Add a profile
+ * Body: { name, avatar, kids }
+ */
+app.post('/api/profiles', requireAuth, requireVerifiedEmail('profiles'), async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const validationError = validateProfileInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+    if (!(await checkCanManageProfiles(req, res))) return;
+
+    const { maxProfiles } = getProfileConfig();
+    const profiles = await listProfiles(req.session.userId);
+    if (profiles.length >= maxProfiles) {
+      return res.status(400).json({ success: false, message: `An account can have at most ${maxProfiles} profiles` });
+    }
+
+    const row = {
+      name: req.body.name.trim(),
+      avatar: req.body.avatar || PROFILE_AVATARS[profiles.length % PROFILE_AVATARS.length],
+      is_kids: req.body.kids === true,
+    };
+    let result;
+    try {
+      [result] = await getPool().execute(
+        'INSERT INTO profiles (userId, name, avatar, is_kids) VALUES (?, ?, ?, ?)',
+        [req.session.userId, row.name, row.avatar, row.is_kids]
+      );
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'You already have a profile with that name' });
+      }
+      throw error;
+    }
+
+    res.status(201).json({ success: true, message: 'Profile added', profile: toProfile({ id: result.insertId, ...row }) });
+  } catch (error) {
+    req.log.error('Profile create error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not add the profile' });
+  }
+});
+
+/**
+ * PUT /api/profiles/:id - Rename a profile or change its avatar or kids setting
+ * Body: { name, avatar, kids }
+ */
+app.put('/api/profiles/:id', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const validationError = validateProfileInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+    if (!(await checkCanManageProfiles(req, res))) return;
+
+    const profile = await getProfile(req.session.userId, req.params.id);
+    if (!profile) {
+      return res.status(404).json({ success: false, message: 'Profile not found' });
+    }
+
+    const updated = {
+      ...profile,
+      name: req.body.name.trim(),
+      avatar: req.body.avatar || profile.avatar,
+      kids: req.body.kids === undefined ? profile.kids : req.body.kids,
+    };
+    try {
+      await getPool().execute(
+        'UPDATE profiles SET name = ?, avatar = ?, is_kids = ? WHERE id = ?',
+        [updated.name, updated.avatar, updated.kids, profile.id]
+      );
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'You already have a profile with that name' });
+      }
+      throw error;
+    }
+
+    res.json({ success: true, message: 'Profile updated', profile: updated });
+  } catch (error) {
+    req.log.error('Profile update error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not update the profile' });
+  }
+});
+
+/**
+ * DELETE /api/profiles/:id - Delete a profile with its list and reviews
+ * The last profile cannot be deleted
+ */
+app.delete('/api/profiles/:id', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    if (!(await checkCanManageProfiles(req, res))) return;
+
+    const profiles = await listProfiles(req.session.userId);
+    const profile = profiles.find(candidate => String(candidate.id) === req.params.id);
+    if (!profile) {
+      return res.status(404).json({ success: false, message: 'Profile not found' });
+    }
+    if (profiles.length === 1) {
+      return res.status(400).json({ success: false, message: 'An account needs at least one profile' });
+    }
+
+    await getPool().execute('DELETE FROM profiles WHERE id = ?', [profile.id]);
+    if (req.session.profileId === profile.id) {
+      delete req.session.profileId;
+    }
+    res.json({ success: true, message: 'Profile deleted' });
+  } catch (error) {
+    req.log.error('Profile delete error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not delete the profile' });
+  }
+});
+
+/**
+ * POST /api/profiles/:id/select - Make a profile the session's active one
+ */
+app.post('/api/profiles/:id/select', requireAuth, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const profile = await getProfile(req.session.userId, req.params.id);
+    if (!profile) {
+      return res.status(404).json({ success: false, message: 'Profile not found' });
+    }
+
+    // Continue to a movie link opened before signing in or picking a profile
+    const redirect = req.session.returnTo || '/home.html';
+    delete req.session.returnTo;
+    req.session.profileId = profile.id;
+    await saveSession(req);
+    res.json({ success: true, profile, redirect });
+  } catch (error) {
+    req.log.error('Profile select error', { error: error });
+    res.status(500).json({ success: false, message: 'Could not switch profiles' });
+  }
+});
+
+// ============ MOVIE ROUTES ============
+
+/**
+ * Send a JSON error for a failed OMDb lookup
+ */
+function sendMovieError(res, error) {
+  if (error instanceof OmdbError) {
+    res.req.log.warn('OMDb error', { error });
+    return res.status(error.status).json({
+      success: false,
+      message: error.status === 503
+        ? 'Movie service is not configured.'
+        : 'Movie service unavailable. Please try again later.',
+    });
+  }
+  res.req.log.error('Movie route error', { error });
+  res.status(500).json({
+    success: false,
+    message: error.message === 'Database connection failed'
+      ? 'Database connection failed. Please check configuration.'
+      : 'Server error. Please try again later.',
+  });
+}
+
+/**
+ * Send the response for a title a kids profile may not see
+ */
+function sendKidsRestricted(res) {
+  res.status(403).json({ success: false, message: 'This title is not available on kids profiles' });
+}
+
+const SEARCH_TYPES = ['movie', 'series', 'episode'];
+
+/**
+ * Parse an optional year filter; returns undefined when absent, NaN when invalid
+ */
+function parseYearParam(value) {
+  if (value === undefined || value === '') return undefined;
+  return /^\d{4}$/.test(value) ? parseInt(value, 10) : NaN;
+}
+
+/**
+ * GET /api/movies/search?s=query&page=1&type=movie&yearFrom=1990&yearTo=1999
+ * Search movies by title text with optional type and year range filters
+ * Kids profiles only get titles with a kids rating
+ */
+app.get('/api/movies/search', requireAuth, requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const query = (req.query.s || '').trim();
+    const page = req.query.page === undefined ? 1 : parseInt(req.query.page, 10);
+    const type = req.query.type || undefined;
+    const yearFrom = parseYearParam(req.query.yearFrom);
+    const yearTo = parseYearParam(req.query.yearTo);
+
+    if (query.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query must be at least 2 characters',
+      });
+    }
+    if (!Number.isInteger(page) || page < 1 || page > SEARCH_MAX_PAGE) {
+      return res.status(400).json({
+        success: false,
+        message: `page must be a number from 1 to ${SEARCH_MAX_PAGE}`,
+      });
+    }
+    if (type && !SEARCH_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${SEARCH_TYPES.join(', ')}`,
+      });
+    }
+    if (Number.isNaN(yearFrom) || Number.isNaN(yearTo) || (yearFrom && yearTo && yearFrom > yearTo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Years must be 4 digits and yearFrom cannot be after yearTo',
+      });
+    }
+
+    const result = await searchMovies(query, { page, type, yearFrom, yearTo });
+    if (req.profile.kids) {
+      result.results = await filterForKids(result.results);
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+/**
+ * GET /api/movies/lookup?t=title - Movie details by exact title
+ */
+app.get('/api/movies/lookup', requireAuth, requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const title = (req.query.t || '').trim();
+
+    if (!title) {
+      return res.status(400).json({ success: false, message: 'Title is required' });
+    }
+
+    const movie = await getMovieByTitle(title);
+    if (!movie) {
+      return res.status(404).json({ success: false, message: 'Movie not found' });
+    }
+    if (req.profile.kids && !isAllowedForKids(movie)) {
+      return sendKidsRestricted(res);
+    }
+    res.json({ success: true, movie });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+/**
+ * GET /api/movies/:imdbID - Movie details by IMDb id
+ */
+app.get('/api/movies/:imdbID', requireAuth, requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const { imdbID } = req.params;
+
+    if (!/^tt\d+$/.test(imdbID)) {
+      return res.status(400).json({ success: false, message: 'Invalid imdbID' });
+    }
+
+    const movie = await getMovieById(imdbID);
+    if (!movie) {
+      return res.status(404).json({ success: false, message: 'Movie not found' });
+    }
+    if (req.profile.kids && !isAllowedForKids(movie)) {
+      return sendKidsRestricted(res);
+    }
+    res.json({ success: true, movie });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+// ============ HOME ROW ROUTES ============
+
+/**
+ * GET /api/rows - Curated home page rows (ids and titles)
+ */
+app.get('/api/rows', requireAuth, (req, res) => {
+  try {
+    res.json({ success: true, rows: getRows() });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+/**
+ * GET /api/rows/:rowId - Movies for one home page row (filtered for kids profiles)
+ */
+app.get('/api/rows/:rowId', requireAuth, requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const row = await getRowMovies(req.params.rowId);
+    if (!row) {
+      return res.status(404).json({ success: false, message: 'Row not found' });
+    }
+    if (req.profile.kids) {
+      row.results = await filterForKids(row.results);
+    }
+    res.json({ success: true, ...row });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+/**
+ * GET /api/recommendations - "Because you liked X" row for the active profile
+ * Built from the profile's ratings, My List and history; empty until there are any
+ */
+app.get('/api/recommendations', requireAuth, requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const { because, results } = await getRecommendations(req.profile);
+    res.json({
+      success: true,
+      title: because ? `Because you liked ${because.Title}` : 'Recommended for You',
+      because,
+      results,
+    });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+// ============ WATCHLIST ROUTES ============
+
+/**
+ * Map a watchlist row to the OMDb search result shape used by the client
+ */
+function toWatchlistItem(row) {
+  return {
+    imdbID: row.imdbID,
+    Title: row.title,
+    Year: row.year,
+    Poster: row.poster,
+    Type: row.type,
+    position: row.position,
+  };
+}
+
+/**
+ * GET /api/watchlist - List the profile's saved movies in order
+ */
+app.get('/api/watchlist', requireAuth, requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT imdbID, title, year, poster, type, position FROM watchlist WHERE profileId = ? ORDER BY position, id',
+      [req.profile.id]
+    );
+    res.json({ success: true, items: rows.map(toWatchlistItem) });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+/**
+ * POST /api/watchlist - Add a movie to the end of the profile's list
+ */
+app.post('/api/watchlist', requireAuth, requireVerifiedEmail('watchlist'), requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const { imdbID } = req.body;
+
+    if (!imdbID || !/^tt\d+$/.test(imdbID)) {
+      return res.status(400).json({ success: false, message: 'A valid imdbID is required' });
+    }
+
+    const pool = getPool();
+    const [existing] = await pool.execute(
+      'SELECT id FROM watchlist WHERE profileId = ? AND imdbID = ?',
+      [req.profile.id, imdbID]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({ success: false, message: 'This movie is already in your list' });
+    }
+
+    // Take title/poster from OMDb (cached) rather than trusting the client
+    const movie = await getMovieById(imdbID);
+    if (!movie) {
+      return res.status(404).json({ success: false, message: 'Movie not found' });
+    }
+    if (req.profile.kids && !isAllowedForKids(movie)) {
+      return sendKidsRestricted(res);
+    }
+
+    const [[{ nextPosition }]] = await pool.execute(
+      'SELECT COALESCE(MAX(position), -1) + 1 AS nextPosition FROM watchlist WHERE profileId = ?',
+      [req.profile.id]
+    );
+    const row = {
+      imdbID,
+      title: movie.Title,
+      year: movie.Year || null,
+      poster: movie.Poster && movie.Poster !== 'N/A' ? movie.Poster : null,
+      type: movie.Type || null,
+      position: nextPosition,
+    };
+    try {
+      await pool.execute(
+        'INSERT INTO watchlist (profileId, imdbID, title, year, poster, type, position) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [req.profile.id, row.imdbID, row.title, row.year, row.poster, row.type, row.position]
+      );
+    } catch (error) {
+      // Another request added it after the check above
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'This movie is already in your list' });
+      }
+      throw error;
+    }
+
+    res.status(201).json({ success: true, message: 'Added to My List', item: toWatchlistItem(row) });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+/**
+ * PUT /api/watchlist/order - Reorder the list
+ * Body: { imdbIDs: [...] } containing every saved imdbID in the new order
+ */
+app.put('/api/watchlist/order', requireAuth, requireProfile, async (req, res) => {
+  let connection = null;
+  try {
+    await ensureDbInitialized();
+    const { imdbIDs } = req.body;
+
+    if (!Array.isArray(imdbIDs)) {
+      return res.status(400).json({ success: false, message: 'imdbIDs must be an array' });
+    }
+
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT imdbID FROM watchlist WHERE profileId = ?',
+      [req.profile.id]
+    );
+    const saved = new Set(rows.map(row => row.imdbID));
+    const requested = new Set(imdbIDs);
+    if (requested.size !== imdbIDs.length || requested.size !== saved.size ||
+        imdbIDs.some(id => !saved.has(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'imdbIDs must list every movie in your list exactly once',
+      });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    for (let i = 0; i < imdbIDs.length; i++) {
+      await connection.execute(
+        'UPDATE watchlist SET position = ? WHERE profileId = ? AND imdbID = ?',
+        [i, req.profile.id, imdbIDs[i]]
+      );
+    }
+    await connection.commit();
+
+    res.json({ success: true, message: 'List reordered' });
+  } catch (error) {
+    if (connection) await connection.rollback().catch(() => {});
+    sendMovieError(res, error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+/**
+ * DELETE /api/watchlist/:imdbID - Remove a movie from the list
+ */
+app.delete('/api/watchlist/:imdbID', requireAuth, requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'DELETE FROM watchlist WHERE profileId = ? AND imdbID = ?',
+      [req.profile.id, req.params.imdbID]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'This movie is not in your list' });
+    }
+    res.json({ success: true, message: 'Removed from My List' });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+// ============ HISTORY ROUTES ============
+
+// Older entries are pruned once a profile has viewed more titles than this
+const HISTORY_MAX_ITEMS = 50;
+
+/**
+ * Map a view_history row to the OMDb search result shape used by the client
+ */
+function toHistoryItem(row) {
+  return {
+    imdbID: row.imdbID,
+    Title: row.title,
+    Year: row.year,
+    Poster: row.poster,
+    Type: row.type,
+    viewedAt: Number(row.viewed_at),
+  };
+}
+
+/**
+ * GET /api/history - The profile's recently viewed titles, newest first
+ */
+app.get('/api/history', requireAuth, requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT imdbID, title, year, poster, type, viewed_at FROM view_history
+       WHERE profileId = ? ORDER BY viewed_at DESC, id DESC`,
+      [req.profile.id]
+    );
+    res.json({ success: true, items: rows.map(toHistoryItem) });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+/**
+ * POST /api/history - Record that the profile opened a title
+ * Viewing a title again moves it back to the front
+ */
+app.post('/api/history', requireAuth, requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const { imdbID } = req.body;
+
+    if (!imdbID || !/^tt\d+$/.test(imdbID)) {
+      return res.status(400).json({ success: false, message: 'A valid imdbID is required' });
+    }
+
+    // Take title/poster from OMDb (cached) rather than trusting the client
+    const movie = await getMovieById(imdbID);
+    if (!movie) {
+      return res.status(404).json({ success: false, message: 'Movie not found' });
+    }
+    if (req.profile.kids && !isAllowedForKids(movie)) {
+      return sendKidsRestricted(res);
+    }
+
+    const row = {
+      imdbID,
+      title: movie.Title,
+      year: movie.Year || null,
+      poster: movie.Poster && movie.Poster !== 'N/A' ? movie.Poster : null,
+      type: movie.Type || null,
+      viewed_at: Date.now(),
+    };
+    const pool = getPool();
+    await pool.execute(
+      `INSERT INTO view_history (profileId, imdbID, title, year, poster, type, viewed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE title = VALUES(title), year = VALUES(year), poster = VALUES(poster),
+         type = VALUES(type), viewed_at = VALUES(viewed_at)`,
+      [req.profile.id, row.imdbID, row.title, row.year, row.poster, row.type, row.viewed_at]
+    );
+
+    // Keep only the newest HISTORY_MAX_ITEMS entries, by rank so ties in viewed_at cannot
+    // take newer rows with them (the list never grows past HISTORY_MAX_ITEMS + 1)
+    const [entries] = await pool.execute(
+      'SELECT id FROM view_history WHERE profileId = ? ORDER BY viewed_at DESC, id DESC',
+      [req.profile.id]
+    );
+    const pruned = entries.slice(HISTORY_MAX_ITEMS).map(entry => entry.id);
+    if (pruned.length > 0) {
+      await pool.execute(
+        `DELETE FROM view_history WHERE profileId = ? AND id IN (${pruned.map(() => '?').join(', ')})`,
+        [req.profile.id, ...pruned]
+      );
+    }
+
+    res.json({ success: true, item: toHistoryItem(row) });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/history/:imdbID - Remove one title from the history
+ */
+app.delete('/api/history/:imdbID', requireAuth, requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'DELETE FROM view_history WHERE profileId = ? AND imdbID = ?',
+      [req.profile.id, req.params.imdbID]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'This title is not in your history' });
+    }
+    res.json({ success: true, message: 'Removed from Recently Viewed' });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/history - Clear the profile's history
+ */
+app.delete('/api/history', requireAuth, requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'DELETE FROM view_history WHERE profileId = ?',
+      [req.profile.id]
+    );
+    res.json({ success: true, message: 'History cleared', removed: result.affectedRows });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+// ============ REVIEW ROUTES ============
+
+const REVIEWS_PAGE_SIZE = 10;
+const REVIEWS_MAX_PAGE_SIZE = 50;
+const REVIEW_MAX_LENGTH = 1000;
+
+/**
+ * Validate rating/review from a request body
+ * Returns an error message, or null when the input is valid
+ */
+function validateReviewInput({ rating, review }) {
+  if (!Number.isInteger(rating) || rating < 1 || rating > 10) {
+    return 'Rating must be a whole number from 1 to 10';
+  }
+  if (review !== undefined && review !== null && typeof review !== 'string') {
+    return 'Review must be text';
+  }
+  if (review && review.trim().length > REVIEW_MAX_LENGTH) {
+    return `Review must be at most ${REVIEW_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Map a reviews row (joined with profiles) to the API shape
+ */
+function toReview(row, currentProfileId) {
+  return {
+    id: row.id,
+    userName: row.userName,
+    rating: row.rating,
+    review: row.review,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    mine: row.profileId === currentProfileId,
+  };
+}
+
+/**
+ * GET /api/movies/:imdbID/reviews?page=1&limit=10 - Community rating and recent reviews
+ */
+app.get('/api/movies/:imdbID/reviews', requireAuth, requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const { imdbID } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || REVIEWS_PAGE_SIZE, 1), REVIEWS_MAX_PAGE_SIZE);
+    const offset = (page - 1) * limit;
+
+    const pool = getPool();
+    const [[summary]] = await pool.execute(
+      'SELECT AVG(rating) AS average, COUNT(*) AS count FROM reviews WHERE imdbID = ?',
+      [imdbID]
+    );
+    // LIMIT/OFFSET are validated integers; prepared statements reject them as parameters
+    const [rows] = await pool.execute(
+      `SELECT r.id, r.profileId, p.name AS userName, r.rating, r.review, r.created_at, r.updated_at
+       FROM reviews r JOIN profiles p ON p.id = r.profileId
+       WHERE r.imdbID = ?
+       ORDER BY r.created_at DESC, r.id DESC
+       LIMIT ${limit} OFFSET ${offset}`,
+      [imdbID]
+    );
+    const [mine] = await pool.execute(
+      `SELECT r.id, r.profileId, p.name AS userName, r.rating, r.review, r.created_at, r.updated_at
+       FROM reviews r JOIN profiles p ON p.id = r.profileId
+       WHERE r.imdbID = ? AND r.profileId = ?`,
+      [imdbID, req.profile.id]
+    );
+
+    const count = Number(summary.count);
+    res.json({
+      success: true,
+      average: count > 0 ? Math.round(Number(summary.average) * 10) / 10 : null,
+      count,
+      page,
+      totalPages: Math.ceil(count / limit),
+      reviews: rows.map(row => toReview(row, req.profile.id)),
+      myReview: mine.length > 0 ? toReview(mine[0], req.profile.id) : null,
+    });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+/**
+ * POST /api/movies/:imdbID/reviews - Rate and review a movie
+ */
+app.post('/api/movies/:imdbID/reviews', requireAuth, requireVerifiedEmail('reviews'), requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const { imdbID } = req.params;
+
+    if (!/^tt\d+$/.test(imdbID)) {
+      return res.status(400).json({ success: false, message: 'Invalid imdbID' });
+    }
+    const validationError = validateReviewInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const pool = getPool();
+    const [existing] = await pool.execute(
+      'SELECT id FROM reviews WHERE profileId = ? AND imdbID = ?',
+      [req.profile.id, imdbID]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this movie. Edit your review instead.',
+      });
+    }
+
+    const movie = await getMovieById(imdbID);
+    if (!movie) {
+      return res.status(404).json({ success: false, message: 'Movie not found' });
+    }
+
+    const review = req.body.review ? req.body.review.trim() : null;
+    const [result] = await pool.execute(
+      'INSERT INTO reviews (profileId, imdbID, rating, review) VALUES (?, ?, ?, ?)',
+      [req.profile.id, imdbID, req.body.rating, review || null]
+    );
+
+    res.status(201).json({ success: true, message: 'Review posted', id: result.insertId });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+/**
+ * Load a review and check that it belongs to the active profile
+ * Sends the error response and returns null otherwise
+ */
+async function findOwnReview(req, res) {
+  const pool = getPool();
+  const [rows] = await pool.execute(
+    'SELECT id, profileId FROM reviews WHERE id = ? AND imdbID = ?',
+    [req.params.reviewId, req.params.imdbID]
+  );
+  if (rows.length === 0) {
+    res.status(404).json({ success: false, message: 'Review not found' });
+    return null;
+  }
+  if (rows[0].profileId !== req.profile.id) {
+    res.status(403).json({ success: false, message: 'You can only change your own review' });
+    return null;
+  }
+  return rows[0];
+}
+
+/**
+ * PUT /api/movies/:imdbID/reviews/:reviewId - Edit own review
+ */
+app.put('/api/movies/:imdbID/reviews/:reviewId', requireAuth, requireVerifiedEmail('reviews'), requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const validationError = validateReviewInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const own = await findOwnReview(req, res);
+    if (!own) return;
+
+    const review = req.body.review ? req.body.review.trim() : null;
+    await getPool().execute(
+      'UPDATE reviews SET rating = ?, review = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [req.body.rating, review || null, own.id]
+    );
+    res.json({ success: true, message: 'Review updated' });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/movies/:imdbID/reviews/:reviewId - Delete own review
+ */
+app.delete('/api/movies/:imdbID/reviews/:reviewId', requireAuth, requireProfile, async (req, res) => {
+  try {
+    await ensureDbInitialized();
+    const own = await findOwnReview(req, res);
+    if (!own) return;
+
+    await getPool().execute('DELETE FROM reviews WHERE id = ?', [own.id]);
+    res.json({ success: true, message: 'Review deleted' });
+  } catch (error) {
+    sendMovieError(res, error);
+  }
+});
+
+// ============ ERROR HANDLING ============
+
+/**
+ * Errors passed to next() (e.g. malformed JSON bodies, failed middleware)
+ * Logged with the request id; API calls get JSON instead of Express's HTML page
+ */
+app.use((error, req, res, next) => {
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) {
+    req.log.error('Unhandled error', { error });
+  } else {
+    req.log.warn('Request rejected', { error, status });
+  }
+  if (res.headersSent) return next(error);
+
+  const message = status >= 500 ? 'Server error. Please try again later.' : 'Bad request';
+  if (req.path.startsWith('/api/')) {
+    return res.status(status).json({ success: false, message });
+  }
+  res.status(status).type('text').send(message);
+});
+
 // Initialize database and start server
 async function startServer() {
   try {
+    checkMailConfig();
     await initDatabase();
-    console.log('✅ Database initialized');
+    logger.info('Database initialized');
     
-    // Initialize MySQL session store after DB is ready
+    // Initialize session store after DB is ready
     await initializeSessionStore();
   } catch (error) {
-    console.error('Failed to start server:', error.message);
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
 
   // Start server (only if not running on Vercel)
   app.listen(PORT, () => {
-    console.log(`🚀 Movie App running at http://localhost:${PORT}`);
-    console.log(`   Login: http://localhost:${PORT}/login.html`);
-    console.log(`   Register: http://localhost:${PORT}/register.html`);
+    logger.info('Movie App running', { url: `http://localhost:${PORT}`, port: Number(PORT) });
   });
 }
 
@@ -388,8 +2957,8 @@ async function startServer() {
 // Export app for Vercel (always export, Vercel will use it)
 module.exports = app;
 
-// Only start server if NOT on Vercel
-if (!isVercel) {
+// Only start server if NOT on Vercel and run directly (tests require the app and listen themselves)
+if (!isVercel && require.main === module) {
   // Traditional hosting: Start server immediately
   startServer();
 }
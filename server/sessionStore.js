@@ -0,0 +1,126 @@
+/**
+ * express-session store over the sessions table via getPool()
+ * Used with the sqlite/memory drivers; the table layout matches
+ * express-mysql-session (session_id, expires in seconds, data as JSON),
+ * and like it, expired rows are deleted every checkExpirationInterval.
+ */
+
+const session = require('express-session');
+const { getPool } = require('./db');
+const { logger } = require('./logger');
+
+const DEFAULT_EXPIRATION_MS = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_CHECK_EXPIRATION_MS = 15 * 60 * 1000; // 15 minutes
+
+class PoolSessionStore extends session.Store {
+  constructor({
+    expiration = DEFAULT_EXPIRATION_MS,
+    clearExpired = true,
+    checkExpirationInterval = DEFAULT_CHECK_EXPIRATION_MS,
+  } = {}) {
+    super();
+    this.expiration = expiration;
+    this.expirationTimer = null;
+    if (clearExpired) {
+      this.expirationTimer = setInterval(() => {
+        this.clearExpired().catch(error => logger.warn('Clearing expired sessions failed', { error }));
+      }, checkExpirationInterval);
+      // Cleanup alone must not keep the process (or a test run) alive
+      this.expirationTimer.unref();
+    }
+  }
+
+  /**
+   * Delete sessions past their expiry; returns how many went
+   * Skipped while there is no pool yet (serverless cold start)
+   */
+  async clearExpired() {
+    const pool = getPool();
+    if (!pool) return 0;
+    const [result] = await pool.execute(
+      'DELETE FROM sessions WHERE expires < ?',
+      [Math.round(Date.now() / 1000)]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Stop the expiry cleanup
+   */
+  close() {
+    clearInterval(this.expirationTimer);
+    this.expirationTimer = null;
+  }
+
+  /**
+   * Adapt a promise to the express-session callback style
+   */
+  static callback(promise, cb) {
+    promise.then(result => cb && cb(null, result), error => cb && cb(error));
+  }
+
+  expiresFor(data) {
+    const expires = data.cookie && data.cookie.expires
+      ? new Date(data.cookie.expires).getTime()
+      : Date.now() + this.expiration;
+    return Math.round(expires / 1000);
+  }
+
+  get(sid, cb) {
+    PoolSessionStore.callback((async () => {
+      const [rows] = await getPool().execute(
+        'SELECT data FROM sessions WHERE session_id = ? AND expires >= ?',
+        [sid, Math.round(Date.now() / 1000)]
+      );
+      return rows.length > 0 ? JSON.parse(rows[0].data) : null;
+    })(), cb);
+  }
+
+  set(sid, data, cb) {
+    PoolSessionStore.callback(getPool().execute(
+      `INSERT INTO sessions (session_id, expires, data) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE expires = VALUES(expires), data = VALUES(data)`,
+      [sid, this.expiresFor(data), JSON.stringify(data)]
+    ).then(() => undefined), cb);
+  }
+
+  touch(sid, data, cb) {
+    PoolSessionStore.callback(getPool().execute(
+      'UPDATE sessions SET expires = ? WHERE session_id = ?',
+      [this.expiresFor(data), sid]
+    ).then(() => undefined), cb);
+  }
+
+  destroy(sid, cb) {
+    PoolSessionStore.callback(getPool().execute(
+      'DELETE FROM sessions WHERE session_id = ?',
+      [sid]
+    ).then(() => undefined), cb);
+  }
+
+  /**
+   * All live sessions as { [sessionId]: sessionData }, like express-mysql-session
+   */
+  all(cb) {
+    PoolSessionStore.callback((async () => {
+      const [rows] = await getPool().execute(
+        'SELECT session_id, data FROM sessions WHERE expires >= ?',
+        [Math.round(Date.now() / 1000)]
+      );
+      return Object.fromEntries(rows.map(row => [row.session_id, JSON.parse(row.data)]));
+    })(), cb);
+  }
+
+  length(cb) {
+    PoolSessionStore.callback((async () => {
+      const [[row]] = await getPool().execute('SELECT COUNT(*) AS count FROM sessions');
+      return Number(row.count);
+    })(), cb);
+  }
+
+  clear(cb) {
+    PoolSessionStore.callback(getPool().execute('DELETE FROM sessions').then(() => undefined), cb);
+  }
+}
+
+module.exports = { PoolSessionStore };
@@ -0,0 +1,287 @@
+/**
+ * SQLite storage backend (sql.js, no native build or server needed)
+ * Exposes the subset of the mysql2/promise pool API the app uses
+ * (execute, query, getConnection, end) and translates the MySQL dialect
+ * used by our routes and migrations into SQLite.
+ *
+ * filename = null keeps the database in memory; otherwise it is loaded from
+ * and written back to that file after every change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const READ_STATEMENT = /^\s*(SELECT|PRAGMA|WITH)\b/i;
+const SCHEMA_STATEMENT = /^\s*(CREATE|ALTER|DROP)\b/i;
+
+// CURRENT_TIMESTAMP values come back as UTC 'YYYY-MM-DD HH:MM:SS' text
+const TIMESTAMP_VALUE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+// MySQL named locks only matter across processes; one SQLite process needs none
+const LOCK_STATEMENT = /^\s*SELECT\s+(GET_LOCK|RELEASE_LOCK)\s*\(/i;
+
+/**
+ * Translate one MySQL statement into one or more SQLite statements
+ * Only covers the constructs this app uses
+ */
+function translateSql(sql) {
+  let text = sql.trim();
+  let match;
+
+  // SHOW COLUMNS FROM t LIKE 'col'
+  if ((match = /^SHOW\s+COLUMNS\s+FROM\s+(\w+)\s+LIKE\s+'([^']+)'$/i.exec(text))) {
+    return [`SELECT name AS Field FROM pragma_table_info('${match[1]}') WHERE name = '${match[2]}'`];
+  }
+
+  // SHOW INDEX FROM t WHERE Key_name = 'idx'
+  if ((match = /^SHOW\s+INDEX\s+FROM\s+(\w+)\s+WHERE\s+Key_name\s*=\s*'([^']+)'$/i.exec(text))) {
+    return [`SELECT name AS Key_name FROM pragma_index_list('${match[1]}') WHERE name = '${match[2]}'`];
+  }
+
+  // ALTER TABLE t ADD UNIQUE KEY idx (cols) / ADD KEY idx (cols)
+  if ((match = /^ALTER\s+TABLE\s+(\w+)\s+ADD\s+(UNIQUE\s+)?(?:KEY|INDEX)\s+(\w+)\s*(\([^)]*\))$/i.exec(text))) {
+    return [`CREATE ${match[2] ? 'UNIQUE ' : ''}INDEX ${match[3]} ON ${match[1]} ${match[4]}`];
+  }
+
+  // ALTER TABLE t DROP INDEX idx
+  if ((match = /^ALTER\s+TABLE\s+\w+\s+DROP\s+INDEX\s+(\w+)$/i.exec(text))) {
+    return [`DROP INDEX ${match[1]}`];
+  }
+
+  // ALTER TABLE t ADD COLUMN ... AFTER col (SQLite always appends)
+  text = text.replace(/^(ALTER\s+TABLE\s+\w+\s+ADD\s+COLUMN\s+.+?)\s+AFTER\s+\w+$/is, '$1');
+
+  if (/^CREATE\s+TABLE/i.test(text)) {
+    return translateCreateTable(text);
+  }
+
+  // INSERT ... ON DUPLICATE KEY UPDATE col = VALUES(col)
+  const upsert = /\bON\s+DUPLICATE\s+KEY\s+UPDATE\b/i.exec(text);
+  if (upsert) {
+    const insert = text.slice(0, upsert.index);
+    const updates = text.slice(upsert.index + upsert[0].length).replace(/\bVALUES\s*\(\s*(\w+)\s*\)/gi, 'excluded.$1');
+    text = `${insert}ON CONFLICT DO UPDATE SET${updates}`;
+  }
+
+  return [text];
+}
+
+/**
+ * CREATE TABLE: map MySQL column types/options and move inline KEYs to CREATE INDEX
+ * VARCHAR/CHAR columns get COLLATE NOCASE to match MySQL's case-insensitive default
+ */
+function translateCreateTable(sql) {
+  const tableName = /CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(\w+)/i.exec(sql)[1];
+  const indexes = [];
+
+  let text = sql
+    .replace(/\bINT\s+AUTO_INCREMENT\s+PRIMARY\s+KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/\bCOLLATE\s+utf8mb4_bin\b/gi, 'COLLATE BINARY')
+    .replace(/\s+UNSIGNED\b/gi, '')
+    .replace(/\s+ON\s+UPDATE\s+CURRENT_TIMESTAMP\b/gi, '')
+    .replace(/\b((?:VAR)?CHAR\(\d+\))(?!\s+COLLATE)/gi, '$1 COLLATE NOCASE')
+    .replace(/\bUNIQUE\s+KEY\s+(\w+)\s*(\([^)]*\))/gi, 'CONSTRAINT $1 UNIQUE $2');
+
+  // Plain KEY/INDEX lines are not allowed inside CREATE TABLE in SQLite
+  text = text.replace(/,\s*(?:KEY|INDEX)\s+(\w+)\s*(\([^)]*\))/gi, (_, name, columns) => {
+    indexes.push(`CREATE INDEX IF NOT EXISTS ${name} ON ${tableName} ${columns}`);
+    return '';
+  });
+
+  return [text, ...indexes];
+}
+
+/**
+ * Convert parameters the way mysql2 would before binding
+ */
+function toSqliteParams(params = []) {
+  return params.map(value => {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString().slice(0, 19).replace('T', ' ');
+    return value;
+  });
+}
+
+/**
+ * Return timestamps as Date objects, as mysql2 does for TIMESTAMP columns
+ * Only columns declared TIMESTAMP/DATETIME are converted, so user text that
+ * happens to look like a date stays a string
+ */
+function fromSqliteRow(row, timestampColumns) {
+  for (const [key, value] of Object.entries(row)) {
+    if (timestampColumns.has(key) && typeof value === 'string' && TIMESTAMP_VALUE.test(value)) {
+      row[key] = new Date(`${value.replace(' ', 'T')}Z`);
+    }
+  }
+  return row;
+}
+
+/**
+ * Give constraint errors the MySQL error codes the routes check for
+ */
+function toMysqlError(error) {
+  if (/UNIQUE constraint failed|PRIMARY KEY constraint failed/i.test(error.message)) {
+    error.code = 'ER_DUP_ENTRY';
+  } else if (/FOREIGN KEY constraint failed/i.test(error.message)) {
+    error.code = 'ER_NO_REFERENCED_ROW_2';
+  }
+  return error;
+}
+
+/**
+ * Create a pool-like object over a sql.js database
+ */
+async function createSqlitePool({ filename = null } = {}) {
+  const initSqlJs = require('sql.js');
+  const SQL = await initSqlJs();
+
+  const db = filename && fs.existsSync(filename)
+    ? new SQL.Database(fs.readFileSync(filename))
+    : new SQL.Database();
+  db.run('PRAGMA foreign_keys = ON');
+
+  let inTransaction = false;
+  // The connection between BEGIN and COMMIT/ROLLBACK, and a promise that settles when
+  // the last queued transaction ends
+  let transactionOwner = null;
+  let transactionQueue = Promise.resolve();
+  // Names of TIMESTAMP/DATETIME columns in any table; rebuilt after the schema changes
+  let timestampColumns = null;
+
+  function getTimestampColumns() {
+    if (!timestampColumns) {
+      const [result] = db.exec(`SELECT DISTINCT c.name FROM sqlite_master t, pragma_table_info(t.name) c
+        WHERE t.type = 'table' AND (UPPER(c.type) LIKE 'TIMESTAMP%' OR UPPER(c.type) LIKE 'DATETIME%')`);
+      timestampColumns = new Set(result ? result.values.map(([name]) => name) : []);
+    }
+    return timestampColumns;
+  }
+
+  function persist() {
+    if (!filename || inTransaction) return;
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    fs.writeFileSync(filename, Buffer.from(db.export()));
+    // export() resets connection state, so turn foreign keys back on
+    db.run('PRAGMA foreign_keys = ON');
+  }
+
+  function runStatement(sql, params) {
+    const stmt = db.prepare(sql);
+    try {
+      stmt.bind(toSqliteParams(params));
+      if (READ_STATEMENT.test(sql)) {
+        const rows = [];
+        while (stmt.step()) rows.push(fromSqliteRow(stmt.getAsObject(), getTimestampColumns()));
+        return [rows, []];
+      }
+      stmt.step();
+      if (SCHEMA_STATEMENT.test(sql)) timestampColumns = null;
+      const changes = db.getRowsModified();
+      const [[insertId]] = db.exec('SELECT last_insert_rowid()')[0].values;
+      return [{ affectedRows: changes, insertId, changedRows: changes }, undefined];
+    } finally {
+      stmt.free();
+    }
+  }
+
+  /**
+   * Run a statement for connection (null for the pool itself)
+   * There is only one database, so a statement from anyone but the owner of an open
+   * transaction waits for it to end; otherwise it would join it and a ROLLBACK would undo it
+   */
+  async function execute(connection, sql, params) {
+    if (LOCK_STATEMENT.test(sql)) {
+      return [[{ acquired: 1 }], []];
+    }
+    while (transactionOwner && transactionOwner !== connection) {
+      await transactionQueue;
+    }
+    try {
+      const statements = translateSql(sql);
+      let result;
+      statements.forEach((statement, i) => {
+        // Extra statements (CREATE INDEX) take no parameters
+        result = runStatement(statement, i === 0 ? params : []);
+      });
+      if (!READ_STATEMENT.test(statements[0])) persist();
+      return result;
+    } catch (error) {
+      throw toMysqlError(error);
+    }
+  }
+
+  /**
+   * Connections share the one database; transactions are queued so two
+   * callers never BEGIN at the same time, and other statements wait for them
+   */
+  async function getConnection() {
+    let releaseTransaction = null;
+
+    // Always called once the transaction is over, whether COMMIT/ROLLBACK worked or not
+    function endTransaction() {
+      inTransaction = false;
+      transactionOwner = null;
+      // A ROLLBACK can undo schema changes made inside the transaction
+      timestampColumns = null;
+      if (releaseTransaction) releaseTransaction();
+      releaseTransaction = null;
+    }
+
+    const connection = {
+      execute: (sql, params) => execute(connection, sql, params),
+      query: (sql, params) => execute(connection, sql, params),
+      async beginTransaction() {
+        const previous = transactionQueue;
+        transactionQueue = new Promise(resolve => { releaseTransaction = resolve; });
+        await previous;
+        try {
+          db.run('BEGIN');
+        } catch (error) {
+          endTransaction();
+          throw toMysqlError(error);
+        }
+        transactionOwner = connection;
+        inTransaction = true;
+      },
+      async commit() {
+        try {
+          db.run('COMMIT');
+        } catch (error) {
+          // A failed COMMIT leaves the transaction open; roll it back so the next one can begin
+          try {
+            db.run('ROLLBACK');
+          } catch (rollbackError) {
+            // Already ended
+          }
+          throw toMysqlError(error);
+        } finally {
+          endTransaction();
+        }
+        persist();
+      },
+      async rollback() {
+        try {
+          db.run('ROLLBACK');
+        } finally {
+          endTransaction();
+        }
+      },
+      release() {},
+    };
+    return connection;
+  }
+
+  return {
+    driver: 'sqlite',
+    execute: (sql, params) => execute(null, sql, params),
+    query: (sql, params) => execute(null, sql, params),
+    getConnection,
+    async end() {
+      persist();
+      db.close();
+    },
+  };
+}
+
+module.exports = { createSqlitePool, translateSql };
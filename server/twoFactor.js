@@ -0,0 +1,287 @@
+/**
+ * Two-factor authentication with TOTP (RFC 6238) and one-time recovery codes
+ * Codes are 6 digits over 30-second steps with HMAC-SHA1, which every
+ * authenticator app supports. One step of clock drift is accepted either way,
+ * and a step that was used once is never accepted again for that user.
+ *
+ * Environment:
+ *   TOTP_ISSUER=Movie App     name shown in the authenticator app (default shown)
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const { getPool } = require('./db');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ============ TOTP ============
+
+/**
+ * RFC 4648 base32 without padding (the format otpauth:// URIs use)
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * A new random secret, base32-encoded
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * The time step a moment falls in
+ */
+function getTimeStep(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / STEP_SECONDS);
+}
+
+/**
+ * The code for a base32 secret at a time step
+ */
+function generateTotp(secret, step = getTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * The time step a code is valid for (within the drift window), or null
+ */
+function findTotpStep(secret, code, timeMs = Date.now()) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+  const current = getTimeStep(timeMs);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ */
+function buildOtpauthUri(secret, accountName) {
+  const issuer = process.env.TOTP_ISSUER || 'Movie App';
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// ============ RECOVERY CODES ============
+
+/**
+ * Recovery codes look like "k3m9p-x7q2d"; case, spaces and dashes are ignored when checking
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * Replace a user's recovery codes; returns the new codes (shown to the user once)
+ */
+async function replaceRecoveryCodes(connection, userId) {
+  const codes = generateRecoveryCodes();
+  await connection.execute('DELETE FROM user_recovery_codes WHERE userId = ?', [userId]);
+  for (const code of codes) {
+    await connection.execute(
+      'INSERT INTO user_recovery_codes (userId, code_hash) VALUES (?, ?)',
+      [userId, hashRecoveryCode(code)]
+    );
+  }
+  return codes;
+}
+
+// ============ ENROLLMENT AND VERIFICATION ============
+
+/**
+ * { enabled, recoveryCodesRemaining } for a user
+ */
+async function getTwoFactorStatus(userId) {
+  const pool = getPool();
+  const [rows] = await pool.execute('SELECT enabled_at FROM user_two_factor WHERE userId = ?', [userId]);
+  const enabled = rows.length > 0 && rows[0].enabled_at != null;
+  if (!enabled) {
+    return { enabled: false, recoveryCodesRemaining: 0 };
+  }
+  const [[{ remaining }]] = await pool.execute(
+    'SELECT COUNT(*) AS remaining FROM user_recovery_codes WHERE userId = ? AND used_at IS NULL',
+    [userId]
+  );
+  return { enabled: true, recoveryCodesRemaining: Number(remaining) };
+}
+
+async function isTwoFactorEnabled(userId) {
+  return (await getTwoFactorStatus(userId)).enabled;
+}
+
+/**
+ * Start (or restart) enrollment with a fresh secret
+ * 2FA stays off until confirmEnrollment succeeds; callers check it is not already on
+ */
+async function startEnrollment(userId) {
+  const secret = generateSecret();
+  await getPool().execute(
+    `INSERT INTO user_two_factor (userId, secret, enabled_at, last_used_step) VALUES (?, ?, NULL, NULL)
+     ON DUPLICATE KEY UPDATE secret = VALUES(secret), enabled_at = NULL, last_used_step = NULL`,
+    [userId, secret]
+  );
+  return { secret, otpauthUri: buildOtpauthUri(secret, userId) };
+}
+
+/**
+ * Turn 2FA on once the user proves their app produces the right codes
+ * Returns the recovery codes, or null when there is no enrollment or the code is wrong
+ */
+async function confirmEnrollment(userId, code) {
+  const pool = getPool();
+  const [rows] = await pool.execute(
+    'SELECT secret FROM user_two_factor WHERE userId = ? AND enabled_at IS NULL',
+    [userId]
+  );
+  if (rows.length === 0) return null;
+  const step = findTotpStep(rows[0].secret, code);
+  if (step === null) return null;
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    await connection.execute(
+      'UPDATE user_two_factor SET enabled_at = ?, last_used_step = ? WHERE userId = ?',
+      [Date.now(), step, userId]
+    );
+    const codes = await replaceRecoveryCodes(connection, userId);
+    await connection.commit();
+    return codes;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Check a second factor: a current TOTP code or an unused recovery code
+ * Returns 'totp', 'recovery', or null when the code is not accepted
+ */
+async function verifySecondFactor(userId, code) {
+  const pool = getPool();
+  const [rows] = await pool.execute(
+    'SELECT secret, last_used_step FROM user_two_factor WHERE userId = ? AND enabled_at IS NOT NULL',
+    [userId]
+  );
+  if (rows.length === 0 || !code) return null;
+
+  const step = findTotpStep(rows[0].secret, code);
+  if (step !== null) {
+    // Conditional update, so two requests racing with the same code cannot both win
+    const [result] = await pool.execute(
+      'UPDATE user_two_factor SET last_used_step = ? WHERE userId = ? AND (last_used_step IS NULL OR last_used_step < ?)',
+      [step, userId, step]
+    );
+    return result.affectedRows === 1 ? 'totp' : null;
+  }
+
+  const [result] = await pool.execute(
+    'UPDATE user_recovery_codes SET used_at = ? WHERE userId = ? AND code_hash = ? AND used_at IS NULL',
+    [Date.now(), userId, hashRecoveryCode(code)]
+  );
+  return result.affectedRows > 0 ? 'recovery' : null;
+}
+
+/**
+ * New recovery codes for a user with 2FA on; the old ones stop working
+ */
+async function regenerateRecoveryCodes(userId) {
+  return replaceRecoveryCodes(getPool(), userId);
+}
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes
+ */
+async function disableTwoFactor(userId) {
+  const pool = getPool();
+  await pool.execute('DELETE FROM user_recovery_codes WHERE userId = ?', [userId]);
+  await pool.execute('DELETE FROM user_two_factor WHERE userId = ?', [userId]);
+}
+
+module.exports = {
+  generateTotp,
+  findTotpStep,
+  getTimeStep,
+  buildOtpauthUri,
+  getTwoFactorStatus,
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
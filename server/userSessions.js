@@ -0,0 +1,139 @@
+/**
+ * Active session tracking and revocation
+ * user_sessions tags each logged-in session with its userId, user agent, IP and
+ * last-seen time. Session ids never leave the server: clients see a hash instead.
+ */
+
+const crypto = require('crypto');
+const { getPool } = require('./db');
+const { logger } = require('./logger');
+
+// Write last-seen at most this often per session
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Opaque id for a session, safe to show to the client
+ */
+function publicSessionId(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 32);
+}
+
+/**
+ * Record (or refresh) the current request's session for its user
+ */
+async function trackSession(req) {
+  const now = Date.now();
+  await getPool().execute(
+    `INSERT INTO user_sessions (session_id, userId, user_agent, ip, last_seen_at) VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       userId = VALUES(userId), user_agent = VALUES(user_agent),
+       ip = VALUES(ip), last_seen_at = VALUES(last_seen_at)`,
+    [req.sessionID, req.session.userId, (req.get('User-Agent') || '').slice(0, 255) || null, req.ip || null, now]
+  );
+  req.session.lastSeenAt = now;
+}
+
+/**
+ * Middleware: keep last-seen current for logged-in requests
+ * Failures are logged, never surfaced - tracking must not break the app
+ */
+function touchSession(req, res, next) {
+  const due = !req.session.lastSeenAt || Date.now() - req.session.lastSeenAt >= LAST_SEEN_INTERVAL_MS;
+  if (!req.session.userId || !due || !getPool()) return next();
+  trackSession(req)
+    .catch(error => (req.log || logger).warn('Session tracking failed', { error }))
+    .finally(next);
+}
+
+/**
+ * Forget the tracking row of a session that was logged out or revoked
+ */
+async function forgetSession(sid) {
+  await getPool().execute('DELETE FROM user_sessions WHERE session_id = ?', [sid]);
+}
+
+/**
+ * A user's live sessions, most recently used first
+ * Liveness is asked of the store itself (whichever store is in use, the memory
+ * fallback included); rows whose session expired or vanished are pruned on the way
+ */
+async function listSessions(store, userId, currentSid) {
+  const [rows] = await getPool().execute(
+    `SELECT session_id, user_agent, ip, created_at, last_seen_at FROM user_sessions
+     WHERE userId = ? ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  const live = [];
+  for (const row of rows) {
+    if (await getStoredSession(store, row.session_id)) live.push(row);
+    else await forgetSession(row.session_id);
+  }
+  return live.map(row => ({
+    id: publicSessionId(row.session_id),
+    current: row.session_id === currentSid,
+    userAgent: row.user_agent,
+    ip: row.ip,
+    createdAt: row.created_at,
+    lastSeenAt: new Date(Number(row.last_seen_at)),
+  }));
+}
+
+/**
+ * A session's data from the store, or null when it expired or was destroyed
+ */
+function getStoredSession(store, sid) {
+  return new Promise((resolve, reject) => {
+    store.get(sid, (err, data) => (err ? reject(err) : resolve(data || null)));
+  });
+}
+
+function destroyStoredSession(store, sid) {
+  return new Promise((resolve, reject) => {
+    store.destroy(sid, err => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Revoke one of the user's sessions by its public id
+ * Returns false when the user has no such session
+ */
+async function revokeSession(store, userId, id) {
+  const [rows] = await getPool().execute(
+    'SELECT session_id FROM user_sessions WHERE userId = ?',
+    [userId]
+  );
+  const row = rows.find(r => publicSessionId(r.session_id) === id);
+  if (!row) return false;
+  await destroyStoredSession(store, row.session_id);
+  await forgetSession(row.session_id);
+  return true;
+}
+
+/**
+ * Destroy every tracked session that belongs to userId, except exceptSid if given
+ * Goes through user_sessions rather than scanning the whole store
+ * Returns the number of live sessions destroyed (rows of expired ones are just dropped)
+ */
+async function destroyUserSessions(store, userId, exceptSid = null) {
+  const [rows] = await getPool().execute(
+    'SELECT session_id FROM user_sessions WHERE userId = ? AND session_id <> ?',
+    [userId, exceptSid || '']
+  );
+  let revoked = 0;
+  for (const { session_id: sid } of rows) {
+    if (await getStoredSession(store, sid)) revoked++;
+    await destroyStoredSession(store, sid);
+    await forgetSession(sid);
+  }
+  return revoked;
+}
+
+module.exports = {
+  publicSessionId,
+  trackSession,
+  touchSession,
+  forgetSession,
+  listSessions,
+  revokeSession,
+  destroyUserSessions,
+};
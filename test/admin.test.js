@@ -0,0 +1,140 @@
+/**
+ * Admin console: the requireAdmin guard, account search and moderation, stats
+ */
+
+const { test, before, after, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startTestServer, createClient, readLatestMail, registerUser } = require('./helpers');
+const { setRole } = require('../server/admin');
+
+let server;
+let admin;
+
+before(async () => {
+  server = await startTestServer();
+  ({ client: admin } = await registerUser(server.baseUrl, { userId: 'root', name: 'Root', email: 'root@example.com' }));
+  await setRole('root', 'admin');
+});
+
+after(async () => {
+  await server.close();
+});
+
+async function login(userId, password = 'secret123') {
+  const client = createClient(server.baseUrl);
+  const res = await client.post('/api/login', { identifier: userId, password });
+  return { client, res };
+}
+
+describe('requireAdmin', () => {
+  test('keeps other accounts out of the console and its APIs', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'plain', email: 'plain@example.com' });
+    const res = await client.get('/api/admin/users');
+    assert.equal(res.status, 403);
+    assert.equal(res.data.code, 'ADMIN_REQUIRED');
+    assert.equal((await client.get('/api/admin/stats')).status, 403);
+
+    const page = await client.get('/admin.html');
+    assert.equal(page.status, 302);
+    assert.equal(page.headers.get('location'), '/home.html');
+    assert.equal((await client.get('/api/me')).data.user.isAdmin, false);
+  });
+
+  test('lets admins in', async () => {
+    assert.equal((await admin.get('/admin.html')).status, 200);
+    assert.equal((await admin.get('/api/me')).data.user.isAdmin, true);
+    assert.equal((await createClient(server.baseUrl).get('/api/admin/users')).status, 401);
+  });
+});
+
+describe('GET /api/admin/users', () => {
+  test('searches userId, name and email and treats wildcards literally', async () => {
+    await registerUser(server.baseUrl, { userId: 'bob', name: 'Robert', email: 'bob@example.com' });
+
+    const { data } = await admin.get('/api/admin/users?q=rober');
+    assert.deepEqual(data.users.map(user => user.userId), ['bob']);
+    assert.equal(data.users[0].activeSessions, 1);
+    assert.equal(data.users[0].role, 'user');
+    assert.equal((await admin.get('/api/admin/users?q=b_b')).data.total, 0);
+    assert.equal((await admin.get('/api/admin/users?q=%25')).data.total, 0);
+
+    const all = await admin.get('/api/admin/users');
+    assert.equal(all.data.users[0].userId, 'bob', 'newest first');
+    assert.equal(all.data.page, 1);
+  });
+});
+
+describe('moderation', () => {
+  test('disabling signs the account out and blocks sign-in until enabled', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'troll', email: 'troll@example.com' });
+
+    const disabled = await admin.post('/api/admin/users/troll/disable');
+    assert.equal(disabled.status, 200);
+    assert.equal(disabled.data.revoked, 1);
+    assert.equal((await client.get('/api/me')).status, 401);
+
+    const { res } = await login('troll');
+    assert.equal(res.status, 403);
+    assert.equal(res.data.code, 'ACCOUNT_DISABLED');
+    // A wrong password still gets the usual answer
+    assert.equal((await login('troll', 'wrong-password')).res.status, 401);
+
+    assert.equal((await admin.post('/api/admin/users/troll/enable')).status, 200);
+    assert.equal((await login('troll')).res.status, 200);
+  });
+
+  test('refuses to act on unknown accounts or the admin themselves', async () => {
+    assert.equal((await admin.post('/api/admin/users/nobody/disable')).status, 404);
+    assert.equal((await admin.post('/api/admin/users/root/disable')).status, 400);
+    assert.equal((await admin.post('/api/admin/users/root/password-reset')).status, 400);
+  });
+
+  test('a forced password reset emails a link and blocks sign-in until it is used', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'leaky', email: 'leaky@example.com' });
+
+    const forced = await admin.post('/api/admin/users/leaky/password-reset');
+    assert.equal(forced.status, 200);
+    assert.equal(forced.data.emailed, true);
+    assert.equal((await client.get('/api/me')).status, 401);
+
+    const { res } = await login('leaky');
+    assert.equal(res.status, 403);
+    assert.equal(res.data.code, 'PASSWORD_RESET_REQUIRED');
+
+    const mail = readLatestMail('leaky@example.com');
+    assert.match(mail.text, /An administrator asked you/);
+    const token = /reset\.html\?token=(\w+)/.exec(mail.text)[1];
+    const reset = await createClient(server.baseUrl).post('/api/password/reset', { token, password: 'brand-new-1' });
+    assert.equal(reset.status, 200);
+
+    assert.equal((await login('leaky', 'brand-new-1')).res.status, 200);
+  });
+
+  test('signs an account out everywhere', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'roamer', email: 'roamer@example.com' });
+    const { client: second } = await login('roamer');
+
+    const res = await admin.delete('/api/admin/users/roamer/sessions');
+    assert.equal(res.data.revoked, 2);
+    assert.equal((await client.get('/api/me')).status, 401);
+    assert.equal((await second.get('/api/me')).status, 401);
+
+    // The admin's own current session survives
+    await admin.delete('/api/admin/users/root/sessions');
+    assert.equal((await admin.get('/api/me')).status, 200);
+  });
+});
+
+describe('GET /api/admin/stats', () => {
+  test('counts accounts, signups per day and active sessions', async () => {
+    const { data } = await admin.get('/api/admin/stats?days=7');
+    assert.equal(data.signups.length, 7);
+    const today = new Date().toISOString().slice(0, 10);
+    assert.equal(data.signups[6].date, today);
+    assert.equal(data.signups[6].count, data.users.total);
+    assert.equal(data.users.admins, 1);
+    assert.ok(data.sessions.active >= 1);
+    assert.ok(data.sessions.users <= data.sessions.active);
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Auth routes: register, login, login and re-authentication throttling, logout, session and page protection
+ */
+
+const { test, before, after, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, registerUser } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+describe('POST /api/register', () => {
+  test('creates the account and logs the user in', async () => {
+    const { client, profile } = await registerUser(server.baseUrl, { userId: 'reg_user', email: 'reg@example.com' });
+
+    const { csrfToken, ...session } = (await client.get('/api/session')).data;
+    assert.deepEqual(session, { loggedIn: true, userId: 'reg_user', userName: 'Alice', profileId: profile.id });
+    assert.equal(csrfToken, client.csrfToken);
+  });
+
+  test('rejects missing fields', async () => {
+    const res = await createClient(server.baseUrl).post('/api/register', { userId: 'nobody' });
+    assert.equal(res.status, 400);
+    assert.equal(res.data.success, false);
+  });
+
+  test('rejects an invalid userId, email or short password', async () => {
+    const client = createClient(server.baseUrl);
+    const base = { userId: 'valid_id', name: 'Val', email: 'val@example.com', password: 'secret123' };
+
+    assert.equal((await client.post('/api/register', { ...base, userId: 'bad id!' })).status, 400);
+    assert.equal((await client.post('/api/register', { ...base, email: 'not-an-email' })).status, 400);
+    assert.equal((await client.post('/api/register', { ...base, password: '123' })).status, 400);
+  });
+
+  test('rejects a taken userId or email with 409', async () => {
+    await registerUser(server.baseUrl, { userId: 'taken', email: 'taken@example.com' });
+    const client = createClient(server.baseUrl);
+    const base = { name: 'Other', password: 'secret123' };
+
+    const sameId = await client.post('/api/register', { ...base, userId: 'taken', email: 'other@example.com' });
+    assert.equal(sameId.status, 409);
+
+    const sameEmail = await client.post('/api/register', { ...base, userId: 'other', email: 'TAKEN@example.com' });
+    assert.equal(sameEmail.status, 409);
+  });
+});
+
+describe('POST /api/login', () => {
+  before(async () => {
+    await registerUser(server.baseUrl, { userId: 'login_user', email: 'login@example.com' });
+  });
+
+  test('logs in with userId', async () => {
+    const client = createClient(server.baseUrl);
+    const res = await client.post('/api/login', { identifier: 'login_user', password: 'secret123' });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.redirect, '/home.html');
+    assert.ok(client.cookies.has('connect.sid'));
+
+    const session = await client.get('/api/session');
+    assert.equal(session.data.userId, 'login_user');
+  });
+
+  test('logs in with email, case-insensitively', async () => {
+    const client = createClient(server.baseUrl);
+    const res = await client.post('/api/login', { identifier: 'Login@Example.com', password: 'secret123' });
+    assert.equal(res.status, 200);
+    assert.equal((await client.get('/api/session')).data.userId, 'login_user');
+  });
+
+  test('moves the session to a new id, keeping the CSRF token', async () => {
+    const client = createClient(server.baseUrl);
+    const { csrfToken } = (await client.get('/api/session')).data;
+    const plantedId = client.cookies.get('connect.sid');
+    assert.ok(plantedId);
+
+    const res = await client.post('/api/login', { identifier: 'login_user', password: 'secret123' });
+    assert.equal(res.status, 200);
+    assert.notEqual(client.cookies.get('connect.sid'), plantedId);
+    assert.equal((await client.get('/api/session')).data.csrfToken, csrfToken);
+
+    // Whoever knew the old id is not signed in
+    const planter = createClient(server.baseUrl);
+    planter.cookies.set('connect.sid', plantedId);
+    assert.equal((await planter.get('/api/session')).data.loggedIn, false);
+  });
+
+  test('accepts the legacy userId field', async () => {
+    const res = await createClient(server.baseUrl).post('/api/login', { userId: 'login_user', password: 'secret123' });
+    assert.equal(res.status, 200);
+  });
+
+  test('rejects a wrong password or unknown user with 401', async () => {
+    const client = createClient(server.baseUrl);
+    const wrongPassword = await client.post('/api/login', { identifier: 'login_user', password: 'wrong-password' });
+    assert.equal(wrongPassword.status, 401);
+
+    const unknown = await client.post('/api/login', { identifier: 'ghost', password: 'secret123' });
+    assert.equal(unknown.status, 401);
+
+    assert.equal((await client.get('/api/session')).data.loggedIn, false);
+  });
+
+  test('requires an identifier and password', async () => {
+    const res = await createClient(server.baseUrl).post('/api/login', { identifier: 'login_user' });
+    assert.equal(res.status, 400);
+  });
+});
+
+/**
+ * Run fn with environment variables set, restoring the previous values afterwards
+ * The throttle reads its policy on every call
+ */
+async function withEnv(vars, fn) {
+  const previous = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    Object.entries(previous).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+}
+
+describe('login throttling', () => {
+  // Every test logs in from 127.0.0.1, so only the per-userId limits are under test here
+  const looseIp = { LOGIN_IP_FREE_ATTEMPTS: '1000', LOGIN_IP_LOCK_AFTER: '1000' };
+
+  async function attempt(userId, password = 'wrong-password') {
+    return createClient(server.baseUrl).post('/api/login', { identifier: userId, password });
+  }
+
+  test('after the free attempts the next login waits, even with the right password', async () => {
+    await registerUser(server.baseUrl, { userId: 'slowed', email: 'slowed@example.com' });
+    await withEnv(looseIp, async () => {
+      for (let i = 0; i < 3; i++) {
+        assert.equal((await attempt('slowed')).status, 401);
+      }
+      const res = await attempt('slowed', 'secret123');
+      assert.equal(res.status, 429);
+      assert.equal(res.headers.get('retry-after'), '1');
+      assert.equal(res.data.retryAfter, 1);
+    });
+  });
+
+  test('too many failures lock the account for the lockout period', async () => {
+    await registerUser(server.baseUrl, { userId: 'locked', email: 'locked@example.com' });
+    await withEnv({ ...looseIp, LOGIN_BACKOFF_BASE_MS: '1', LOGIN_USER_LOCK_AFTER: '5' }, async () => {
+      for (let i = 0; i < 5; i++) {
+        assert.equal((await attempt('locked')).status, 401);
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      const res = await attempt('locked', 'secret123');
+      assert.equal(res.status, 429);
+      const retryAfter = Number(res.headers.get('retry-after'));
+      assert.ok(retryAfter > 890 && retryAfter <= 900, `locked for ${retryAfter}s`);
+    });
+  });
+
+  test('a successful login clears the account\'s failures', async () => {
+    await registerUser(server.baseUrl, { userId: 'forgiven', email: 'forgiven@example.com' });
+    await withEnv(looseIp, async () => {
+      // Without the reset, the second round would pass the three free attempts and wait
+      for (let round = 0; round < 2; round++) {
+        assert.equal((await attempt('forgiven')).status, 401);
+        assert.equal((await attempt('forgiven')).status, 401);
+        assert.equal((await attempt('forgiven', 'secret123')).status, 200);
+      }
+    });
+  });
+
+  test('failures for one account do not slow down another', async () => {
+    await registerUser(server.baseUrl, { userId: 'neighbour', email: 'neighbour@example.com' });
+    await withEnv(looseIp, async () => {
+      assert.equal((await attempt('locked', 'secret123')).status, 429);
+      assert.equal((await attempt('neighbour', 'secret123')).status, 200);
+    });
+  });
+
+  test('wrong current passwords on a signed-in session count too', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'hijacked', email: 'hijacked@example.com' });
+    await withEnv(looseIp, async () => {
+      for (let i = 0; i < 3; i++) {
+        assert.equal((await client.delete('/api/me', { password: 'wrong-password' })).status, 401);
+      }
+      const res = await client.post('/api/me/password', { currentPassword: 'secret123', newPassword: 'changed123' });
+      assert.equal(res.status, 429);
+      assert.equal(res.headers.get('retry-after'), '1');
+      assert.equal((await attempt('hijacked', 'secret123')).status, 429);
+    });
+  });
+});
+
+describe('POST /api/logout and GET /api/session', () => {
+  test('reports logged out without a session', async () => {
+    const res = await createClient(server.baseUrl).get('/api/session');
+    assert.equal(res.data.loggedIn, false);
+    assert.equal(res.data.userId, undefined);
+  });
+
+  test('logout destroys the session', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'logout_user', email: 'logout@example.com' });
+    const oldCookies = new Map(client.cookies);
+
+    const res = await client.post('/api/logout');
+    assert.equal(res.status, 200);
+    assert.equal(res.data.redirect, '/login.html');
+    assert.equal((await client.get('/api/session')).data.loggedIn, false);
+
+    // The old cookie no longer works either
+    client.cookies.clear();
+    oldCookies.forEach((value, name) => client.cookies.set(name, value));
+    assert.equal((await client.get('/api/session')).data.loggedIn, false);
+  });
+});
+
+describe('requireAuth', () => {
+  test('API routes answer 401 JSON without a session', async () => {
+    const res = await createClient(server.baseUrl).get('/api/me');
+    assert.equal(res.status, 401);
+    assert.deepEqual(res.data, { success: false, message: 'Not authenticated' });
+  });
+
+  test('pages redirect to the login page without a session', async () => {
+    const res = await createClient(server.baseUrl).get('/home.html');
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get('location'), '/login.html');
+  });
+
+  test('/home.html is served to a logged-in user', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'home_user', email: 'home@example.com' });
+    const res = await client.get('/home.html');
+    assert.equal(res.status, 200);
+    assert.match(res.data, /<html/i);
+  });
+
+  test('/ shows the landing page or redirects home', async () => {
+    const anonymous = await createClient(server.baseUrl).get('/');
+    assert.equal(anonymous.status, 200);
+
+    const { client } = await registerUser(server.baseUrl, { userId: 'root_user', email: 'root@example.com' });
+    const loggedIn = await client.get('/');
+    assert.equal(loggedIn.status, 302);
+    assert.equal(loggedIn.headers.get('location'), '/home.html');
+  });
+});
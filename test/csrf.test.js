@@ -0,0 +1,85 @@
+/**
+ * CSRF tokens and the origin allow-list
+ */
+
+const { test, before, after, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.CORS_ALLOWED_ORIGINS = 'https://partner.example.com';
+const { startTestServer, createClient, registerUser } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+describe('CSRF token', () => {
+  test('/api/session issues a token that stays the same for the session', async () => {
+    const client = createClient(server.baseUrl);
+    const first = await client.get('/api/session');
+    const second = await client.get('/api/session');
+    assert.match(first.data.csrfToken, /^[0-9a-f]{64}$/);
+    assert.equal(second.data.csrfToken, first.data.csrfToken);
+  });
+
+  test('non-GET API requests without a token are rejected', async () => {
+    const client = createClient(server.baseUrl);
+    await client.get('/api/session');
+    const res = await client.post('/api/register', {
+      userId: 'no_token', name: 'No Token', email: 'no-token@example.com', password: 'secret123',
+    }, { csrf: false });
+    assert.equal(res.status, 403);
+    assert.equal(res.data.code, 'CSRF_INVALID');
+  });
+
+  test('a token from another session is rejected', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'victim', email: 'victim@example.com' });
+    const attacker = createClient(server.baseUrl);
+    await attacker.get('/api/session');
+
+    const res = await client.post('/api/logout', undefined, {
+      csrf: false,
+      headers: { 'X-CSRF-Token': attacker.csrfToken },
+    });
+    assert.equal(res.status, 403);
+    assert.equal((await client.get('/api/session')).data.loggedIn, true);
+  });
+
+  test('requests with the session token succeed', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'with_token', email: 'with-token@example.com' });
+    const res = await client.post('/api/logout');
+    assert.equal(res.status, 200);
+  });
+});
+
+describe('origin allow-list', () => {
+  test('state-changing requests from other origins are rejected', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'cross_site', email: 'cross@example.com' });
+    const res = await client.post('/api/logout', undefined, { headers: { Origin: 'https://evil.example.com' } });
+    assert.equal(res.status, 403);
+    assert.equal(res.data.message, 'Origin not allowed');
+  });
+
+  test('CORS headers are only sent to allowed origins', async () => {
+    const client = createClient(server.baseUrl);
+    const allowed = await client.get('/api/session', { headers: { Origin: 'https://partner.example.com' } });
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://partner.example.com');
+
+    const same = await client.get('/api/session', { headers: { Origin: server.baseUrl } });
+    assert.equal(same.headers.get('access-control-allow-origin'), server.baseUrl);
+
+    const other = await client.get('/api/session', { headers: { Origin: 'https://evil.example.com' } });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+  });
+
+  test('allowed origins may send state-changing requests', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'partner_user', email: 'partner@example.com' });
+    const res = await client.post('/api/logout', undefined, { headers: { Origin: 'https://partner.example.com' } });
+    assert.equal(res.status, 200);
+  });
+});
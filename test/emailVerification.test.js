@@ -0,0 +1,133 @@
+/**
+ * Email verification: signed links, restrictions for unverified accounts and resending
+ */
+
+const { test, before, after, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startTestServer, readLatestMail, getVerificationToken, registerUser } = require('./helpers');
+const { createVerificationToken, readVerificationToken } = require('../server/emailVerification');
+const { getPool } = require('../server/db');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+describe('tokens', () => {
+  test('round-trip userId and email until they expire', () => {
+    const now = Date.now();
+    const token = createVerificationToken('alice', 'alice@example.com', now);
+    assert.deepEqual(readVerificationToken(token, now), { userId: 'alice', email: 'alice@example.com' });
+    assert.equal(readVerificationToken(token, now + 25 * 60 * 60 * 1000), null);
+  });
+
+  test('reject tampered and malformed tokens', () => {
+    const [payload, signature] = createVerificationToken('alice', 'alice@example.com').split('.');
+    const forged = Buffer.from(JSON.stringify({ u: 'mallory', e: 'alice@example.com', x: Date.now() + 60000 }))
+      .toString('base64url');
+    assert.equal(readVerificationToken(`${forged}.${signature}`), null);
+    assert.equal(readVerificationToken(`${payload}.${signature}x`), null);
+    assert.equal(readVerificationToken(payload), null);
+    assert.equal(readVerificationToken(''), null);
+  });
+});
+
+describe('registration', () => {
+  test('sends a link and holds reviews back until it is opened', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'newbie', email: 'newbie@example.com' }, { verify: false });
+
+    const mail = readLatestMail('newbie@example.com');
+    assert.equal(mail.subject, 'Confirm your Movie App email');
+    const status = await client.get('/api/verify-email/status');
+    assert.equal(status.data.verified, false);
+    assert.deepEqual(status.data.restrictions, ['reviews']);
+
+    const review = await client.post('/api/movies/tt0111161/reviews', { rating: 8 });
+    assert.equal(review.status, 403);
+    assert.equal(review.data.code, 'EMAIL_UNVERIFIED');
+    // Not restricted by default
+    assert.equal((await client.post('/api/watchlist', { imdbID: 'tt0111161' })).status, 201);
+
+    const verified = await client.post('/api/verify-email', { token: getVerificationToken('newbie@example.com') });
+    assert.equal(verified.status, 200);
+    assert.equal(verified.data.redirect, '/home.html');
+    assert.equal((await client.get('/api/me')).data.user.emailVerified, true);
+    assert.equal((await client.post('/api/movies/tt0111161/reviews', { rating: 8 })).status, 201);
+  });
+
+  test('rejects invalid links', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'badlink', email: 'badlink@example.com' }, { verify: false });
+    assert.equal((await client.post('/api/verify-email', { token: 'nope' })).status, 400);
+    assert.equal((await client.get('/api/verify-email/status')).data.verified, false);
+  });
+
+  test('restrictions follow UNVERIFIED_RESTRICTIONS', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'config', email: 'config@example.com' }, { verify: false });
+    process.env.UNVERIFIED_RESTRICTIONS = 'watchlist, profiles';
+    try {
+      assert.equal((await client.post('/api/watchlist', { imdbID: 'tt0111161' })).status, 403);
+      assert.equal((await client.post('/api/profiles', { name: 'Bob' })).status, 403);
+      assert.equal((await client.post('/api/movies/tt0111161/reviews', { rating: 8 })).status, 201);
+
+      process.env.UNVERIFIED_RESTRICTIONS = '';
+      assert.equal((await client.post('/api/watchlist', { imdbID: 'tt0111161' })).status, 201);
+    } finally {
+      delete process.env.UNVERIFIED_RESTRICTIONS;
+    }
+  });
+});
+
+describe('resending', () => {
+  test('is throttled and stops once the email is confirmed', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'resender', email: 'resender@example.com' }, { verify: false });
+
+    const tooSoon = await client.post('/api/verify-email/resend');
+    assert.equal(tooSoon.status, 429);
+    assert.ok(Number(tooSoon.headers.get('retry-after')) > 0);
+
+    process.env.EMAIL_VERIFICATION_RESEND_MS = '1';
+    try {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      assert.equal((await client.post('/api/verify-email/resend')).status, 200);
+    } finally {
+      delete process.env.EMAIL_VERIFICATION_RESEND_MS;
+    }
+
+    await client.post('/api/verify-email', { token: getVerificationToken('resender@example.com') });
+    assert.equal((await client.post('/api/verify-email/resend')).status, 400);
+  });
+});
+
+describe('changing the email', () => {
+  test('needs the new address confirmed and retires old links', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'mover', email: 'mover@example.com' }, { verify: false });
+    const oldToken = getVerificationToken('mover@example.com');
+
+    const updated = await client.put('/api/me', { name: 'Mover', email: 'moved@example.com' });
+    assert.equal(updated.data.user.emailVerified, false);
+    assert.equal((await client.post('/api/verify-email', { token: oldToken })).status, 400);
+
+    assert.equal((await client.post('/api/verify-email', { token: getVerificationToken('moved@example.com') })).status, 200);
+    assert.equal((await client.get('/api/verify-email/status')).data.verified, true);
+  });
+
+  test('keeps a verified account verified when the email stays the same', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'stayer', email: 'stayer@example.com' });
+    const updated = await client.put('/api/me', { name: 'Stayer', email: 'Stayer@example.com' });
+    assert.equal(updated.data.user.emailVerified, true);
+  });
+
+  test('answers 404 when the account is gone', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'vanished', email: 'vanished@example.com' });
+    await getPool().execute('DELETE FROM users WHERE userId = ?', ['vanished']);
+
+    const res = await client.put('/api/me', { name: 'Vanished', email: 'vanished@example.com' });
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Test helpers: boot the app on an in-memory SQLite database with a stubbed OMDb
+ * Each test file runs in its own process, so every file gets a fresh database.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const MOVIES = {
+  tt0111161: {
+    Title: 'The Shawshank Redemption', Year: '1994', Type: 'movie', Poster: 'https://example.com/shawshank.jpg', Rated: 'R',
+    Genre: 'Drama', Director: 'Frank Darabont', Actors: 'Tim Robbins, Morgan Freeman, Bob Gunton',
+  },
+  tt0068646: {
+    Title: 'The Godfather', Year: '1972', Type: 'movie', Poster: 'N/A', Rated: 'R',
+    Genre: 'Crime, Drama', Director: 'Francis Ford Coppola', Actors: 'Marlon Brando, Al Pacino, James Caan',
+  },
+  tt0903747: {
+    Title: 'Breaking Bad', Year: '2008–2013', Type: 'series', Poster: 'https://example.com/bb.jpg', Rated: 'TV-MA',
+    Genre: 'Crime, Drama, Thriller', Director: 'N/A', Actors: 'Bryan Cranston, Aaron Paul, Anna Gunn',
+  },
+  tt0114709: {
+    Title: 'Toy Story', Year: '1995', Type: 'movie', Poster: 'https://example.com/toystory.jpg', Rated: 'G',
+    Genre: 'Animation, Adventure, Comedy', Director: 'John Lasseter', Actors: 'Tom Hanks, Tim Allen, Don Rickles',
+  },
+  tt0086250: {
+    Title: 'Scarface', Year: '1983', Type: 'movie', Poster: 'https://example.com/scarface.jpg', Rated: 'R',
+    Genre: 'Crime, Drama', Director: 'Brian De Palma', Actors: 'Al Pacino, Michelle Pfeiffer, Steven Bauer',
+  },
+};
+
+// Fields OMDb includes in search results (details add Rated, Plot, ...)
+const SEARCH_FIELDS = ['imdbID', 'Title', 'Year', 'Type', 'Poster'];
+
+/**
+ * Answer OMDb-style queries (s, i, t) from the MOVIES fixture
+ */
+function omdbResponse(params) {
+  const list = Object.entries(MOVIES).map(([imdbID, movie]) => ({ imdbID, ...movie }));
+  if (params.get('s')) {
+    const text = params.get('s').toLowerCase();
+    const found = list.filter(movie => movie.Title.toLowerCase().includes(text)
+      && (!params.get('type') || movie.Type === params.get('type')));
+    const summaries = found.map(movie => Object.fromEntries(SEARCH_FIELDS.map(field => [field, movie[field]])));
+    return found.length > 0
+      ? { Search: summaries, totalResults: String(found.length), Response: 'True' }
+      : { Response: 'False', Error: 'Movie not found!' };
+  }
+  const movie = params.get('i')
+    ? list.find(m => m.imdbID === params.get('i'))
+    : list.find(m => m.Title.toLowerCase() === (params.get('t') || '').toLowerCase());
+  return movie ? { ...movie, Plot: 'A plot.', Response: 'True' } : { Response: 'False', Error: 'Incorrect IMDb ID.' };
+}
+
+/**
+ * Start a local HTTP server standing in for OMDb
+ * requests collects every query received, so tests can check caching
+ */
+async function startOmdbStub() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    requests.push(Object.fromEntries(params));
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(omdbResponse(params)));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}/` };
+}
+
+/**
+ * Boot the Express app against an in-memory database and the OMDb stub
+ * Environment must be set before server.js is required: it picks the session store on load
+ */
+async function startTestServer() {
+  const omdb = await startOmdbStub();
+  process.env.DB_DRIVER = 'memory';
+  process.env.OMDB_API_KEY = 'test-key';
+  process.env.OMDB_BASE_URL = omdb.url;
+  process.env.SESSION_SECRET = 'test-secret';
+  // Server logs would drown the test output; LOG_LEVEL=debug npm test shows them
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+  // Emails are written as JSON files; see readLatestMail
+  process.env.MAIL_TRANSPORT = 'file';
+  process.env.MAIL_FILE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'movie-app-mail-'));
+
+  const app = require('../server/server');
+  const { initDatabase, closeDatabase } = require('../server/db');
+  await initDatabase();
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    omdbRequests: omdb.requests,
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+      await new Promise(resolve => omdb.server.close(resolve));
+      await closeDatabase();
+      fs.rmSync(process.env.MAIL_FILE_DIR, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Minimal HTTP client that keeps the session cookie between requests
+ * Like authFetch, it fetches the CSRF token from /api/session before the first
+ * non-GET request; pass { csrf: false } to leave the token off.
+ */
+function createClient(baseUrl) {
+  const cookies = new Map();
+  const client = { cookies, csrfToken: null };
+
+  async function request(method, path, body, options = {}) {
+    const headers = { ...options.headers };
+    if (method !== 'GET' && options.csrf !== false) {
+      if (!client.csrfToken) {
+        client.csrfToken = (await request('GET', '/api/session')).data.csrfToken;
+      }
+      headers['X-CSRF-Token'] = client.csrfToken;
+    }
+    if (cookies.size > 0) {
+      headers.Cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      redirect: 'manual',
+    });
+    for (const cookie of res.headers.getSetCookie()) {
+      const [pair, ...attributes] = cookie.split(';');
+      const [name, value] = pair.split('=');
+      const expired = attributes.some(attr => /expires=Thu, 01 Jan 1970/i.test(attr));
+      if (expired) cookies.delete(name.trim());
+      else cookies.set(name.trim(), value);
+    }
+
+    const type = res.headers.get('content-type') || '';
+    const data = type.includes('application/json') ? await res.json() : await res.text();
+    return { status: res.status, headers: res.headers, data };
+  }
+
+  return Object.assign(client, {
+    get: (path, options) => request('GET', path, undefined, options),
+    post: (path, body, options) => request('POST', path, body, options),
+    put: (path, body, options) => request('PUT', path, body, options),
+    delete: (path, body, options) => request('DELETE', path, body, options),
+  });
+}
+
+/**
+ * The newest email sent to an address by the file transport, or null
+ */
+function readLatestMail(to) {
+  const dir = process.env.MAIL_FILE_DIR;
+  const messages = fs.readdirSync(dir)
+    .map(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')))
+    .filter(message => message.to === to)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  return messages.length > 0 ? messages[messages.length - 1] : null;
+}
+
+/**
+ * The token from the latest verification link sent to an address
+ */
+function getVerificationToken(to) {
+  const mail = readLatestMail(to);
+  const match = mail && /verify-email\.html\?token=(\S+)/.exec(mail.text);
+  if (!match) throw new Error(`No verification email for ${to}`);
+  return match[1];
+}
+
+/**
+ * Register a user through the API; returns the logged-in client with its first profile selected
+ * The email is confirmed through the emailed link unless options.verify is false
+ */
+async function registerUser(baseUrl, overrides = {}, { verify = true } = {}) {
+  const client = createClient(baseUrl);
+  const user = {
+    userId: 'alice',
+    name: 'Alice',
+    email: 'alice@example.com',
+    phone: '5551234567',
+    password: 'secret123',
+    ...overrides,
+  };
+  const res = await client.post('/api/register', user);
+  if (res.status !== 201) {
+    throw new Error(`Registration failed: ${res.status} ${JSON.stringify(res.data)}`);
+  }
+  if (verify) {
+    await client.post('/api/verify-email', { token: getVerificationToken(user.email.toLowerCase()) });
+  }
+  const profile = await selectProfile(client);
+  return { client, user, profile };
+}
+
+/**
+ * Pick a viewing profile for the client's session (default: the account's first)
+ */
+async function selectProfile(client, profileId) {
+  const { data } = await client.get('/api/profiles');
+  const profile = profileId ? data.profiles.find(p => p.id === profileId) : data.profiles[0];
+  const res = await client.post(`/api/profiles/${profile.id}/select`);
+  if (res.status !== 200) {
+    throw new Error(`Profile selection failed: ${res.status} ${JSON.stringify(res.data)}`);
+  }
+  return profile;
+}
+
+module.exports = {
+  MOVIES,
+  startTestServer,
+  createClient,
+  readLatestMail,
+  getVerificationToken,
+  registerUser,
+  selectProfile,
+};
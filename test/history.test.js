@@ -0,0 +1,95 @@
+/**
+ * Recently viewed history: recording, ordering, removing and clearing
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startTestServer, registerUser, selectProfile } = require('./helpers');
+const { getPool } = require('../server/db');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('opened titles are listed newest first, once each', async () => {
+  const { client } = await registerUser(server.baseUrl, { userId: 'viewer', email: 'viewer@example.com' });
+  assert.deepEqual((await client.get('/api/history')).data.items, []);
+
+  const first = await client.post('/api/history', { imdbID: 'tt0111161' });
+  assert.equal(first.status, 200);
+  assert.equal(first.data.item.Title, 'The Shawshank Redemption');
+  await client.post('/api/history', { imdbID: 'tt0068646' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await client.post('/api/history', { imdbID: 'tt0111161' });
+
+  const { data } = await client.get('/api/history');
+  assert.deepEqual(data.items.map(item => item.imdbID), ['tt0111161', 'tt0068646']);
+  assert.equal(typeof data.items[0].viewedAt, 'number');
+});
+
+test('keeps the newest 50 titles even when older ones share a timestamp', async () => {
+  const { client, profile } = await registerUser(server.baseUrl, { userId: 'binger', email: 'binger@example.com' });
+  const viewedAt = Date.now() - 60 * 1000;
+  for (let i = 0; i < 50; i++) {
+    await getPool().execute(
+      'INSERT INTO view_history (profileId, imdbID, title, viewed_at) VALUES (?, ?, ?, ?)',
+      [profile.id, `tt900${String(i).padStart(4, '0')}`, `Title ${i}`, viewedAt]
+    );
+  }
+
+  await client.post('/api/history', { imdbID: 'tt0111161' });
+  const { items } = (await client.get('/api/history')).data;
+  assert.equal(items.length, 50);
+  assert.equal(items[0].imdbID, 'tt0111161');
+  // Of the tied entries, the one added first goes
+  assert.ok(!items.some(item => item.imdbID === 'tt9000000'));
+});
+
+test('rejects invalid and unknown titles', async () => {
+  const { client } = await registerUser(server.baseUrl, { userId: 'badview', email: 'badview@example.com' });
+  assert.equal((await client.post('/api/history', { imdbID: 'nope' })).status, 400);
+  assert.equal((await client.post('/api/history', { imdbID: 'tt9999999' })).status, 404);
+});
+
+test('removes single titles and clears the history', async () => {
+  const { client } = await registerUser(server.baseUrl, { userId: 'cleaner', email: 'cleaner@example.com' });
+  await client.post('/api/history', { imdbID: 'tt0111161' });
+  await client.post('/api/history', { imdbID: 'tt0068646' });
+  await client.post('/api/history', { imdbID: 'tt0903747' });
+
+  assert.equal((await client.delete('/api/history/tt0068646')).status, 200);
+  assert.equal((await client.delete('/api/history/tt0068646')).status, 404);
+  const { data } = await client.get('/api/history');
+  assert.deepEqual(data.items.map(item => item.imdbID).sort(), ['tt0111161', 'tt0903747']);
+
+  const cleared = await client.delete('/api/history');
+  assert.equal(cleared.data.removed, 2);
+  assert.deepEqual((await client.get('/api/history')).data.items, []);
+});
+
+test('history belongs to the viewing profile', async () => {
+  const { client, profile } = await registerUser(server.baseUrl, { userId: 'household', email: 'household@example.com' });
+  await client.post('/api/history', { imdbID: 'tt0111161' });
+
+  const { data: { profile: kids } } = await client.post('/api/profiles', { name: 'Kids', kids: true });
+  await selectProfile(client, kids.id);
+  assert.deepEqual((await client.get('/api/history')).data.items, []);
+  assert.equal((await client.post('/api/history', { imdbID: 'tt0068646' })).status, 403);
+  assert.equal((await client.post('/api/history', { imdbID: 'tt0114709' })).status, 200);
+
+  await selectProfile(client, profile.id);
+  const { data } = await client.get('/api/history');
+  assert.deepEqual(data.items.map(item => item.imdbID), ['tt0111161']);
+});
+
+test('requires a signed-in user', async () => {
+  const res = await fetch(`${server.baseUrl}/api/history`);
+  assert.equal(res.status, 401);
+});
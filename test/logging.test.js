@@ -0,0 +1,219 @@
+/**
+ * Structured logging: redaction, levels, request ids and access logs; health and readiness checks
+ */
+
+const { test, before, after, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { startTestServer, registerUser } = require('./helpers');
+const { createLogger, sanitize, requestLogging } = require('../server/logger');
+
+/**
+ * Logger that keeps its entries (parsed) instead of printing them
+ */
+function captureLogger() {
+  const entries = [];
+  const logger = createLogger({ write: (level, line) => entries.push(JSON.parse(line)) });
+  return { logger, entries };
+}
+
+/**
+ * Run fn with LOG_LEVEL set, restoring the previous value afterwards
+ */
+async function withLogLevel(level, fn) {
+  const previous = process.env.LOG_LEVEL;
+  process.env.LOG_LEVEL = level;
+  try {
+    return await fn();
+  } finally {
+    if (previous === undefined) delete process.env.LOG_LEVEL;
+    else process.env.LOG_LEVEL = previous;
+  }
+}
+
+describe('logger', () => {
+  test('redacts credentials by key at any depth and inside text', () => {
+    const clean = sanitize({
+      headers: { cookie: 'connect.sid=s%3Aabc', 'user-agent': 'curl' },
+      session: { sessionId: 'abc', session_id: 'abc', csrfToken: 'xyz', userId: 'alice' },
+      body: { password: 'secret123' },
+      url: '/reset.html?token=deadbeef&lang=en',
+      note: 'Cookie: connect.sid=s%3Aabc; theme=dark',
+    });
+    assert.deepEqual(clean, {
+      headers: { cookie: '[REDACTED]', 'user-agent': 'curl' },
+      session: { sessionId: '[REDACTED]', session_id: '[REDACTED]', csrfToken: '[REDACTED]', userId: 'alice' },
+      body: { password: '[REDACTED]' },
+      url: '/reset.html?token=[REDACTED]&lang=en',
+      note: 'Cookie: connect.sid=[REDACTED]; theme=dark',
+    });
+  });
+
+  test('flattens errors and survives cycles', () => {
+    const error = Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+    const loop = { name: 'loop' };
+    loop.self = loop;
+    const clean = sanitize({ error, loop });
+    assert.equal(clean.error.message, 'Duplicate entry');
+    assert.equal(clean.error.code, 'ER_DUP_ENTRY');
+    assert.match(clean.error.stack, /Duplicate entry/);
+    assert.equal(clean.loop.self, '[Circular]');
+  });
+
+  test('writes one JSON entry per call at or above LOG_LEVEL', async () => {
+    const { logger, entries } = captureLogger();
+    await withLogLevel('warn', () => {
+      const child = logger.child({ requestId: 'req-1' });
+      child.info('ignored');
+      child.warn('Cache write failed', { key: 'abc' });
+      child.error('Boom', new Error('bad'));
+    });
+    assert.equal(entries.length, 2);
+    assert.deepEqual(
+      { ...entries[0], time: undefined },
+      { time: undefined, level: 'warn', msg: 'Cache write failed', requestId: 'req-1', key: 'abc' }
+    );
+    assert.ok(!Number.isNaN(Date.parse(entries[0].time)));
+    assert.equal(entries[1].error.message, 'bad');
+
+    await withLogLevel('silent', () => logger.error('muted'));
+    assert.equal(entries.length, 2);
+  });
+
+  test('the console mail transport logs messages with their tokens redacted', async () => {
+    const { sendMail } = require('../server/mailer');
+    const previous = process.env.MAIL_TRANSPORT;
+    const lines = [];
+    const write = process.stdout.write;
+    process.env.MAIL_TRANSPORT = 'console';
+    process.stdout.write = line => lines.push(line);
+    try {
+      await withLogLevel('info', () => sendMail({
+        to: 'alice@example.com',
+        subject: 'Reset your password',
+        text: 'Open http://localhost:3000/reset.html?token=deadbeef',
+      }));
+    } finally {
+      process.stdout.write = write;
+      if (previous === undefined) delete process.env.MAIL_TRANSPORT;
+      else process.env.MAIL_TRANSPORT = previous;
+    }
+    assert.equal(lines.length, 1);
+    const entry = JSON.parse(lines[0]);
+    assert.equal(entry.msg, 'Email (console transport)');
+    assert.equal(entry.to, 'alice@example.com');
+    assert.equal(entry.text, 'Open http://localhost:3000/reset.html?token=[REDACTED]');
+  });
+});
+
+describe('requestLogging', () => {
+  let server;
+  let baseUrl;
+  const { logger, entries } = captureLogger();
+
+  before(async () => {
+    const app = express();
+    app.use(requestLogging(logger));
+    app.get('/things', (req, res) => {
+      req.log.info('handling');
+      res.json({ id: req.id });
+    });
+    app.get('/broken', (req, res) => res.status(500).end());
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('tags the response and every log line with a request id', async () => {
+    entries.length = 0;
+    await withLogLevel('info', async () => {
+      const res = await fetch(`${baseUrl}/things?token=abc`, { headers: { Cookie: 'connect.sid=s%3Asecret' } });
+      const body = await res.json();
+      assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+      assert.equal(body.id, res.headers.get('x-request-id'));
+      await new Promise(resolve => setImmediate(resolve));
+    });
+
+    const [handling, access] = entries;
+    assert.equal(handling.msg, 'handling');
+    assert.equal(handling.requestId, access.requestId);
+    assert.equal(access.msg, 'request completed');
+    assert.equal(access.method, 'GET');
+    assert.equal(access.path, '/things');
+    assert.equal(access.status, 200);
+    assert.equal(typeof access.durationMs, 'number');
+    assert.doesNotMatch(JSON.stringify(entries), /secret|token=abc/);
+  });
+
+  test('reuses well-formed incoming ids and replaces others', async () => {
+    const reused = await fetch(`${baseUrl}/things`, { headers: { 'X-Request-Id': 'edge-1234.abc' } });
+    assert.equal(reused.headers.get('x-request-id'), 'edge-1234.abc');
+    const replaced = await fetch(`${baseUrl}/things`, { headers: { 'X-Request-Id': 'bad id <script>' } });
+    assert.notEqual(replaced.headers.get('x-request-id'), 'bad id <script>');
+  });
+
+  test('logs server errors at error level', async () => {
+    entries.length = 0;
+    await withLogLevel('info', async () => {
+      await fetch(`${baseUrl}/broken`);
+      await new Promise(resolve => setImmediate(resolve));
+    });
+    assert.equal(entries[0].level, 'error');
+    assert.equal(entries[0].status, 500);
+  });
+});
+
+describe('health endpoints', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  test('every response carries a request id', async () => {
+    const { client } = await registerUser(app.baseUrl);
+    const res = await client.get('/api/me');
+    assert.equal(res.status, 200);
+    assert.ok(res.headers.get('x-request-id'));
+  });
+
+  test('malformed JSON gets a JSON 400', async () => {
+    // The body is parsed before the CSRF check, so no session is needed
+    const res = await fetch(`${app.baseUrl}/api/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"identifier":',
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { success: false, message: 'Bad request' });
+  });
+
+  test('/api/health answers without touching dependencies', async () => {
+    const res = await fetch(`${app.baseUrl}/api/health`);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).status, 'ok');
+    assert.equal(res.headers.get('cache-control'), 'no-store');
+  });
+
+  test('/api/ready checks the database and the session store', async () => {
+    const res = await fetch(`${app.baseUrl}/api/ready`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { status: 'ready', checks: { database: 'ok', sessionStore: 'ok' } });
+
+    // Without a pool neither dependency answers
+    await require('../server/db').closeDatabase();
+    const down = await fetch(`${app.baseUrl}/api/ready`);
+    assert.equal(down.status, 503);
+    assert.deepEqual(await down.json(), { status: 'unavailable', checks: { database: 'failed', sessionStore: 'failed' } });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Minimal OpenID Connect provider for tests
+ * /authorize signs in provider.user immediately and redirects back with a code;
+ * /token checks the client secret and PKCE verifier and returns an RS256 ID token.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+async function startMockOidcProvider({ clientId = 'movie-app', clientSecret = 'test-secret' } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' };
+  const codes = new Map();
+
+  const provider = {
+    issuer: null,
+    clientId,
+    clientSecret,
+    // Who "signs in" at the next /authorize; tests change it between flows
+    user: { sub: 'mock-user-1', email: 'oidc@example.com', email_verified: true, name: 'Oidc User' },
+    // Extra claims merged into the next ID token (e.g. a wrong nonce)
+    overrideClaims: null,
+    tokenRequests: [],
+  };
+
+  function signIdToken(claims) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT', kid: jwk.kid })}.${encode(claims)}`;
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), privateKey).toString('base64url');
+    return `${unsigned}.${signature}`;
+  }
+
+  function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  function readBody(req) {
+    return new Promise(resolve => {
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', () => resolve(new URLSearchParams(data)));
+    });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, provider.issuer);
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: provider.issuer,
+        authorization_endpoint: `${provider.issuer}/authorize`,
+        token_endpoint: `${provider.issuer}/token`,
+        jwks_uri: `${provider.issuer}/jwks`,
+        response_types_supported: ['code'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic'],
+      });
+    }
+
+    if (url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [jwk] });
+    }
+
+    if (url.pathname === '/authorize') {
+      const params = url.searchParams;
+      if (params.get('client_id') !== clientId || params.get('code_challenge_method') !== 'S256') {
+        return sendJson(res, 400, { error: 'invalid_request' });
+      }
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        user: provider.user,
+        nonce: params.get('nonce'),
+        redirectUri: params.get('redirect_uri'),
+        codeChallenge: params.get('code_challenge'),
+      });
+      const redirect = new URL(params.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.get('state'));
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      const body = await readBody(req);
+      provider.tokenRequests.push(Object.fromEntries(body));
+      const expected = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+      if (req.headers.authorization !== expected) {
+        return sendJson(res, 401, { error: 'invalid_client' });
+      }
+      const grant = codes.get(body.get('code'));
+      codes.delete(body.get('code'));
+      const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+      if (!grant || grant.redirectUri !== body.get('redirect_uri') || grant.codeChallenge !== challenge) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+      const now = Math.floor(Date.now() / 1000);
+      const idToken = signIdToken({
+        iss: provider.issuer,
+        aud: clientId,
+        iat: now,
+        exp: now + 300,
+        nonce: grant.nonce,
+        ...grant.user,
+        ...provider.overrideClaims,
+      });
+      return sendJson(res, 200, { access_token: 'access', token_type: 'Bearer', id_token: idToken });
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  provider.issuer = `http://127.0.0.1:${server.address().port}`;
+  provider.close = () => new Promise(resolve => server.close(resolve));
+  return provider;
+}
+
+module.exports = { startMockOidcProvider };
@@ -0,0 +1,138 @@
+/**
+ * Movie routes against the stubbed OMDb
+ */
+
+const { test, before, after, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, registerUser } = require('./helpers');
+
+let server;
+let client;
+
+before(async () => {
+  server = await startTestServer();
+  ({ client } = await registerUser(server.baseUrl));
+});
+
+after(async () => {
+  await server.close();
+});
+
+describe('GET /api/movies/search', () => {
+  test('requires a session', async () => {
+    const res = await createClient(server.baseUrl).get('/api/movies/search?s=godfather');
+    assert.equal(res.status, 401);
+  });
+
+  test('returns matching movies', async () => {
+    const res = await client.get('/api/movies/search?s=godfather');
+    assert.equal(res.status, 200);
+    assert.equal(res.data.totalResults, 1);
+    assert.equal(res.data.results[0].imdbID, 'tt0068646');
+  });
+
+  test('filters by type and year range', async () => {
+    const series = await client.get('/api/movies/search?s=ba&type=series');
+    assert.deepEqual(series.data.results.map(m => m.imdbID), ['tt0903747']);
+
+    const nineties = await client.get('/api/movies/search?s=the&yearFrom=1990&yearTo=1999');
+    assert.deepEqual(nineties.data.results.map(m => m.imdbID), ['tt0111161']);
+  });
+
+  test('validates the query parameters', async () => {
+    assert.equal((await client.get('/api/movies/search?s=a')).status, 400);
+    assert.equal((await client.get('/api/movies/search?s=godfather&page=0')).status, 400);
+    assert.equal((await client.get('/api/movies/search?s=godfather&type=book')).status, 400);
+    assert.equal((await client.get('/api/movies/search?s=godfather&yearFrom=2000&yearTo=1990')).status, 400);
+  });
+
+  test('caches OMDb responses', async () => {
+    const before = server.omdbRequests.length;
+    await client.get('/api/movies/search?s=shawshank');
+    await client.get('/api/movies/search?s=shawshank');
+    assert.equal(server.omdbRequests.length, before + 1);
+  });
+});
+
+describe('GET /api/movies/:imdbID', () => {
+  test('returns movie details', async () => {
+    const res = await client.get('/api/movies/tt0111161');
+    assert.equal(res.status, 200);
+    assert.equal(res.data.movie.Title, 'The Shawshank Redemption');
+  });
+
+  test('answers 404 for unknown movies and 400 for bad ids', async () => {
+    assert.equal((await client.get('/api/movies/tt9999999')).status, 404);
+    assert.equal((await client.get('/api/movies/not-an-id')).status, 400);
+  });
+});
+
+describe('GET /movie/:imdbID', () => {
+  test('serves the home page for a movie link', async () => {
+    const res = await client.get('/movie/tt0111161');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/html/);
+    assert.equal((await client.get('/movie/not-an-id')).status, 404);
+  });
+
+  test('returns to the link after signing in and picking a profile', async () => {
+    const visitor = createClient(server.baseUrl);
+    const link = await visitor.get('/movie/tt0068646');
+    assert.equal(link.status, 302);
+    assert.equal(link.headers.get('location'), '/login.html');
+
+    await visitor.post('/api/login', { identifier: 'alice', password: 'secret123' });
+    const { data: { profiles } } = await visitor.get('/api/profiles');
+    const selected = await visitor.post(`/api/profiles/${profiles[0].id}/select`);
+    assert.equal(selected.data.redirect, '/movie/tt0068646');
+
+    // Only once: switching profiles later goes home
+    const again = await visitor.post(`/api/profiles/${profiles[0].id}/select`);
+    assert.equal(again.data.redirect, '/home.html');
+  });
+});
+
+describe('watchlist', () => {
+  test('adds, lists, reorders and removes movies', async () => {
+    const added = await client.post('/api/watchlist', { imdbID: 'tt0111161' });
+    assert.equal(added.status, 201);
+    assert.equal(added.data.item.Title, 'The Shawshank Redemption');
+    assert.equal((await client.post('/api/watchlist', { imdbID: 'tt0111161' })).status, 409);
+    await client.post('/api/watchlist', { imdbID: 'tt0068646' });
+
+    const reordered = await client.put('/api/watchlist/order', { imdbIDs: ['tt0068646', 'tt0111161'] });
+    assert.equal(reordered.status, 200);
+    const list = await client.get('/api/watchlist');
+    assert.deepEqual(list.data.items.map(item => item.imdbID), ['tt0068646', 'tt0111161']);
+
+    assert.equal((await client.delete('/api/watchlist/tt0068646')).status, 200);
+    const after = await client.get('/api/watchlist');
+    assert.deepEqual(after.data.items.map(item => item.imdbID), ['tt0111161']);
+  });
+
+  test('adding the same movie twice at once saves it once', async () => {
+    const results = await Promise.all([
+      client.post('/api/watchlist', { imdbID: 'tt0114709' }),
+      client.post('/api/watchlist', { imdbID: 'tt0114709' }),
+    ]);
+    assert.deepEqual(results.map(res => res.status).sort(), [201, 409]);
+    const list = await client.get('/api/watchlist');
+    assert.equal(list.data.items.filter(item => item.imdbID === 'tt0114709').length, 1);
+  });
+});
+
+describe('reviews', () => {
+  test('posts, updates and summarizes a review', async () => {
+    const posted = await client.post('/api/movies/tt0068646/reviews', { rating: 8, review: 'Classic.' });
+    assert.equal(posted.status, 201);
+    assert.equal((await client.post('/api/movies/tt0068646/reviews', { rating: 7 })).status, 409);
+
+    const updated = await client.put(`/api/movies/tt0068646/reviews/${posted.data.id}`, { rating: 10, review: 'Even better.' });
+    assert.equal(updated.status, 200);
+
+    const res = await client.get('/api/movies/tt0068646/reviews');
+    assert.equal(res.data.count, 1);
+    assert.equal(res.data.average, 10);
+    assert.equal(res.data.myReview.review, 'Even better.');
+  });
+});
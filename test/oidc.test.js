@@ -0,0 +1,182 @@
+/**
+ * OpenID Connect sign-in, account creation and linking against a mock provider
+ */
+
+const { test, before, after, beforeEach, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockOidcProvider } = require('./mockOidcProvider');
+const { startTestServer, createClient, registerUser } = require('./helpers');
+const { generateTotp, getTimeStep } = require('../server/twoFactor');
+
+let server;
+let provider;
+
+before(async () => {
+  provider = await startMockOidcProvider();
+  process.env.OIDC_PROVIDERS = 'mock';
+  process.env.OIDC_MOCK_NAME = 'Mock ID';
+  process.env.OIDC_MOCK_ISSUER = provider.issuer;
+  process.env.OIDC_MOCK_CLIENT_ID = provider.clientId;
+  process.env.OIDC_MOCK_CLIENT_SECRET = provider.clientSecret;
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+  await provider.close();
+});
+
+beforeEach(() => {
+  provider.overrideClaims = null;
+});
+
+/**
+ * Run the browser side of the flow: app -> provider -> app callback
+ * Returns the app's final redirect
+ */
+async function signInWithProvider(client, startPath = '/api/auth/oidc/mock/start') {
+  const start = await client.get(startPath);
+  assert.equal(start.status, 302);
+  const authorize = await fetch(start.headers.get('location'), { redirect: 'manual' });
+  assert.equal(authorize.status, 302);
+  const callback = new URL(authorize.headers.get('location'));
+  const done = await client.get(callback.pathname + callback.search);
+  assert.equal(done.status, 302);
+  return done.headers.get('location');
+}
+
+describe('provider list', () => {
+  test('lists configured providers for the buttons', async () => {
+    const res = await createClient(server.baseUrl).get('/api/auth/providers');
+    assert.deepEqual(res.data.providers, [{ id: 'mock', name: 'Mock ID' }]);
+  });
+
+  test('unknown providers redirect back with an error', async () => {
+    const res = await createClient(server.baseUrl).get('/api/auth/oidc/nope/start');
+    assert.equal(res.status, 302);
+    assert.match(res.headers.get('location'), /^\/login\.html\?error=Unknown/);
+  });
+});
+
+describe('sign-in', () => {
+  test('first sign-in creates an account and signs in', async () => {
+    provider.user = { sub: 'new-sub', email: 'new.person@example.com', email_verified: true, name: 'New Person' };
+    const client = createClient(server.baseUrl);
+
+    assert.equal(await signInWithProvider(client), '/home.html');
+    const session = (await client.get('/api/session')).data;
+    assert.equal(session.loggedIn, true);
+    assert.equal(session.userId, 'new_person');
+    assert.equal(session.userName, 'New Person');
+
+    const me = (await client.get('/api/me')).data.user;
+    assert.equal(me.email, 'new.person@example.com');
+  });
+
+  test('later sign-ins reuse the linked account', async () => {
+    provider.user = { sub: 'new-sub', email: 'changed@example.com', name: 'Renamed' };
+    const client = createClient(server.baseUrl);
+    assert.equal(await signInWithProvider(client), '/home.html');
+    assert.equal((await client.get('/api/session')).data.userId, 'new_person');
+  });
+
+  test('uses PKCE and the client secret at the token endpoint', () => {
+    const request = provider.tokenRequests.at(-1);
+    assert.equal(request.grant_type, 'authorization_code');
+    assert.match(request.code_verifier, /^[\w-]{43}$/);
+    assert.equal(request.client_secret, undefined); // sent with HTTP Basic instead
+  });
+
+  test('does not take over an existing account with the same email', async () => {
+    await registerUser(server.baseUrl, { userId: 'local_owner', email: 'owner@example.com' });
+    provider.user = { sub: 'attacker-sub', email: 'owner@example.com', email_verified: true, name: 'Not Owner' };
+    const client = createClient(server.baseUrl);
+
+    const location = await signInWithProvider(client);
+    assert.match(location, /^\/login\.html\?error=/);
+    assert.match(decodeURIComponent(location), /already exists/);
+    assert.equal((await client.get('/api/session')).data.loggedIn, false);
+  });
+
+  test('rejects an ID token with the wrong nonce', async () => {
+    provider.user = { sub: 'nonce-sub', name: 'Nonce' };
+    provider.overrideClaims = { nonce: 'something-else' };
+    const client = createClient(server.baseUrl);
+
+    assert.match(await signInWithProvider(client), /^\/login\.html\?error=/);
+    assert.equal((await client.get('/api/session')).data.loggedIn, false);
+  });
+
+  test('rejects a callback with a forged state', async () => {
+    const client = createClient(server.baseUrl);
+    await client.get('/api/auth/oidc/mock/start');
+    const res = await client.get('/api/auth/oidc/mock/callback?code=abc&state=forged');
+    assert.match(res.headers.get('location'), /^\/login\.html\?error=/);
+  });
+
+  test('accounts with 2FA still need a code after the provider', async () => {
+    provider.user = { sub: 'totp-sub', email: 'totp.person@example.com', email_verified: true, name: 'Totp Person' };
+    const owner = createClient(server.baseUrl);
+    await signInWithProvider(owner);
+    const { secret } = (await owner.post('/api/me/2fa/setup')).data;
+    await owner.post('/api/me/2fa/enable', { code: generateTotp(secret, getTimeStep() - 1) });
+
+    const client = createClient(server.baseUrl);
+    assert.equal(await signInWithProvider(client), '/login.html?step=2fa');
+    assert.equal((await client.get('/api/session')).data.loggedIn, false);
+
+    const res = await client.post('/api/login/2fa', { code: generateTotp(secret, getTimeStep()) });
+    assert.equal(res.status, 200);
+    assert.equal((await client.get('/api/session')).data.userId, 'totp_person');
+  });
+
+  test('accounts without a password cannot use password login', async () => {
+    const res = await createClient(server.baseUrl).post('/api/login', { identifier: 'new_person', password: '' });
+    assert.equal(res.status, 400);
+    const wrong = await createClient(server.baseUrl).post('/api/login', { identifier: 'new_person', password: 'anything' });
+    assert.equal(wrong.status, 401);
+  });
+});
+
+describe('account linking', () => {
+  test('links a provider to the signed-in account and signs in with it', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'linker', email: 'linker@example.com' });
+    provider.user = { sub: 'linker-sub', email: 'linker@provider.example', name: 'Linker' };
+
+    assert.equal(await signInWithProvider(client, '/api/auth/oidc/mock/start?mode=link'), '/profile.html?linked=mock');
+    const { identities, hasPassword } = (await client.get('/api/me/identities')).data;
+    assert.equal(hasPassword, true);
+    assert.deepEqual(identities.map(i => [i.provider, i.email]), [['mock', 'linker@provider.example']]);
+
+    const other = createClient(server.baseUrl);
+    assert.equal(await signInWithProvider(other), '/home.html');
+    assert.equal((await other.get('/api/session')).data.userId, 'linker');
+  });
+
+  test('an identity linked to someone else cannot be linked again', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'second', email: 'second@example.com' });
+    provider.user = { sub: 'linker-sub', name: 'Linker' };
+
+    const location = await signInWithProvider(client, '/api/auth/oidc/mock/start?mode=link');
+    assert.match(location, /^\/profile\.html\?error=/);
+    assert.match(decodeURIComponent(location), /another user/);
+  });
+
+  test('linking requires a signed-in user', async () => {
+    const res = await createClient(server.baseUrl).get('/api/auth/oidc/mock/start?mode=link');
+    assert.match(res.headers.get('location'), /^\/profile\.html\?error=/);
+  });
+
+  test('unlinking keeps at least one sign-in method', async () => {
+    provider.user = { sub: 'only-sub', name: 'Only Provider' };
+    const oidcOnly = createClient(server.baseUrl);
+    await signInWithProvider(oidcOnly);
+    assert.equal((await oidcOnly.delete('/api/me/identities/mock')).status, 400);
+
+    const linker = createClient(server.baseUrl);
+    provider.user = { sub: 'linker-sub' };
+    await signInWithProvider(linker);
+    assert.equal((await linker.delete('/api/me/identities/mock')).status, 200);
+    assert.equal((await linker.delete('/api/me/identities/mock')).status, 404);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Forgot password: reset links, where they point and throttling; mail settings
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { startTestServer, createClient, readLatestMail, registerUser } = require('./helpers');
+const { getMailConfig, checkMailConfig } = require('../server/mailer');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+  await registerUser(server.baseUrl);
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('emails a link to the app itself', async () => {
+  const res = await createClient(server.baseUrl).post('/api/password/forgot', { email: 'alice@example.com' });
+  assert.equal(res.status, 200);
+  assert.match(readLatestMail('alice@example.com').text, new RegExp(`^${server.baseUrl}/reset\\.html\\?token=\\w+$`, 'm'));
+});
+
+/**
+ * POST JSON with a chosen Host header (fetch always sends the real one)
+ */
+function postWithHost(client, path, body, host) {
+  const cookie = [...client.cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+  return new Promise((resolve, reject) => {
+    const req = http.request(server.baseUrl + path, {
+      method: 'POST',
+      headers: { Host: host, Cookie: cookie, 'Content-Type': 'application/json', 'X-CSRF-Token': client.csrfToken },
+    }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(body));
+  });
+}
+
+test('never builds a link from a forged Host header', async () => {
+  const client = createClient(server.baseUrl);
+  client.csrfToken = (await client.get('/api/session')).data.csrfToken;
+  const before = readLatestMail('alice@example.com');
+
+  // The same answer as for an unknown email, so accounts cannot be discovered this way
+  const status = await postWithHost(client, '/api/password/forgot', { email: 'alice@example.com' }, 'evil.example');
+  assert.equal(status, 200);
+  assert.deepEqual(readLatestMail('alice@example.com'), before);
+});
+
+test('a failed send answers like an unknown email', async () => {
+  const transport = process.env.MAIL_TRANSPORT;
+  process.env.MAIL_TRANSPORT = 'broken';
+  try {
+    const res = await createClient(server.baseUrl).post('/api/password/forgot', { email: 'alice@example.com' });
+    assert.equal(res.status, 200);
+    assert.match(res.data.message, /If an account uses that email/);
+  } finally {
+    process.env.MAIL_TRANSPORT = transport;
+  }
+});
+
+/**
+ * How many reset emails an address has received
+ */
+function countResetMails(to) {
+  const dir = process.env.MAIL_FILE_DIR;
+  return fs.readdirSync(dir)
+    .map(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')))
+    .filter(message => message.to === to && /Reset your/.test(message.subject))
+    .length;
+}
+
+test('past the per-email limit nothing is sent, but the answer stays the same', async () => {
+  await registerUser(server.baseUrl, { userId: 'carol', email: 'carol@example.com' });
+  const client = createClient(server.baseUrl);
+  for (let i = 0; i < 5; i++) {
+    const res = await client.post('/api/password/forgot', { email: i % 2 ? 'Carol@example.com' : 'carol@example.com' });
+    assert.equal(res.status, 200);
+  }
+  assert.equal(countResetMails('carol@example.com'), 3);
+
+  // Other addresses are unaffected
+  await registerUser(server.baseUrl, { userId: 'dave', email: 'dave@example.com' });
+  await client.post('/api/password/forgot', { email: 'dave@example.com' });
+  assert.equal(countResetMails('dave@example.com'), 1);
+});
+
+test('too many requests from one IP get 429 with Retry-After', async () => {
+  const previous = process.env.PASSWORD_RESET_IP_LOCK_AFTER;
+  process.env.PASSWORD_RESET_IP_LOCK_AFTER = '1';
+  try {
+    const client = createClient(server.baseUrl);
+    await client.post('/api/password/forgot', { email: 'someone@example.com' });
+    const res = await client.post('/api/password/forgot', { email: 'someone-else@example.com' });
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) > 1);
+    assert.equal(res.data.retryAfter, Number(res.headers.get('retry-after')));
+  } finally {
+    if (previous === undefined) delete process.env.PASSWORD_RESET_IP_LOCK_AFTER;
+    else process.env.PASSWORD_RESET_IP_LOCK_AFTER = previous;
+  }
+});
+
+test('production needs a real mail transport', () => {
+  const names = ['MAIL_TRANSPORT', 'SMTP_HOST', 'NODE_ENV'];
+  const saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+  try {
+    names.forEach(name => delete process.env[name]);
+    assert.equal(getMailConfig().transport, 'console');
+
+    process.env.NODE_ENV = 'production';
+    assert.throws(() => checkMailConfig(), /No mail transport in production/);
+    process.env.SMTP_HOST = 'smtp.example.com';
+    assert.doesNotThrow(() => checkMailConfig());
+  } finally {
+    names.forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  }
+});
+
+test('a production server refuses to load without APP_BASE_URL or a mail transport', () => {
+  const load = env => spawnSync(process.execPath, ['-e', "require('./server/server')"], {
+    cwd: path.join(__dirname, '..'),
+    env: { PATH: process.env.PATH, NODE_ENV: 'production', DB_DRIVER: 'memory', LOG_LEVEL: 'silent', ...env },
+    timeout: 30000,
+    encoding: 'utf8',
+  });
+
+  assert.match(load({ SMTP_HOST: 'smtp.example.com' }).stderr, /APP_BASE_URL is required in production/);
+  assert.match(load({ APP_BASE_URL: 'https://movies.example.com' }).stderr, /No mail transport in production/);
+  assert.equal(load({ APP_BASE_URL: 'https://movies.example.com', SMTP_HOST: 'smtp.example.com' }).status, 0);
+});
@@ -0,0 +1,148 @@
+/**
+ * Viewing profiles: the picker, per-profile lists and reviews, and kids filtering
+ */
+
+const { test, before, after, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.MAX_PROFILES_PER_ACCOUNT = '3';
+const { startTestServer, createClient, registerUser, selectProfile } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+describe('picker', () => {
+  test('new accounts get one profile named after the user', async () => {
+    const { client, profile } = await registerUser(server.baseUrl, { userId: 'solo', email: 'solo@example.com' });
+    const { data } = await client.get('/api/profiles');
+    assert.deepEqual(data.profiles, [{ id: profile.id, name: 'Alice', avatar: 'red', kids: false }]);
+    assert.equal(data.activeProfileId, profile.id);
+    assert.equal(data.maxProfiles, 3);
+  });
+
+  test('signing in asks who is watching before home', async () => {
+    await registerUser(server.baseUrl, { userId: 'picker', email: 'picker@example.com' });
+    const client = createClient(server.baseUrl);
+    await client.post('/api/login', { identifier: 'picker', password: 'secret123' });
+
+    const home = await client.get('/home.html');
+    assert.equal(home.status, 302);
+    assert.equal(home.headers.get('location'), '/profiles.html');
+    const search = await client.get('/api/movies/search?s=godfather');
+    assert.equal(search.status, 403);
+    assert.equal(search.data.code, 'PROFILE_REQUIRED');
+
+    await selectProfile(client);
+    assert.equal((await client.get('/home.html')).status, 200);
+  });
+
+  test('profiles of other accounts cannot be selected', async () => {
+    const { profile } = await registerUser(server.baseUrl, { userId: 'owner', email: 'owner@example.com' });
+    const { client } = await registerUser(server.baseUrl, { userId: 'intruder', email: 'intruder@example.com' });
+    const res = await client.post(`/api/profiles/${profile.id}/select`);
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('managing profiles', () => {
+  test('adds profiles up to the limit with unique names', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'family', email: 'family@example.com' });
+
+    const added = await client.post('/api/profiles', { name: 'Bob', avatar: 'blue' });
+    assert.equal(added.status, 201);
+    assert.deepEqual(added.data.profile, { id: added.data.profile.id, name: 'Bob', avatar: 'blue', kids: false });
+
+    assert.equal((await client.post('/api/profiles', { name: 'bob' })).status, 409);
+    assert.equal((await client.post('/api/profiles', { name: '' })).status, 400);
+    assert.equal((await client.post('/api/profiles', { name: 'Carol', avatar: 'plaid' })).status, 400);
+
+    assert.equal((await client.post('/api/profiles', { name: 'Carol' })).status, 201);
+    const full = await client.post('/api/profiles', { name: 'Dave' });
+    assert.equal(full.status, 400);
+    assert.match(full.data.message, /at most 3/);
+  });
+
+  test('edits and deletes profiles but keeps at least one', async () => {
+    const { client, profile } = await registerUser(server.baseUrl, { userId: 'editor', email: 'editor@example.com' });
+    const { data: { profile: extra } } = await client.post('/api/profiles', { name: 'Temp' });
+
+    const edited = await client.put(`/api/profiles/${extra.id}`, { name: 'Kiddo', avatar: 'green', kids: true });
+    assert.equal(edited.status, 200);
+    assert.deepEqual(edited.data.profile, { id: extra.id, name: 'Kiddo', avatar: 'green', kids: true });
+
+    assert.equal((await client.delete(`/api/profiles/${extra.id}`)).status, 200);
+    const last = await client.delete(`/api/profiles/${profile.id}`);
+    assert.equal(last.status, 400);
+  });
+
+  test('deleting the active profile sends the session back to the picker', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'deleter', email: 'deleter@example.com' });
+    const { data: { profile: other } } = await client.post('/api/profiles', { name: 'Other' });
+    await selectProfile(client, other.id);
+    await client.post('/api/watchlist', { imdbID: 'tt0111161' });
+
+    assert.equal((await client.delete(`/api/profiles/${other.id}`)).status, 200);
+    assert.equal((await client.get('/api/session')).data.profileId, null);
+    assert.equal((await client.get('/api/watchlist')).data.code, 'PROFILE_REQUIRED');
+  });
+});
+
+describe('per-profile data', () => {
+  test('each profile has its own list and reviews', async () => {
+    const { client, profile: first } = await registerUser(server.baseUrl, { userId: 'sharer', email: 'sharer@example.com' });
+    const { data: { profile: second } } = await client.post('/api/profiles', { name: 'Sam' });
+
+    await client.post('/api/watchlist', { imdbID: 'tt0111161' });
+    await client.post('/api/movies/tt0111161/reviews', { rating: 9 });
+
+    await selectProfile(client, second.id);
+    assert.deepEqual((await client.get('/api/watchlist')).data.items, []);
+    const reviews = (await client.get('/api/movies/tt0111161/reviews')).data;
+    assert.equal(reviews.myReview, null);
+    assert.equal(reviews.reviews[0].userName, 'Alice');
+    assert.equal(reviews.reviews[0].mine, false);
+
+    // The second profile can review the same movie
+    assert.equal((await client.post('/api/movies/tt0111161/reviews', { rating: 4 })).status, 201);
+    assert.equal((await client.post('/api/watchlist', { imdbID: 'tt0111161' })).status, 201);
+
+    await selectProfile(client, first.id);
+    assert.equal((await client.get('/api/movies/tt0111161/reviews')).data.myReview.rating, 9);
+  });
+});
+
+describe('kids profiles', () => {
+  let client;
+
+  before(async () => {
+    ({ client } = await registerUser(server.baseUrl, { userId: 'parent', email: 'parent@example.com' }));
+    const { data: { profile: kids } } = await client.post('/api/profiles', { name: 'Kids', kids: true });
+    await selectProfile(client, kids.id);
+  });
+
+  test('search only returns titles with a kids rating', async () => {
+    assert.deepEqual((await client.get('/api/movies/search?s=godfather')).data.results, []);
+    const toy = await client.get('/api/movies/search?s=toy');
+    assert.deepEqual(toy.data.results.map(movie => movie.imdbID), ['tt0114709']);
+  });
+
+  test('restricted titles cannot be opened or saved', async () => {
+    assert.equal((await client.get('/api/movies/tt0068646')).status, 403);
+    assert.equal((await client.get('/api/movies/lookup?t=The Godfather')).status, 403);
+    assert.equal((await client.post('/api/watchlist', { imdbID: 'tt0068646' })).status, 403);
+
+    assert.equal((await client.get('/api/movies/tt0114709')).status, 200);
+    assert.equal((await client.post('/api/watchlist', { imdbID: 'tt0114709' })).status, 201);
+  });
+
+  test('kids profiles cannot manage profiles', async () => {
+    assert.equal((await client.post('/api/profiles', { name: 'Sneaky' })).status, 403);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Recommendations: taste profile scoring against the fixture titles, and the API row
+ */
+
+const { test, before, after, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MOVIES, startTestServer, registerUser, selectProfile } = require('./helpers');
+const { extractFeatures, buildTasteProfile, scoreMovie, recommend } = require('../server/recommendations');
+const { clearCache } = require('../server/omdb');
+const { getPool } = require('../server/db');
+
+// Full details for a fixture title
+const movie = imdbID => ({ imdbID, ...MOVIES[imdbID] });
+const ids = movies => movies.map(m => m.imdbID);
+
+const SHAWSHANK = 'tt0111161';
+const GODFATHER = 'tt0068646';
+const BREAKING_BAD = 'tt0903747';
+const TOY_STORY = 'tt0114709';
+const SCARFACE = 'tt0086250';
+
+describe('scoring', () => {
+  test('extracts genres, director, lead actors and decade', () => {
+    assert.deepEqual([...extractFeatures(movie(GODFATHER)).keys()], [
+      'genre:crime',
+      'genre:drama',
+      'director:francis ford coppola',
+      'actor:marlon brando',
+      'actor:al pacino',
+      'actor:james caan',
+      'decade:1970',
+    ]);
+    // "N/A" directors and year ranges
+    const features = extractFeatures(movie(BREAKING_BAD));
+    assert.equal([...features.keys()].some(key => key.startsWith('director:')), false);
+    assert.equal(features.get('decade:2000'), 0.5);
+  });
+
+  test('liked titles raise shared features, disliked titles lower them', () => {
+    const profile = buildTasteProfile([
+      { movie: movie(GODFATHER), weight: 2 },
+      { movie: movie(TOY_STORY), weight: -1 },
+    ]);
+    assert.equal(profile.get('actor:al pacino'), 1.5);
+    assert.equal(profile.get('genre:comedy'), -1);
+    assert.ok(scoreMovie(profile, movie(SCARFACE)) > scoreMovie(profile, movie(SHAWSHANK)));
+    assert.ok(scoreMovie(profile, movie(TOY_STORY)) < 0);
+  });
+
+  test('ranks unseen candidates and names the liked title behind them', () => {
+    const signals = [
+      { movie: movie(GODFATHER), weight: 2 },
+      { movie: movie(SHAWSHANK), weight: 1 },
+    ];
+    const candidates = [TOY_STORY, SHAWSHANK, BREAKING_BAD, SCARFACE].map(movie);
+    const { because, results } = recommend(signals, candidates);
+
+    assert.deepEqual(ids(results), [SCARFACE, BREAKING_BAD, TOY_STORY]);
+    assert.equal(because.imdbID, GODFATHER);
+    assert.deepEqual(recommend(signals, [...candidates].reverse()), { because, results });
+  });
+
+  test('breaks score ties by imdbID and respects the limit', () => {
+    const signals = [{ movie: movie(SHAWSHANK), weight: 1 }];
+    const { results } = recommend(signals, [SCARFACE, GODFATHER, BREAKING_BAD].map(movie), { limit: 2 });
+    // All three only share "Drama"
+    assert.deepEqual(ids(results), [GODFATHER, SCARFACE]);
+  });
+
+  test('recommends nothing without positive signals', () => {
+    assert.deepEqual(recommend([], [movie(SCARFACE)]), { because: null, results: [] });
+    const disliked = recommend([{ movie: movie(GODFATHER), weight: -2 }], [movie(SCARFACE)]);
+    assert.deepEqual(disliked, { because: null, results: [] });
+  });
+});
+
+describe('GET /api/recommendations', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+    // Another account's activity must never show up
+    const { client: stranger } = await registerUser(server.baseUrl, { userId: 'stranger', email: 'stranger@example.com' });
+    await stranger.post('/api/watchlist', { imdbID: SCARFACE });
+    await stranger.post('/api/history', { imdbID: BREAKING_BAD });
+  });
+
+  /**
+   * Add a second profile to the account that saves imdbIDs, then switch back to the first
+   */
+  async function saveOnSiblingProfile(client, firstProfileId, imdbIDs) {
+    const { data: { profile: sibling } } = await client.post('/api/profiles', { name: 'Sibling' });
+    await selectProfile(client, sibling.id);
+    for (const imdbID of imdbIDs) {
+      await client.post('/api/watchlist', { imdbID });
+    }
+    await selectProfile(client, firstProfileId);
+  }
+
+  after(async () => {
+    await server.close();
+  });
+
+  test('is empty until the profile has rated, saved or opened something', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'newcomer', email: 'newcomer@example.com' });
+    const { data } = await client.get('/api/recommendations');
+    assert.deepEqual(data.results, []);
+    assert.equal(data.because, null);
+  });
+
+  test('never recommends from other accounts\' activity', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'loner', email: 'loner@example.com' });
+    await client.post(`/api/movies/${GODFATHER}/reviews`, { rating: 10 });
+    const { data } = await client.get('/api/recommendations');
+    assert.deepEqual(data.results, []);
+  });
+
+  test('builds a "Because you liked" row from ratings, My List and history', async () => {
+    const { client, profile } = await registerUser(server.baseUrl, { userId: 'fan', email: 'fan@example.com' });
+    // The account's other profiles make up the candidate pool
+    await saveOnSiblingProfile(client, profile.id, [SCARFACE, TOY_STORY, SHAWSHANK]);
+    await client.post(`/api/movies/${GODFATHER}/reviews`, { rating: 10 });
+    await client.post('/api/history', { imdbID: GODFATHER });
+    await client.post('/api/watchlist', { imdbID: SHAWSHANK });
+
+    const { status, data } = await client.get('/api/recommendations');
+    assert.equal(status, 200);
+    assert.equal(data.title, 'Because you liked The Godfather');
+    assert.equal(data.because.imdbID, GODFATHER);
+    assert.equal(data.results[0].imdbID, SCARFACE);
+    assert.deepEqual(Object.keys(data.results[0]).sort(), ['Poster', 'Title', 'Type', 'Year', 'imdbID']);
+    // Saved titles are not recommended again
+    assert.equal(ids(data.results).includes(SHAWSHANK), false);
+  });
+
+  test('builds the curated candidate pool once, not on every request', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'regular', email: 'regular@example.com' });
+    await client.post('/api/history', { imdbID: GODFATHER });
+    await client.get('/api/recommendations');
+
+    // Even with the OMDb cache emptied, the rows are not searched again
+    clearCache();
+    await getPool().execute('DELETE FROM omdb_cache');
+    const before = server.omdbRequests.length;
+    await client.get('/api/recommendations');
+    await client.get('/api/recommendations');
+    const searches = server.omdbRequests.slice(before).filter(params => params.s);
+    assert.deepEqual(searches, []);
+  });
+
+  test('kids profiles only get titles rated for children', async () => {
+    const { client, profile } = await registerUser(server.baseUrl, { userId: 'kidfam', email: 'kidfam@example.com' });
+    await saveOnSiblingProfile(client, profile.id, [SHAWSHANK]);
+    const { data: { profile: kids } } = await client.post('/api/profiles', { name: 'Kids', kids: true });
+    await selectProfile(client, kids.id);
+    await client.post('/api/history', { imdbID: TOY_STORY });
+
+    // The Shawshank Redemption shares the 1990s with Toy Story but is rated R
+    const { data } = await client.get('/api/recommendations');
+    assert.deepEqual(data.results, []);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * "Remember me" cookies and the idle / absolute session timeouts
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+
+process.env.SESSION_IDLE_TIMEOUT_MS = '1000';
+process.env.SESSION_REMEMBER_MS = String(7 * 24 * 60 * 60 * 1000);
+process.env.SESSION_ABSOLUTE_TIMEOUT_MS = '4000';
+const { startTestServer, createClient, registerUser } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+  await registerUser(server.baseUrl, { userId: 'rememberer', email: 'rememberer@example.com' });
+});
+
+after(async () => {
+  await server.close();
+});
+
+async function login(remember) {
+  const client = createClient(server.baseUrl);
+  const res = await client.post('/api/login', { identifier: 'rememberer', password: 'secret123', remember });
+  assert.equal(res.status, 200);
+  const cookie = res.headers.getSetCookie().find(c => c.startsWith('connect.sid='));
+  return { client, cookie };
+}
+
+test('without remember me the cookie ends with the browser', async () => {
+  const { cookie } = await login(false);
+  assert.doesNotMatch(cookie, /Expires=/i);
+});
+
+test('remember me sets a long-lived cookie', async () => {
+  const { cookie } = await login(true);
+  const expires = Date.parse(/Expires=([^;]+)/i.exec(cookie)[1]);
+  const expected = Date.now() + 7 * 24 * 60 * 60 * 1000;
+  assert.ok(Math.abs(expires - expected) < 60 * 1000);
+});
+
+test('idle sessions expire unless remembered, and nothing outlives the absolute timeout', async () => {
+  const { client: plain } = await login(false);
+  const { client: remembered } = await login(true);
+
+  await sleep(2500);
+  assert.equal((await plain.get('/api/session')).data.loggedIn, false);
+  assert.equal((await remembered.get('/api/session')).data.loggedIn, true);
+
+  await sleep(2000);
+  assert.equal((await remembered.get('/api/session')).data.loggedIn, false);
+});
@@ -0,0 +1,54 @@
+/**
+ * Security headers and the CSP's no-inline-script requirement
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer, createClient, registerUser } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+function assertSecurityHeaders(res) {
+  const csp = res.headers.get('content-security-policy');
+  assert.match(csp, /script-src 'self'(;|$)/);
+  assert.match(csp, /frame-ancestors 'none'/);
+  assert.doesNotMatch(csp, /unsafe-inline/);
+  assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+  assert.equal(res.headers.get('referrer-policy'), 'strict-origin-when-cross-origin');
+  assert.equal(res.headers.get('x-powered-by'), null);
+}
+
+test('static pages, protected pages and API responses carry the headers', async () => {
+  const anonymous = createClient(server.baseUrl);
+  assertSecurityHeaders(await anonymous.get('/login.html'));
+  assertSecurityHeaders(await anonymous.get('/'));
+  assertSecurityHeaders(await anonymous.get('/api/session'));
+
+  const { client } = await registerUser(server.baseUrl);
+  assertSecurityHeaders(await client.get('/home.html'));
+});
+
+test('HSTS is only sent in production', async () => {
+  const res = await createClient(server.baseUrl).get('/login.html');
+  assert.equal(res.headers.get('strict-transport-security'), null);
+});
+
+test('pages have no inline scripts, event handlers or style attributes', () => {
+  const clientDir = path.join(__dirname, '../client');
+  for (const file of fs.readdirSync(clientDir).filter(name => name.endsWith('.html'))) {
+    const html = fs.readFileSync(path.join(clientDir, file), 'utf8');
+    assert.doesNotMatch(html, /<script(?![^>]*\bsrc=)[^>]*>/i, `${file} has an inline script`);
+    assert.doesNotMatch(html, /\son[a-z]+=/i, `${file} has an inline event handler`);
+    assert.doesNotMatch(html, /\sstyle=/i, `${file} has a style attribute`);
+  }
+});
@@ -0,0 +1,164 @@
+/**
+ * Active session listing and revocation; expired sessions leaving the store
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, registerUser } = require('./helpers');
+const session = require('express-session');
+const { listSessions, destroyUserSessions } = require('../server/userSessions');
+const { PoolSessionStore } = require('../server/sessionStore');
+const { getPool } = require('../server/db');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+/**
+ * Log an existing user in from a new "device"
+ */
+async function loginAs(userId, userAgent) {
+  const client = createClient(server.baseUrl);
+  const res = await client.post('/api/login', { identifier: userId, password: 'secret123' }, {
+    headers: { 'User-Agent': userAgent },
+  });
+  assert.equal(res.status, 200);
+  return client;
+}
+
+test('lists the user\'s sessions with the current one marked', async () => {
+  const { client } = await registerUser(server.baseUrl, { userId: 'lister', email: 'lister@example.com' });
+  await loginAs('lister', 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0');
+  await registerUser(server.baseUrl, { userId: 'someone_else', email: 'else@example.com' });
+
+  const res = await client.get('/api/sessions');
+  assert.equal(res.status, 200);
+  assert.equal(res.data.sessions.length, 2);
+  assert.equal(res.data.sessions.filter(s => s.current).length, 1);
+
+  const other = res.data.sessions.find(s => !s.current);
+  assert.equal(other.userAgent, 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0');
+  assert.match(other.id, /^[0-9a-f]{32}$/);
+  assert.ok(other.ip);
+  assert.ok(!Number.isNaN(Date.parse(other.lastSeenAt)));
+});
+
+test('revokes one other session', async () => {
+  const { client } = await registerUser(server.baseUrl, { userId: 'revoker', email: 'revoker@example.com' });
+  const phone = await loginAs('revoker', 'Phone');
+
+  const { sessions } = (await client.get('/api/sessions')).data;
+  const other = sessions.find(s => !s.current);
+  const current = sessions.find(s => s.current);
+
+  assert.equal((await client.delete(`/api/sessions/${current.id}`)).status, 400);
+  assert.equal((await client.delete(`/api/sessions/${other.id}`)).status, 200);
+  assert.equal((await client.delete(`/api/sessions/${other.id}`)).status, 404);
+
+  assert.equal((await phone.get('/api/session')).data.loggedIn, false);
+  assert.equal((await client.get('/api/session')).data.loggedIn, true);
+  assert.equal((await client.get('/api/sessions')).data.sessions.length, 1);
+});
+
+test('cannot revoke another user\'s session', async () => {
+  const { client: owner } = await registerUser(server.baseUrl, { userId: 'owner', email: 'owner@example.com' });
+  const { client: intruder } = await registerUser(server.baseUrl, { userId: 'intruder', email: 'intruder@example.com' });
+  const [ownerSession] = (await owner.get('/api/sessions')).data.sessions;
+
+  assert.equal((await intruder.delete(`/api/sessions/${ownerSession.id}`)).status, 404);
+  assert.equal((await owner.get('/api/session')).data.loggedIn, true);
+});
+
+test('signs out every other session', async () => {
+  const { client } = await registerUser(server.baseUrl, { userId: 'everywhere', email: 'everywhere@example.com' });
+  const laptop = await loginAs('everywhere', 'Laptop');
+  const tablet = await loginAs('everywhere', 'Tablet');
+
+  const res = await client.delete('/api/sessions');
+  assert.equal(res.status, 200);
+  assert.equal(res.data.revoked, 2);
+  assert.equal((await laptop.get('/api/session')).data.loggedIn, false);
+  assert.equal((await tablet.get('/api/session')).data.loggedIn, false);
+  assert.equal((await client.get('/api/session')).data.loggedIn, true);
+});
+
+test('signing out everywhere goes through the tracked sessions, not the whole store', async () => {
+  await registerUser(server.baseUrl, { userId: 'tracked', email: 'tracked@example.com' });
+  await loginAs('tracked', 'Phone');
+  const { client: bystander } = await registerUser(server.baseUrl, { userId: 'bystander', email: 'bystander@example.com' });
+
+  const store = new PoolSessionStore({ clearExpired: false });
+  const destroyed = [];
+  const watched = {
+    get: (sid, cb) => store.get(sid, cb),
+    destroy: (sid, cb) => {
+      destroyed.push(sid);
+      store.destroy(sid, cb);
+    },
+    all: () => assert.fail('all() reads every session in the store'),
+  };
+  assert.equal(await destroyUserSessions(watched, 'tracked'), 2);
+  assert.equal(destroyed.length, 2);
+  assert.equal((await bystander.get('/api/session')).data.loggedIn, true);
+});
+
+test('sessions kept outside the sessions table (memory store fallback) stay listed and revocable', async () => {
+  await registerUser(server.baseUrl, { userId: 'in_memory', email: 'in_memory@example.com' });
+  const store = new session.MemoryStore();
+  const data = { cookie: { expires: new Date(Date.now() + 60 * 1000).toISOString() }, userId: 'in_memory' };
+  await new Promise((resolve, reject) => store.set('memory-session', data, err => (err ? reject(err) : resolve())));
+  await getPool().execute(
+    'INSERT INTO user_sessions (session_id, userId, last_seen_at) VALUES (?, ?, ?)',
+    ['memory-session', 'in_memory', Date.now()]
+  );
+
+  const listed = await listSessions(store, 'in_memory', null);
+  assert.equal(listed.length, 1);
+  assert.equal(await destroyUserSessions(store, 'in_memory'), 1);
+  assert.equal(await new Promise(resolve => store.get('memory-session', (err, found) => resolve(found))), undefined);
+});
+
+test('changing the password signs out other sessions', async () => {
+  const { client } = await registerUser(server.baseUrl, { userId: 'changer', email: 'changer@example.com' });
+  const other = await loginAs('changer', 'Other');
+
+  const res = await client.post('/api/me/password', { currentPassword: 'secret123', newPassword: 'newsecret456' });
+  assert.equal(res.status, 200);
+  assert.equal((await other.get('/api/session')).data.loggedIn, false);
+  assert.equal((await client.get('/api/session')).data.loggedIn, true);
+});
+
+test('logout removes the session from the list', async () => {
+  const { client } = await registerUser(server.baseUrl, { userId: 'leaver', email: 'leaver@example.com' });
+  const other = await loginAs('leaver', 'Other');
+  await other.post('/api/logout');
+
+  const { sessions } = (await client.get('/api/sessions')).data;
+  assert.equal(sessions.length, 1);
+  assert.ok(sessions[0].current);
+});
+
+test('the store deletes expired sessions periodically', async () => {
+  const nowSeconds = Math.round(Date.now() / 1000);
+  await getPool().execute(
+    'INSERT INTO sessions (session_id, expires, data) VALUES (?, ?, ?), (?, ?, ?)',
+    ['stale-session', nowSeconds - 60, '{}', 'fresh-session', nowSeconds + 60, '{}']
+  );
+
+  const store = new PoolSessionStore({ checkExpirationInterval: 20 });
+  try {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  } finally {
+    store.close();
+  }
+  const [rows] = await getPool().execute(
+    "SELECT session_id FROM sessions WHERE session_id IN ('stale-session', 'fresh-session')"
+  );
+  assert.deepEqual(rows.map(row => row.session_id), ['fresh-session']);
+});
@@ -0,0 +1,73 @@
+/**
+ * SQLite adapter: transactions on the shared database and timestamp columns
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSqlitePool } = require('../server/sqlite');
+
+async function createPool() {
+  const pool = await createSqlitePool();
+  await pool.execute('CREATE TABLE parents (id INT PRIMARY KEY)');
+  await pool.execute(`CREATE TABLE children (
+    id INT PRIMARY KEY,
+    parentId INT,
+    FOREIGN KEY (parentId) REFERENCES parents(id)
+  )`);
+  return pool;
+}
+
+test('a pool statement waits for an open transaction instead of joining it', async () => {
+  const pool = await createPool();
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+  await connection.execute('INSERT INTO parents (id) VALUES (?)', [1]);
+
+  const outside = pool.execute('INSERT INTO parents (id) VALUES (?)', [2]);
+  await connection.rollback();
+  await outside;
+
+  const [rows] = await pool.execute('SELECT id FROM parents ORDER BY id');
+  assert.deepEqual(rows.map(row => row.id), [2]);
+  await pool.end();
+});
+
+test('a failed COMMIT rolls back and lets the next transaction begin', async () => {
+  const pool = await createPool();
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+  await connection.execute('PRAGMA defer_foreign_keys = ON');
+  await connection.execute('INSERT INTO children (id, parentId) VALUES (?, ?)', [1, 99]);
+  await assert.rejects(connection.commit(), /FOREIGN KEY/);
+
+  const next = await pool.getConnection();
+  await next.beginTransaction();
+  await next.execute('INSERT INTO parents (id) VALUES (?)', [1]);
+  await next.commit();
+
+  const [parents] = await pool.execute('SELECT id FROM parents');
+  const [children] = await pool.execute('SELECT id FROM children');
+  assert.deepEqual(parents.map(row => row.id), [1]);
+  assert.deepEqual(children, []);
+  await pool.end();
+});
+
+test('only timestamp columns come back as dates', async () => {
+  const pool = await createSqlitePool();
+  await pool.execute(`CREATE TABLE notes (
+    id INT PRIMARY KEY,
+    body TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await pool.execute('INSERT INTO notes (id, body) VALUES (?, ?)', [1, '2024-01-02 03:04:05']);
+
+  const [[note]] = await pool.execute('SELECT body, created_at FROM notes WHERE id = ?', [1]);
+  assert.equal(note.body, '2024-01-02 03:04:05');
+  assert.ok(note.created_at instanceof Date);
+
+  await pool.execute('ALTER TABLE notes ADD COLUMN edited_at TIMESTAMP NULL');
+  await pool.execute('UPDATE notes SET edited_at = ? WHERE id = ?', ['2024-05-06 07:08:09', 1]);
+  const [[edited]] = await pool.execute('SELECT edited_at FROM notes WHERE id = ?', [1]);
+  assert.equal(edited.edited_at.toISOString(), '2024-05-06T07:08:09.000Z');
+  await pool.end();
+});
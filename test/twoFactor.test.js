@@ -0,0 +1,185 @@
+/**
+ * TOTP two-factor authentication: enrollment, the login challenge, recovery codes and disabling
+ */
+
+const { test, before, after, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, registerUser } = require('./helpers');
+const { generateTotp, findTotpStep, getTimeStep } = require('../server/twoFactor');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+// Code for the current time step plus offset (the server accepts -1..+1)
+function codeFor(secret, offset = 0) {
+  return generateTotp(secret, getTimeStep() + offset);
+}
+
+/**
+ * Register a user and turn 2FA on; returns the client, secret and recovery codes
+ */
+async function registerWithTwoFactor(userId) {
+  const { client } = await registerUser(server.baseUrl, { userId, email: `${userId}@example.com` });
+  const setup = await client.post('/api/me/2fa/setup');
+  const enable = await client.post('/api/me/2fa/enable', { code: codeFor(setup.data.secret, -1) });
+  assert.equal(enable.status, 200);
+  return { client, secret: setup.data.secret, recoveryCodes: enable.data.recoveryCodes };
+}
+
+async function loginWithPassword(userId) {
+  const client = createClient(server.baseUrl);
+  const res = await client.post('/api/login', { identifier: userId, password: 'secret123' });
+  assert.equal(res.status, 200);
+  assert.equal(res.data.twoFactorRequired, true);
+  return client;
+}
+
+describe('TOTP', () => {
+  // RFC 6238 appendix B, SHA-1 secret "12345678901234567890", last 6 digits
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  test('matches the RFC 6238 test vectors', () => {
+    assert.equal(generateTotp(secret, getTimeStep(59 * 1000)), '287082');
+    assert.equal(generateTotp(secret, getTimeStep(1111111109 * 1000)), '081804');
+    assert.equal(generateTotp(secret, getTimeStep(1234567890 * 1000)), '005924');
+  });
+
+  test('accepts one step of clock drift and no more', () => {
+    const now = 1234567890 * 1000;
+    const step = getTimeStep(now);
+    assert.equal(findTotpStep(secret, generateTotp(secret, step + 1), now), step + 1);
+    assert.equal(findTotpStep(secret, generateTotp(secret, step - 1), now), step - 1);
+    assert.equal(findTotpStep(secret, generateTotp(secret, step + 2), now), null);
+    assert.equal(findTotpStep(secret, 'abcdef', now), null);
+  });
+});
+
+describe('enrollment', () => {
+  test('2FA stays off until a code from the app is confirmed', async () => {
+    const { client } = await registerUser(server.baseUrl, { userId: 'enroller', email: 'enroller@example.com' });
+
+    const setup = await client.post('/api/me/2fa/setup');
+    assert.equal(setup.status, 200);
+    assert.match(setup.data.secret, /^[A-Z2-7]{32}$/);
+    assert.match(setup.data.otpauthUri, /^otpauth:\/\/totp\/Movie%20App:enroller\?secret=/);
+    assert.match(setup.data.qrCode, /^data:image\/png;base64,/);
+    assert.equal((await client.get('/api/me/2fa')).data.enabled, false);
+
+    const wrong = await client.post('/api/me/2fa/enable', { code: '000000' });
+    assert.equal(wrong.status, 400);
+
+    const enable = await client.post('/api/me/2fa/enable', { code: codeFor(setup.data.secret) });
+    assert.equal(enable.status, 200);
+    assert.equal(enable.data.recoveryCodes.length, 10);
+    assert.deepEqual((await client.get('/api/me/2fa')).data, {
+      success: true,
+      enabled: true,
+      recoveryCodesRemaining: 10,
+    });
+
+    const again = await client.post('/api/me/2fa/setup');
+    assert.equal(again.status, 409);
+  });
+});
+
+describe('login', () => {
+  test('the password alone leaves the session half-authenticated', async () => {
+    const { secret } = await registerWithTwoFactor('halfway');
+    const client = await loginWithPassword('halfway');
+
+    const session = await client.get('/api/session');
+    assert.equal(session.data.loggedIn, false);
+    assert.equal(session.data.twoFactorPending, true);
+    assert.equal((await client.get('/api/me')).status, 401);
+
+    const wrong = await client.post('/api/login/2fa', { code: '000000' });
+    assert.equal(wrong.status, 401);
+
+    const pendingId = client.cookies.get('connect.sid');
+    const res = await client.post('/api/login/2fa', { code: codeFor(secret) });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.redirect, '/home.html');
+    assert.equal((await client.get('/api/session')).data.loggedIn, true);
+    assert.notEqual(client.cookies.get('connect.sid'), pendingId, 'the session id changes once signed in');
+  });
+
+  test('a code cannot be used twice', async () => {
+    const { secret } = await registerWithTwoFactor('replayer');
+    const code = codeFor(secret, 1);
+
+    const first = await loginWithPassword('replayer');
+    assert.equal((await first.post('/api/login/2fa', { code })).status, 200);
+
+    const second = await loginWithPassword('replayer');
+    assert.equal((await second.post('/api/login/2fa', { code })).status, 401);
+  });
+
+  test('recovery codes work once each', async () => {
+    const { recoveryCodes } = await registerWithTwoFactor('recoverer');
+
+    const first = await loginWithPassword('recoverer');
+    const res = await first.post('/api/login/2fa', { code: recoveryCodes[0].toUpperCase() });
+    assert.equal(res.status, 200);
+    assert.match(res.data.message, /9 recovery code\(s\) left/);
+
+    const second = await loginWithPassword('recoverer');
+    assert.equal((await second.post('/api/login/2fa', { code: recoveryCodes[0] })).status, 401);
+  });
+
+  test('the code step needs a password step first', async () => {
+    const client = createClient(server.baseUrl);
+    const res = await client.post('/api/login/2fa', { code: '123456' });
+    assert.equal(res.status, 401);
+    assert.equal(res.data.redirect, '/login.html');
+  });
+
+  test('accounts without 2FA log in with the password alone', async () => {
+    await registerUser(server.baseUrl, { userId: 'single', email: 'single@example.com' });
+    const client = createClient(server.baseUrl);
+    const res = await client.post('/api/login', { identifier: 'single', password: 'secret123' });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.twoFactorRequired, undefined);
+    assert.equal((await client.get('/api/session')).data.loggedIn, true);
+  });
+});
+
+describe('managing 2FA', () => {
+  test('new recovery codes replace the old ones', async () => {
+    const { client, recoveryCodes } = await registerWithTwoFactor('regenerator');
+
+    const denied = await client.post('/api/me/2fa/recovery-codes', { password: 'wrong-password' });
+    assert.equal(denied.status, 401);
+
+    const res = await client.post('/api/me/2fa/recovery-codes', { password: 'secret123' });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.recoveryCodes.length, 10);
+
+    const login = await loginWithPassword('regenerator');
+    assert.equal((await login.post('/api/login/2fa', { code: recoveryCodes[1] })).status, 401);
+    assert.equal((await login.post('/api/login/2fa', { code: res.data.recoveryCodes[1] })).status, 200);
+  });
+
+  test('turning 2FA off needs the password and a code', async () => {
+    const { client, secret } = await registerWithTwoFactor('disabler');
+
+    const noPassword = await client.delete('/api/me/2fa', { code: codeFor(secret, 1) });
+    assert.equal(noPassword.status, 400);
+    const noCode = await client.delete('/api/me/2fa', { password: 'secret123' });
+    assert.equal(noCode.status, 401);
+
+    const res = await client.delete('/api/me/2fa', { password: 'secret123', code: codeFor(secret, 1) });
+    assert.equal(res.status, 200);
+    assert.equal((await client.get('/api/me/2fa')).data.enabled, false);
+
+    const login = createClient(server.baseUrl);
+    const loginRes = await login.post('/api/login', { identifier: 'disabler', password: 'secret123' });
+    assert.equal(loginRes.data.twoFactorRequired, undefined);
+  });
+});